@@ -7,13 +7,17 @@ const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
 
-const { authenticateJWT } = require("./middleware/auth");
+const { authenticateJWT, checkTokenRevocation } = require("./middleware/auth");
 const authRoutes = require("./routes/auth");
 const boardsRoutes = require("./routes/boards");
 const projectsRoutes = require("./routes/projects");
 const sessionsRoutes = require("./routes/sessions");
 const usersRoutes = require("./routes/users");
 const categoriesRoutes = require("./routes/categories");
+const reportsRoutes = require("./routes/reports");
+const invitationsRoutes = require("./routes/invitations");
+const timesheetsRoutes = require("./routes/timesheets");
+const plansRoutes = require("./routes/plans");
 
 
 const morgan = require("morgan");
@@ -24,6 +28,7 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
+app.use(checkTokenRevocation);
 
 app.use("/auth", authRoutes);
 app.use("/boards", boardsRoutes);
@@ -31,6 +36,10 @@ app.use("/projects", projectsRoutes);
 app.use("/sessions", sessionsRoutes);
 app.use("/users", usersRoutes);
 app.use("/categories", categoriesRoutes);
+app.use("/reports", reportsRoutes);
+app.use("/invitations", invitationsRoutes);
+app.use("/timesheets", timesheetsRoutes);
+app.use("/plans", plansRoutes);
 
 /** Handle 404 errors */
 app.use(function (req, res, next) {
@@ -3,10 +3,6 @@ const request = require("supertest");
 const app = require("./app");
 const db = require("./db");
 
-beforeAll(async function () {
-  await db.connect();
-});
-
 afterAll(async function () {
   await db.end();
 });
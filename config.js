@@ -9,6 +9,56 @@ const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// lifetimes for signed tokens, in jsonwebtoken's expiresIn format
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || "7d";
+
+// when set, self registration is limited to these email domains, ex: "example.com,example.org"
+const REGISTRATION_EMAIL_DOMAINS = (process.env.REGISTRATION_EMAIL_DOMAINS || "")
+    .split(",")
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+// board invitations
+const INVITATION_EXPIRES_IN_DAYS = +process.env.INVITATION_EXPIRES_IN_DAYS || 7;
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// outgoing mail: "log" logs recipients and subjects only, "console" prints
+// whole messages including tokens (development only), "file" appends them to MAIL_FILE
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "log";
+const MAIL_FILE = process.env.MAIL_FILE || "mail.log";
+const MAIL_FROM = process.env.MAIL_FROM || "proma <no-reply@proma.local>";
+
+// working hours (UTC) used to find free time in board calendars
+const WORKDAY_START_HOUR = +process.env.WORKDAY_START_HOUR || 9;
+const WORKDAY_END_HOUR = +process.env.WORKDAY_END_HOUR || 17;
+
+// lets webhooks call loopback and private network addresses, only for development and tests
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+// file attachments: "local" keeps files under ATTACHMENT_DIR, other backends plug in through helpers/storage
+const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE || "local";
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || "uploads";
+const ATTACHMENT_MAX_BYTES = +process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024;
+// MIME types accepted for upload, ex: "application/pdf,image/png"
+const ATTACHMENT_TYPES = (process.env.ATTACHMENT_TYPES || [
+    "application/pdf",
+    "image/png",
+    "image/jpeg",
+    "image/gif",
+    "image/webp",
+    "text/plain",
+    "text/csv",
+    "application/zip",
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+].join(","))
+    .split(",")
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
 // Use appropriate database
 function getDatabaseUri() {
     return (process.env.NODE_ENV === "test")
@@ -29,6 +79,21 @@ console.log("---");
 module.exports = {
     SECRET_KEY,
     PORT,
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_EXPIRES_IN,
+    REGISTRATION_EMAIL_DOMAINS,
+    INVITATION_EXPIRES_IN_DAYS,
+    FRONTEND_URL,
+    MAIL_TRANSPORT,
+    MAIL_FILE,
+    MAIL_FROM,
+    WORKDAY_START_HOUR,
+    WORKDAY_END_HOUR,
+    WEBHOOK_ALLOW_PRIVATE,
+    ATTACHMENT_STORAGE,
+    ATTACHMENT_DIR,
+    ATTACHMENT_MAX_BYTES,
+    ATTACHMENT_TYPES,
     BCRYPT_WORK_FACTOR,
     getDatabaseUri
 }
\ No newline at end of file
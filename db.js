@@ -1,28 +1,43 @@
 "use strict";
 /** Database setup for proma.  */
-const { Client } = require("pg");
+const { Pool } = require("pg");
 const { getDatabaseUri } = require('./config');
 
 let db;
 
 if (process.env.NODE_ENV === "production") {
-    db = new Client({
+    db = new Pool({
         connectionString: getDatabaseUri(),
         ssl: {
             rejectUnauthorized: false
         }
     });
 } else {
-    db = new Client({
+    db = new Pool({
         connectionString: getDatabaseUri()
     });
 }
 
-// Automatically connect if not in a test environment
-if (!getDatabaseUri().includes("test")) {
-    (async () => {
-        await db.connect();
-    })();
-}
+/** Run fn inside a transaction on a client of its own, so concurrent requests
+ * can't interleave with it. fn receives the client and must use it for every
+ * query that belongs to the transaction.
+ *
+ * (fn, { rollback }) => whatever fn returns, after COMMIT. Rolls back and rethrows if fn throws.
+ * With rollback the transaction is rolled back even when fn succeeds, ex: for dry runs.
+ */
+db.transaction = async function transaction(fn, { rollback = false } = {}) {
+    const client = await db.connect();
+    try {
+        await client.query("BEGIN");
+        const result = await fn(client);
+        await client.query(rollback ? "ROLLBACK" : "COMMIT");
+        return result;
+    } catch(err) {
+        await client.query("ROLLBACK");
+        throw err;
+    } finally {
+        client.release();
+    }
+};
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
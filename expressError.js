@@ -44,10 +44,19 @@ class ForbiddenError extends ExpressError {
     }
 }
   
+/** 409 CONFLICT error. */
+  
+class ConflictError extends ExpressError {
+    constructor(message = "Conflict") {
+        super(message, 409);
+    }
+}
+  
 module.exports = {
     ExpressError,
     NotFoundError,
     UnauthorizedError,
     BadRequestError,
     ForbiddenError,
+    ConflictError,
 };
\ No newline at end of file
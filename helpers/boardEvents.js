@@ -0,0 +1,153 @@
+/** Helpers for pushing board changes to open Server-Sent Events streams.
+ *
+ * Streams are kept in memory, so each server process only reaches the clients
+ * connected to it.
+ */
+
+/** Activity entity types pushed to board streams */
+const BROADCAST_ENTITY_TYPES = ["board", "board_user", "stage", "project", "project_user", "task", "session", "comment", "attachment"];
+
+/** Milliseconds between keep-alive comments on open streams */
+const HEARTBEAT_INTERVAL = 25000;
+
+// boardId => Set of { userId, res, canReceive, timer }
+const streams = new Map();
+
+/** Format an event for an SSE stream.
+ *
+ * @param event {Object} { id, type, data }, id and type are optional
+ *
+ * @returns {String} event block ending in a blank line
+ *
+ * @example
+ *      formatEvent({ id: 3, type: "project.move", data: { entityId: 2 } })
+ *          => 'id: 3\nevent: project.move\ndata: {"entityId":2}\n\n'
+ */
+
+function formatEvent({ id, type, data }) {
+    const lines = [];
+    if (id !== undefined) lines.push(`id: ${id}`);
+    if (type) lines.push(`event: ${type}`);
+    lines.push(`data: ${JSON.stringify(data)}`);
+    return lines.join("\n") + "\n\n";
+}
+
+/** Convert an activity log entry into a stream event, or null if it isn't pushed.
+ *
+ * @param entry {Object} { id, actorId, boardId, projectId, entityType, entityId, action, before, after, createdAt }
+ *
+ * @returns {Object} { id, type, data } where type is entityType.action, ex: "session.create"
+ */
+
+function activityToEvent(entry) {
+    if (!BROADCAST_ENTITY_TYPES.includes(entry.entityType)) return null;
+    return { id: entry.id, type: `${entry.entityType}.${entry.action}`, data: entry };
+}
+
+/** Open an SSE stream on the response and keep it until the client leaves.
+ *
+ * @param res {Object} express response
+ * @param options {Object}
+ *      boardId: board whose events are pushed
+ *      userId: user listening
+ *      canReceive: async () => bool, checked before each event, the stream closes once it is false
+ *      expiresAt: ms timestamp the user's token expires, the stream sends token_expired and closes then
+ *      backlog: events to send first, ex: those missed since the client's Last-Event-ID
+ */
+
+function subscribe(res, { boardId, userId, canReceive, expiresAt, backlog = [] }) {
+    res.status(200);
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+    for (const event of backlog) res.write(formatEvent(event));
+
+    const key = String(boardId);
+    const stream = { userId: +userId, res, canReceive, timer: null };
+    if (!streams.has(key)) streams.set(key, new Set());
+    streams.get(key).add(stream);
+
+    if (expiresAt) {
+        stream.timer = setTimeout(() => {
+            res.write(formatEvent({ type: "token_expired", data: {} }));
+            res.end();
+        }, Math.max(expiresAt - Date.now(), 0));
+        stream.timer.unref();
+    }
+    res.on("close", () => {
+        clearTimeout(stream.timer);
+        const boardStreams = streams.get(key);
+        if (!boardStreams) return;
+        boardStreams.delete(stream);
+        if (!boardStreams.size) streams.delete(key);
+    });
+}
+
+/** Push an activity log entry to the board's open streams.
+ *
+ * Each listener's canReceive is checked first. Users removed from the board are
+ * disconnected instead. Never throws, a failing stream is closed.
+ *
+ * @param entry {Object} activity log entry, see activityToEvent
+ */
+
+async function publish(entry) {
+    const event = activityToEvent(entry);
+    const boardStreams = streams.get(String(entry.boardId));
+    if (!event || !boardStreams) return;
+
+    const text = formatEvent(event);
+    for (const stream of [...boardStreams]) {
+        try {
+            if (await stream.canReceive()) stream.res.write(text);
+            else stream.res.end();
+        } catch (err) {
+            stream.res.end();
+        }
+    }
+}
+
+/** Number of open streams on a board. */
+
+function countStreams(boardId) {
+    const boardStreams = streams.get(String(boardId));
+    return boardStreams ? boardStreams.size : 0;
+}
+
+/** Close every open stream, used on shutdown. */
+
+function closeAll() {
+    for (const boardStreams of streams.values()) {
+        for (const stream of boardStreams) stream.res.end();
+    }
+}
+
+/** Write a keep-alive comment to every open stream every interval ms, so proxies
+ * don't drop idle connections. Returns the interval, which doesn't keep the process alive.
+ */
+
+function startHeartbeat(interval = HEARTBEAT_INTERVAL) {
+    const heartbeat = setInterval(() => {
+        for (const boardStreams of streams.values()) {
+            for (const stream of boardStreams) stream.res.write(": ping\n\n");
+        }
+    }, interval);
+    heartbeat.unref();
+    return heartbeat;
+}
+
+module.exports = {
+    BROADCAST_ENTITY_TYPES,
+    formatEvent,
+    activityToEvent,
+    subscribe,
+    publish,
+    countStreams,
+    closeAll,
+    startHeartbeat
+};
@@ -0,0 +1,116 @@
+const EventEmitter = require("events");
+const {
+    formatEvent,
+    activityToEvent,
+    subscribe,
+    publish,
+    countStreams,
+    closeAll
+} = require("./boardEvents");
+
+/** Minimal stand-in for an express response holding a stream open */
+function fakeRes() {
+    const res = new EventEmitter();
+    res.written = "";
+    res.ended = false;
+    res.status = jest.fn();
+    res.set = jest.fn();
+    res.flushHeaders = jest.fn();
+    res.write = text => { res.written += text; };
+    res.end = () => {
+        if (res.ended) return;
+        res.ended = true;
+        res.emit("close");
+    };
+    return res;
+}
+
+const entry = {
+    id: 12,
+    actorId: 1,
+    boardId: 5,
+    projectId: 3,
+    entityType: "project",
+    entityId: 3,
+    action: "move",
+    before: { stage: "pending" },
+    after: { stage: "complete" },
+    createdAt: "2024-01-02T09:00:00.000Z"
+};
+
+afterEach(function () {
+    closeAll();
+});
+
+describe("formatEvent", function () {
+    test("works", function () {
+        expect(formatEvent({ id: 3, type: "project.move", data: { entityId: 2 } }))
+            .toEqual('id: 3\nevent: project.move\ndata: {"entityId":2}\n\n');
+    });
+
+    test("works: data only", function () {
+        expect(formatEvent({ data: {} })).toEqual("data: {}\n\n");
+    });
+});
+
+describe("activityToEvent", function () {
+    test("works", function () {
+        expect(activityToEvent(entry)).toEqual({ id: 12, type: "project.move", data: entry });
+    });
+
+    test("works: entity types not pushed", function () {
+        expect(activityToEvent({ ...entry, entityType: "timesheet" })).toBeNull();
+    });
+});
+
+describe("subscribe and publish", function () {
+    test("works: pushes to the board's streams", async function () {
+        const res = fakeRes();
+        const other = fakeRes();
+        subscribe(res, { boardId: 5, userId: 1, canReceive: async () => true });
+        subscribe(other, { boardId: 6, userId: 2, canReceive: async () => true });
+        expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ "Content-Type": "text/event-stream" }));
+        expect(countStreams(5)).toEqual(1);
+
+        await publish(entry);
+        expect(res.written).toContain("id: 12\nevent: project.move\n");
+        expect(other.written).not.toContain("project.move");
+    });
+
+    test("works: sends the backlog first", function () {
+        const res = fakeRes();
+        subscribe(res, {
+            boardId: 5,
+            userId: 1,
+            canReceive: async () => true,
+            backlog: [activityToEvent(entry)]
+        });
+        expect(res.written).toEqual("retry: 5000\n\n" + formatEvent(activityToEvent(entry)));
+    });
+
+    test("works: closes streams of users who can't receive", async function () {
+        const res = fakeRes();
+        subscribe(res, { boardId: 5, userId: 1, canReceive: async () => false });
+        await publish(entry);
+        expect(res.ended).toEqual(true);
+        expect(res.written).not.toContain("project.move");
+        expect(countStreams(5)).toEqual(0);
+    });
+
+    test("works: closed streams are dropped", function () {
+        const res = fakeRes();
+        subscribe(res, { boardId: 5, userId: 1, canReceive: async () => true });
+        res.emit("close");
+        expect(countStreams(5)).toEqual(0);
+    });
+
+    test("works: token expiry closes the stream", function () {
+        jest.useFakeTimers();
+        const res = fakeRes();
+        subscribe(res, { boardId: 5, userId: 1, canReceive: async () => true, expiresAt: Date.now() + 1000 });
+        jest.advanceTimersByTime(1000);
+        expect(res.written).toContain("event: token_expired\n");
+        expect(res.ended).toEqual(true);
+        jest.useRealTimers();
+    });
+});
@@ -0,0 +1,60 @@
+/** Helpers for working out free time in a calendar. */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Working hours of every weekday (Monday to Friday) between two dates, in UTC.
+ *
+ * @param startDate {String} first day, YYYY-MM-DD
+ * @param endDate {String} last day, YYYY-MM-DD, included
+ * @param hours {Object} { startHour, endHour } of the working day, ex: { startHour: 9, endHour: 17 }
+ *
+ * @returns {Array} [ { start: Date, end: Date }, ... ] in order
+ *
+ * @example
+ *      workingWindows("2024-01-05", "2024-01-08", { startHour: 9, endHour: 17 })
+ *          => [ { start: 2024-01-05T09:00Z, end: 2024-01-05T17:00Z },
+ *               { start: 2024-01-08T09:00Z, end: 2024-01-08T17:00Z } ]
+ */
+
+function workingWindows(startDate, endDate, { startHour, endHour }) {
+    const windows = [];
+    const last = new Date(`${endDate}T00:00:00Z`).getTime();
+    for (let day = new Date(`${startDate}T00:00:00Z`).getTime(); day <= last; day += DAY_MS) {
+        const weekday = new Date(day).getUTCDay();
+        if (weekday === 0 || weekday === 6) continue;
+        windows.push({
+            start: new Date(day + startHour * 60 * 60 * 1000),
+            end: new Date(day + endHour * 60 * 60 * 1000)
+        });
+    }
+    return windows;
+}
+
+/** Take busy blocks out of time windows, leaving the free time.
+ *
+ * @param windows {Array} [ { start, end }, ... ] in order, see workingWindows
+ * @param busy {Array} [ { startDatetime, endDatetime }, ... ] in any order, may overlap
+ *
+ * @returns {Array} [ { start: Date, end: Date }, ... ] free intervals in order
+ */
+
+function freeIntervals(windows, busy) {
+    const blocks = busy
+        .map(b => ({ start: new Date(b.startDatetime), end: new Date(b.endDatetime) }))
+        .sort((a, b) => a.start - b.start);
+
+    const free = [];
+    for (const window of windows) {
+        let cursor = window.start;
+        for (const block of blocks) {
+            if (block.end <= cursor || block.start >= window.end) continue;
+            if (block.start > cursor) free.push({ start: cursor, end: block.start });
+            if (block.end > cursor) cursor = block.end;
+            if (cursor >= window.end) break;
+        }
+        if (cursor < window.end) free.push({ start: cursor, end: window.end });
+    }
+    return free;
+}
+
+module.exports = { workingWindows, freeIntervals };
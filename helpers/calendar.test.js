@@ -0,0 +1,49 @@
+const { workingWindows, freeIntervals } = require("./calendar");
+
+const HOURS = { startHour: 9, endHour: 17 };
+
+describe("workingWindows", function () {
+    test("works: skips weekends", function () {
+        expect(workingWindows("2024-01-05", "2024-01-08", HOURS)).toEqual([
+            { start: new Date("2024-01-05T09:00:00Z"), end: new Date("2024-01-05T17:00:00Z") },
+            { start: new Date("2024-01-08T09:00:00Z"), end: new Date("2024-01-08T17:00:00Z") }
+        ]);
+    });
+
+    test("works: empty when the range is a weekend", function () {
+        expect(workingWindows("2024-01-06", "2024-01-07", HOURS)).toEqual([]);
+    });
+});
+
+describe("freeIntervals", function () {
+    const windows = workingWindows("2024-01-08", "2024-01-09", HOURS);
+
+    test("works: no busy time", function () {
+        expect(freeIntervals(windows, [])).toEqual(windows);
+    });
+
+    test("works: busy blocks split the day", function () {
+        const busy = [
+            { startDatetime: "2024-01-08T13:00:00Z", endDatetime: "2024-01-08T14:00:00Z" },
+            { startDatetime: "2024-01-08T10:00:00Z", endDatetime: "2024-01-08T11:30:00Z" },
+            // overlaps the block before it
+            { startDatetime: "2024-01-08T11:00:00Z", endDatetime: "2024-01-08T12:00:00Z" }
+        ];
+        expect(freeIntervals(windows, busy)).toEqual([
+            { start: new Date("2024-01-08T09:00:00Z"), end: new Date("2024-01-08T10:00:00Z") },
+            { start: new Date("2024-01-08T12:00:00Z"), end: new Date("2024-01-08T13:00:00Z") },
+            { start: new Date("2024-01-08T14:00:00Z"), end: new Date("2024-01-08T17:00:00Z") },
+            windows[1]
+        ]);
+    });
+
+    test("works: blocks past the working day", function () {
+        const busy = [
+            { startDatetime: "2024-01-08T07:00:00Z", endDatetime: "2024-01-08T10:00:00Z" },
+            { startDatetime: "2024-01-08T16:00:00Z", endDatetime: "2024-01-09T18:00:00Z" }
+        ];
+        expect(freeIntervals(windows, busy)).toEqual([
+            { start: new Date("2024-01-08T10:00:00Z"), end: new Date("2024-01-08T16:00:00Z") }
+        ]);
+    });
+});
@@ -0,0 +1,76 @@
+/** Helpers for reading CSV text. */
+
+/** Parse CSV text into rows of cells.
+ * 
+ * Handles quoted cells containing commas, escaped quotes ("") and line breaks.
+ * Blank lines are skipped.
+ * 
+ * @param text {String} CSV text, lines separated by LF or CRLF
+ * 
+ * @returns {Array} [ [cell1, cell2, ...], ... ]
+ * 
+ * @example
+ *      parseCsv('a,"b, c"\n1,2') => [ ["a", "b, c"], ["1", "2"] ]
+ */
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(r => !(r.length === 1 && r[0].trim() === ""));
+}
+
+/** Parse CSV text with a header line into objects keyed by header.
+ * 
+ * Header names are trimmed and lowercased.
+ * 
+ * @param text {String} CSV text
+ * 
+ * @returns {Object} { headers: [ ... ], records: [ { header: value, ... }, ... ] }
+ */
+
+function parseCsvRecords(text) {
+    const [headerRow = [], ...rows] = parseCsv(text);
+    const headers = headerRow.map(h => h.trim().toLowerCase());
+    const records = rows.map(row => {
+        const record = {};
+        headers.forEach((header, idx) => {
+            record[header] = row[idx] === undefined ? "" : row[idx].trim();
+        });
+        return record;
+    });
+    return { headers, records };
+}
+
+module.exports = { parseCsv, parseCsvRecords };
@@ -0,0 +1,35 @@
+const { parseCsv, parseCsvRecords } = require("./csv");
+
+describe("parseCsv", function () {
+    test("works: simple", function () {
+        expect(parseCsv("a,b\n1,2")).toEqual([["a", "b"], ["1", "2"]]);
+    });
+
+    test("works: quoted cells", function () {
+        expect(parseCsv('a,"b, ""c""\nd"\r\n1,2\r\n')).toEqual([
+            ["a", 'b, "c"\nd'],
+            ["1", "2"]
+        ]);
+    });
+
+    test("works: skips blank lines, keeps empty cells", function () {
+        expect(parseCsv("a,,c\n\n1,2,\n")).toEqual([["a", "", "c"], ["1", "2", ""]]);
+    });
+});
+
+describe("parseCsvRecords", function () {
+    test("works", function () {
+        const result = parseCsvRecords(" Project ,Email\nWebsite, test@test.com \nApp");
+        expect(result).toEqual({
+            headers: ["project", "email"],
+            records: [
+                { project: "Website", email: "test@test.com" },
+                { project: "App", email: "" }
+            ]
+        });
+    });
+
+    test("works: empty text", function () {
+        expect(parseCsvRecords("")).toEqual({ headers: [], records: [] });
+    });
+});
@@ -0,0 +1,187 @@
+/** Helpers for exporting sessions and reports as CSV and iCalendar. */
+
+const CSV_COLUMNS = [
+    "id",
+    "firstName",
+    "lastName",
+    "email",
+    "projectName",
+    "categoryName",
+    "comment",
+    "startDatetime",
+    "endDatetime",
+    "durationHours"
+];
+
+/** Format a value for a CSV cell, quoting when needed.
+ * 
+ * Text starting with =, +, -, @, tab or carriage return is prefixed with ' so
+ * spreadsheets don't run it as a formula. Numbers are left as they are.
+ * 
+ * @param value {*} cell value, null/undefined become an empty cell
+ * 
+ * @returns {String}
+ * 
+ * @example
+ *      csvCell('said "hi", left') => '"said ""hi"", left"'
+ *      csvCell("=SUM(A1:A9)") => "'=SUM(A1:A9)"
+ */
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    if (/[",\r\n]/.test(str)) return `"${str.replace(/"/g, '""')}"`;
+    return str;
+}
+
+/** Header line for a sessions CSV export. */
+
+function csvHeader() {
+    return CSV_COLUMNS.join(",") + "\r\n";
+}
+
+/** Convert an export session into a CSV line.
+ * 
+ * @param session {Object} { id, firstName, lastName, email, projectName, categoryName,
+ *      comment, startDatetime, endDatetime, durationSeconds }
+ * 
+ * @returns {String} line terminated with CRLF
+ */
+
+function sessionToCsvRow(session) {
+    const row = {
+        ...session,
+        durationHours: (session.durationSeconds / 3600).toFixed(2)
+    };
+    return CSV_COLUMNS.map(col => csvCell(row[col])).join(",") + "\r\n";
+}
+
+/** Convert report rows into a CSV document with a header line.
+ * 
+ * @param rows {Array} objects holding a value for each column
+ * @param columns {Array} column names, in order
+ * 
+ * @returns {String} lines terminated with CRLF
+ * 
+ * @example
+ *      rowsToCsv([{ projectName: "Web", cost: 150 }], ["projectName", "cost"])
+ *          => "projectName,cost\r\nWeb,150\r\n"
+ */
+
+function rowsToCsv(rows, columns) {
+    const lines = [columns.join(",")];
+    for (const row of rows) lines.push(columns.map(col => csvCell(row[col])).join(","));
+    return lines.join("\r\n") + "\r\n";
+}
+
+/** Format a date as an iCalendar UTC timestamp, ex: 20240102T030405Z */
+
+function icsDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/** Escape text per RFC 5545 (backslash, semicolon, comma, newline). */
+
+function icsText(value) {
+    return String(value === null || value === undefined ? "" : value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line to 75 characters per RFC 5545. */
+
+function icsFold(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+        parts.push(rest.slice(0, 75));
+        rest = " " + rest.slice(75);
+    }
+    parts.push(rest);
+    return parts.join("\r\n") + "\r\n";
+}
+
+/** Opening lines of an iCalendar export. */
+
+function icsHeader() {
+    return [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//proma//sessions//EN",
+        "CALSCALE:GREGORIAN"
+    ].map(icsFold).join("");
+}
+
+/** Closing line of an iCalendar export. */
+
+function icsFooter() {
+    return icsFold("END:VCALENDAR");
+}
+
+/** Convert an export session into a VEVENT.
+ * 
+ * Sessions still running end at the time of export.
+ * 
+ * @param session {Object} same shape as sessionToCsvRow
+ * @param now {Date} timestamp for DTSTAMP and open sessions
+ * 
+ * @returns {String} VEVENT block
+ */
+
+function sessionToVevent(session, now = new Date()) {
+    const hours = (session.durationSeconds / 3600).toFixed(2);
+    const description = [
+        session.comment,
+        `Category: ${session.categoryName}`,
+        `Duration: ${hours} hours`
+    ].filter(Boolean).join("\n");
+    return [
+        "BEGIN:VEVENT",
+        `UID:session-${session.id}@proma`,
+        `DTSTAMP:${icsDate(now)}`,
+        `DTSTART:${icsDate(session.startDatetime)}`,
+        `DTEND:${icsDate(session.endDatetime || now)}`,
+        `SUMMARY:${icsText(`${session.projectName} (${session.categoryName})`)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        "END:VEVENT"
+    ].map(icsFold).join("");
+}
+
+/** Stream sessions to the response as a CSV or iCalendar attachment.
+ * 
+ * @param res {Object} express response
+ * @param sessions {Array} export sessions, see sessionToCsvRow
+ * @param format {String} "csv" or "ics"
+ * @param filename {String} attachment name without extension
+ */
+
+function sendSessionExport(res, sessions, format, filename) {
+    if (format === "ics") {
+        const now = new Date();
+        res.type("text/calendar");
+        res.attachment(`${filename}.ics`);
+        res.write(icsHeader());
+        for (const session of sessions) res.write(sessionToVevent(session, now));
+        res.write(icsFooter());
+    } else {
+        res.type("text/csv");
+        res.attachment(`${filename}.csv`);
+        res.write(csvHeader());
+        for (const session of sessions) res.write(sessionToCsvRow(session));
+    }
+    return res.end();
+}
+
+module.exports = {
+    csvCell,
+    csvHeader,
+    sessionToCsvRow,
+    rowsToCsv,
+    icsHeader,
+    icsFooter,
+    sessionToVevent,
+    sendSessionExport
+};
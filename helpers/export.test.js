@@ -0,0 +1,132 @@
+const {
+    csvCell,
+    csvHeader,
+    sessionToCsvRow,
+    rowsToCsv,
+    icsHeader,
+    icsFooter,
+    sessionToVevent
+} = require("./export");
+
+const session = {
+    id: 7,
+    firstName: "Test",
+    lastName: "User",
+    email: "test@test.com",
+    projectName: "Website",
+    categoryName: "development",
+    comment: "fixed nav, again",
+    startDatetime: new Date("2024-01-02T09:00:00Z"),
+    endDatetime: new Date("2024-01-02T10:30:00Z"),
+    durationSeconds: 5400
+};
+
+describe("csvCell", function () {
+    test("works: plain value", function () {
+        expect(csvCell("abc")).toEqual("abc");
+        expect(csvCell(5)).toEqual("5");
+    });
+
+    test("works: quotes commas and quotes", function () {
+        expect(csvCell('said "hi", left')).toEqual('"said ""hi"", left"');
+    });
+
+    test("works: empty for null", function () {
+        expect(csvCell(null)).toEqual("");
+        expect(csvCell(undefined)).toEqual("");
+    });
+
+    test("works: formulas escaped", function () {
+        expect(csvCell("=HYPERLINK(\"http://x\")")).toEqual('"\'=HYPERLINK(""http://x"")"');
+        expect(csvCell("+1")).toEqual("'+1");
+        expect(csvCell("-2+3")).toEqual("'-2+3");
+        expect(csvCell("@SUM(A1)")).toEqual("'@SUM(A1)");
+        expect(csvCell("\t=1")).toEqual("'\t=1");
+        expect(csvCell("\r=1")).toEqual('"\'\r=1"');
+        expect(csvCell("a=b")).toEqual("a=b");
+    });
+
+    test("works: negative numbers left as numbers", function () {
+        expect(csvCell(-1.5)).toEqual("-1.5");
+    });
+});
+
+describe("sessionToCsvRow", function () {
+    test("works", function () {
+        expect(csvHeader()).toEqual(
+            "id,firstName,lastName,email,projectName,categoryName,comment,startDatetime,endDatetime,durationHours\r\n"
+        );
+        expect(sessionToCsvRow(session)).toEqual(
+            '7,Test,User,test@test.com,Website,development,"fixed nav, again",' +
+            "2024-01-02T09:00:00.000Z,2024-01-02T10:30:00.000Z,1.50\r\n"
+        );
+    });
+
+    test("works: open session", function () {
+        const row = sessionToCsvRow({ ...session, endDatetime: null, comment: null });
+        expect(row).toContain(",,2024-01-02T09:00:00.000Z,,1.50");
+    });
+});
+
+describe("rowsToCsv", function () {
+    test("works", function () {
+        const rows = [
+            { projectName: "Website, v2", periodStart: new Date("2024-01-01T00:00:00Z"), cost: 150.5 },
+            { projectName: "App", periodStart: new Date("2024-02-01T00:00:00Z"), cost: 0 }
+        ];
+        expect(rowsToCsv(rows, ["projectName", "periodStart", "cost"])).toEqual(
+            "projectName,periodStart,cost\r\n" +
+            '"Website, v2",2024-01-01T00:00:00.000Z,150.5\r\n' +
+            "App,2024-02-01T00:00:00.000Z,0\r\n"
+        );
+    });
+
+    test("works: header only without rows", function () {
+        expect(rowsToCsv([], ["projectName", "cost"])).toEqual("projectName,cost\r\n");
+    });
+
+    test("works: formulas in names escaped", function () {
+        const rows = [{ projectName: "=cmd|'/c calc'!A1", cost: -5 }];
+        expect(rowsToCsv(rows, ["projectName", "cost"])).toEqual(
+            "projectName,cost\r\n" +
+            "'=cmd|'/c calc'!A1,-5\r\n"
+        );
+    });
+});
+
+describe("sessionToVevent", function () {
+    test("works", function () {
+        const now = new Date("2024-01-03T00:00:00Z");
+        const event = sessionToVevent(session, now);
+        expect(event).toEqual(
+            "BEGIN:VEVENT\r\n" +
+            "UID:session-7@proma\r\n" +
+            "DTSTAMP:20240103T000000Z\r\n" +
+            "DTSTART:20240102T090000Z\r\n" +
+            "DTEND:20240102T103000Z\r\n" +
+            "SUMMARY:Website (development)\r\n" +
+            "DESCRIPTION:fixed nav\\, again\\nCategory: development\\nDuration: 1.50 hours\r\n" +
+            "END:VEVENT\r\n"
+        );
+    });
+
+    test("works: open session ends now", function () {
+        const now = new Date("2024-01-02T11:00:00Z");
+        const event = sessionToVevent({ ...session, endDatetime: null }, now);
+        expect(event).toContain("DTEND:20240102T110000Z\r\n");
+    });
+
+    test("works: folds long lines", function () {
+        const event = sessionToVevent({ ...session, comment: "x".repeat(100) });
+        const lines = event.split("\r\n");
+        expect(lines.every(line => line.length <= 75)).toBeTruthy();
+        expect(lines.some(line => line.startsWith(" x"))).toBeTruthy();
+    });
+});
+
+describe("icsHeader/icsFooter", function () {
+    test("works", function () {
+        expect(icsHeader()).toContain("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n");
+        expect(icsFooter()).toEqual("END:VCALENDAR\r\n");
+    });
+});
@@ -0,0 +1,66 @@
+const fs = require("fs");
+const { MAIL_TRANSPORT, MAIL_FILE, MAIL_FROM } = require("../config");
+
+/** Outgoing mail with a pluggable transport.
+ * 
+ * A transport is an async function receiving { from, to, subject, text, date }.
+ * The built in transports log to the console or append JSON lines to a file,
+ * anything else (SMTP, an email API) can be plugged in with setTransport.
+ */
+
+/** Transport that logs only the recipient and subject.
+ * 
+ * Bodies can hold invitation tokens, so they are never logged by default.
+ */
+
+async function logTransport(message) {
+    console.log(`mail to ${message.to}: ${message.subject}`);
+}
+
+/** Transport that prints whole messages to the console, for development only. */
+
+async function consoleTransport(message) {
+    console.log(`mail to ${message.to}: ${message.subject}\n${message.text}`);
+}
+
+/** Create a transport that appends each message as a JSON line to path. */
+
+function createFileTransport(path) {
+    return async function fileTransport(message) {
+        await fs.promises.appendFile(path, JSON.stringify(message) + "\n");
+    };
+}
+
+const transports = {
+    log: logTransport,
+    console: consoleTransport,
+    file: createFileTransport(MAIL_FILE),
+};
+
+let transport = transports[MAIL_TRANSPORT] || logTransport;
+
+/** Replace the transport used by sendMail.
+ * 
+ * @param newTransport {String|Function} name of a built in transport or a transport function
+ */
+
+function setTransport(newTransport) {
+    const found = typeof newTransport === "function" ? newTransport : transports[newTransport];
+    if (!found) throw new Error(`unknown mail transport: ${newTransport}`);
+    transport = found;
+}
+
+/** Send a message through the current transport.
+ * 
+ * @param message {Object} { to, subject, text }
+ * 
+ * @returns {Object} the message as sent, { from, to, subject, text, date }
+ */
+
+async function sendMail({ to, subject, text }) {
+    const message = { from: MAIL_FROM, to, subject, text, date: new Date().toISOString() };
+    await transport(message);
+    return message;
+}
+
+module.exports = { sendMail, setTransport, createFileTransport };
@@ -0,0 +1,55 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { sendMail, setTransport, createFileTransport } = require("./mailer");
+
+afterEach(function () {
+    jest.restoreAllMocks();
+});
+
+afterAll(function () {
+    setTransport("log");
+});
+
+describe("sendMail", function () {
+    test("works: custom transport", async function () {
+        const sent = [];
+        setTransport(async message => sent.push(message));
+        const message = await sendMail({ to: "test@test.com", subject: "hi", text: "hello" });
+        expect(sent).toEqual([message]);
+        expect(message).toEqual({
+            from: expect.any(String),
+            to: "test@test.com",
+            subject: "hi",
+            text: "hello",
+            date: expect.any(String)
+        });
+    });
+
+    test("works: file transport", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "proma-mail-"));
+        const file = path.join(dir, "mail.log");
+        setTransport(createFileTransport(file));
+        await sendMail({ to: "a@test.com", subject: "one", text: "1" });
+        await sendMail({ to: "b@test.com", subject: "two", text: "2" });
+        const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(l => JSON.parse(l));
+        expect(lines.map(l => l.to)).toEqual(["a@test.com", "b@test.com"]);
+        fs.rmSync(dir, { recursive: true });
+    });
+});
+
+describe("log transport", function () {
+    test("logs the recipient and subject but not the body", async function () {
+        const log = jest.spyOn(console, "log").mockImplementation(() => {});
+        setTransport("log");
+        await sendMail({ to: "test@test.com", subject: "invited", text: "token: secret-token" });
+        expect(log).toHaveBeenCalledWith("mail to test@test.com: invited");
+        expect(log.mock.calls.flat().join("\n")).not.toContain("secret-token");
+    });
+});
+
+describe("setTransport", function () {
+    test("throws on unknown transport", function () {
+        expect(() => setTransport("carrier-pigeon")).toThrow();
+    });
+});
@@ -0,0 +1,42 @@
+/** Helpers for @mentions in comments. */
+
+// @ then an email, or the part of one before its @, not preceded by a word character
+const MENTION_REGEX = /(^|[^\w.@])@([\w.%+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+/** Find the users mentioned in a text.
+ *
+ * A mention is @ followed by a user's email, or by the part of the email before
+ * its @ when no other user's email shares it. Matching ignores case and
+ * trailing punctuation, mentions of anyone else are ignored.
+ *
+ * @param text {String} comment body
+ * @param users {Array} [ { id, email }, ... ] who can be mentioned, ex: a board's users
+ *
+ * @returns {Array} ids of the users mentioned, in order of first mention
+ *
+ * @example
+ *      findMentions("thanks @ann and @bob@example.com!",
+ *                   [ { id: 1, email: "ann@example.com" }, { id: 2, email: "bob@example.com" } ])
+ *          => [1, 2]
+ */
+
+function findMentions(text, users) {
+    const byEmail = new Map();
+    const byName = new Map();
+    for (const { id, email } of users) {
+        const lower = email.toLowerCase();
+        byEmail.set(lower, id);
+        const name = lower.split("@")[0];
+        byName.set(name, byName.has(name) ? null : id);
+    }
+
+    const ids = [];
+    for (const match of text.matchAll(MENTION_REGEX)) {
+        const handle = match[2].toLowerCase().replace(/[.]+$/, "");
+        const id = handle.includes("@") ? byEmail.get(handle) : byName.get(handle);
+        if (id !== undefined && id !== null && !ids.includes(id)) ids.push(id);
+    }
+    return ids;
+}
+
+module.exports = { findMentions };
@@ -0,0 +1,35 @@
+const { findMentions } = require("./mentions");
+
+const users = [
+    { id: 1, email: "ann@example.com" },
+    { id: 2, email: "Bob.Smith@example.com" },
+    { id: 3, email: "sam@example.com" },
+    { id: 4, email: "sam@other.org" }
+];
+
+describe("findMentions", function () {
+    test("works", function () {
+        expect(findMentions("thanks @ann and @bob.smith@example.com!", users)).toEqual([1, 2]);
+    });
+
+    test("works: ignores case and trailing punctuation", function () {
+        expect(findMentions("@Bob.Smith. can you check? cc @ANN.", users)).toEqual([2, 1]);
+    });
+
+    test("works: each user once, in order of first mention", function () {
+        expect(findMentions("@bob.smith @ann @bob.smith", users)).toEqual([2, 1]);
+    });
+
+    test("works: shared name needs the full email", function () {
+        expect(findMentions("@sam", users)).toEqual([]);
+        expect(findMentions("@sam@other.org", users)).toEqual([4]);
+    });
+
+    test("works: skips unknown users and emails in text", function () {
+        expect(findMentions("@nobody, mail ann@example.com", users)).toEqual([]);
+    });
+
+    test("works: no mentions", function () {
+        expect(findMentions("", users)).toEqual([]);
+    });
+});
@@ -32,4 +32,112 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
         values: Object.values(dataToUpdate)
     };
 }
-module.exports = { sqlForPartialUpdate };
\ No newline at end of file
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+/** Larger offsets are clamped, any page past it is empty and bigger numbers are out of Postgres' range */
+const MAX_OFFSET = 2147483647;
+/** Largest value of an integer id column, bigger ids would make Postgres raise */
+const MAX_ID = 2147483647;
+
+/** A date without a time, ex: "2024-01-31" */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Helper function for the upper bound of a date range filter.
+ * 
+ * A date-only endDate covers that whole day, a date-time is an exact bound.
+ * 
+ * @param column {String} column compared, ex: "s.start_datetime"
+ * @param endDate {String} date or date-time, already validated
+ * @param idx {Number} placeholder number of endDate in the query's values
+ * 
+ * @returns {String} condition for a WHERE clause
+ * 
+ * @example
+ *      sqlForEndDate("s.start_datetime", "2024-01-31", 3) => "s.start_datetime < $3::date + 1"
+ *      sqlForEndDate("s.start_datetime", "2024-01-31T12:00:00Z", 3) => "s.start_datetime <= $3"
+ */
+
+function sqlForEndDate(column, endDate, idx) {
+    return DATE_ONLY.test(endDate) ? `${column} < $${idx}::date + 1` : `${column} <= $${idx}`;
+}
+
+/**
+ * Helper function for building filtered, sorted and paginated list queries.
+ * 
+ * Return value can be used to create the WHERE, ORDER BY and LIMIT/OFFSET
+ * clauses of a SELECT statement, and the WHERE clause of a matching COUNT.
+ * Query values should already be validated with jsonschema.
+ * 
+ * @param query {Object} request query, ex: { userId: "2", sort: "startDatetime", order: "desc", limit: "20" }
+ * @param options {Object}
+ *      filters: maps filter names to { column, op }, op defaults to "="
+ *          ex: { userId: { column: "s.user_id" }, startDate: { column: "s.start_datetime", op: ">=" } }
+ *          { column, endDate: true } filters like sqlForEndDate instead
+ *          { column, id: true } raises BadRequestError for values above MAX_ID
+ *      sortKeys: maps whitelisted sort keys to an SQL column, or an array of columns sorted in turn,
+ *          ex: { startDatetime: "s.start_datetime", stage: ["p.stage", "p.position"] }
+ *      defaultSort: sort key used when the query has none
+ *      defaultOrder: "asc" or "desc" when the query has no order, defaults to "asc"
+ *      idColumn: appended to ORDER BY so pages are stable, ex: "s.id"
+ *      startIdx: number of values the caller's query already uses, defaults to 0
+ * 
+ * @returns {Object} { whereClauses, values, orderBy, limit, offset }
+ * 
+ * @example
+ *      sqlForListQuery(
+ *          { userId: "2", sort: "startDatetime", limit: "20" },
+ *          { filters: { userId: { column: "s.user_id" } },
+ *            sortKeys: { startDatetime: "s.start_datetime" },
+ *            defaultSort: "startDatetime",
+ *            startIdx: 1 }) =>
+ *      {
+ *          whereClauses: ['s.user_id = $2'],
+ *          values: ['2'],
+ *          orderBy: 's.start_datetime ASC',
+ *          limit: 20,
+ *          offset: 0
+ *      }
+ */
+
+function sqlForListQuery(query, options) {
+    const {
+        filters = {},
+        sortKeys,
+        defaultSort,
+        defaultOrder = "asc",
+        idColumn,
+        startIdx = 0
+    } = options;
+
+    const whereClauses = [];
+    const values = [];
+    for (const [name, { column, op = "=", endDate = false, id = false }] of Object.entries(filters)) {
+        if (query[name] === undefined || query[name] === "") continue;
+        if (id && +query[name] > MAX_ID) throw new BadRequestError(`${name} must be at most ${MAX_ID}`);
+        values.push(query[name]);
+        const idx = startIdx + values.length;
+        whereClauses.push(endDate ? sqlForEndDate(column, query[name], idx) : `${column} ${op} $${idx}`);
+    }
+
+    const sort = query.sort || defaultSort;
+    if (!sortKeys[sort]) throw new BadRequestError(`cannot sort by ${sort}`);
+    const order = (query.order || defaultOrder).toLowerCase() === "desc" ? "DESC" : "ASC";
+    const sortCols = [].concat(sortKeys[sort]);
+    const orderCols = sortCols.map(col => `${col} ${order}`);
+    if (idColumn && !sortCols.includes(idColumn)) orderCols.push(`${idColumn} ${order}`);
+
+    const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.min(parseInt(query.offset, 10) || 0, MAX_OFFSET);
+
+    return {
+        whereClauses,
+        values,
+        orderBy: orderCols.join(", "),
+        limit,
+        offset
+    };
+}
+
+module.exports = { sqlForPartialUpdate, sqlForEndDate, sqlForListQuery, DEFAULT_LIMIT, MAX_LIMIT, MAX_OFFSET, MAX_ID };
\ No newline at end of file
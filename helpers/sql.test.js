@@ -1,4 +1,7 @@
-const { sqlForPartialUpdate } = require("./sql");
+const jsonschema = require("jsonschema");
+const { sqlForPartialUpdate, sqlForEndDate, sqlForListQuery, DEFAULT_LIMIT, MAX_LIMIT, MAX_OFFSET, MAX_ID } = require("./sql");
+const { BadRequestError } = require("../expressError");
+const sessionListSchema = require("../schemas/sessionList.json");
 
 describe("sqlForPartialUpdate", function () {
     test("works: 1 item", function () {
@@ -20,4 +23,95 @@ describe("sqlForPartialUpdate", function () {
             values: ["square", "false"],
         });
     });
-});
\ No newline at end of file
+});
+
+describe("sqlForEndDate", function () {
+    test("works: date covers the whole day", function () {
+        expect(sqlForEndDate("s.start_datetime", "2024-01-31", 3)).toEqual("s.start_datetime < $3::date + 1");
+    });
+
+    test("works: date-time is exact", function () {
+        expect(sqlForEndDate("s.start_datetime", "2024-01-31T12:00:00Z", 3)).toEqual("s.start_datetime <= $3");
+    });
+});
+
+describe("sqlForListQuery", function () {
+    const options = {
+        filters: {
+            userId: { column: "s.user_id" },
+            startDate: { column: "s.start_datetime", op: ">=" },
+            endDate: { column: "s.start_datetime", endDate: true }
+        },
+        sortKeys: { startDatetime: "s.start_datetime", id: "s.id" },
+        defaultSort: "startDatetime",
+        idColumn: "s.id"
+    };
+
+    test("works: defaults", function () {
+        const result = sqlForListQuery({}, options);
+        expect(result).toEqual({
+            whereClauses: [],
+            values: [],
+            orderBy: "s.start_datetime ASC, s.id ASC",
+            limit: DEFAULT_LIMIT,
+            offset: 0
+        });
+    });
+
+    test("works: filters, sort and pages", function () {
+        const result = sqlForListQuery(
+            { userId: "2", endDate: "2024-01-31", sort: "id", order: "desc", limit: "20", offset: "40" },
+            { ...options, startIdx: 1 });
+        expect(result).toEqual({
+            whereClauses: ["s.user_id = $2", "s.start_datetime < $3::date + 1"],
+            values: ["2", "2024-01-31"],
+            orderBy: "s.id DESC",
+            limit: 20,
+            offset: 40
+        });
+    });
+
+    test("works: sort key with several columns", function () {
+        const result = sqlForListQuery(
+            { sort: "stage", order: "desc" },
+            { sortKeys: { stage: ["p.stage", "p.position"] }, defaultSort: "stage", idColumn: "p.id" });
+        expect(result.orderBy).toEqual("p.stage DESC, p.position DESC, p.id DESC");
+    });
+
+    test("works: caps limit", function () {
+        const result = sqlForListQuery({ limit: "100000" }, options);
+        expect(result.limit).toEqual(MAX_LIMIT);
+    });
+
+    test("works: caps offset", function () {
+        const result = sqlForListQuery({ offset: "99999999999999999999999" }, options);
+        expect(result.offset).toEqual(MAX_OFFSET);
+    });
+
+    test("bad request for unknown sort key", function () {
+        expect(() => sqlForListQuery({ sort: "password" }, options)).toThrow(BadRequestError);
+    });
+
+    describe("session list ids", function () {
+        const idOptions = {
+            filters: {
+                userId: { column: "s.user_id", id: true },
+                projectId: { column: "s.project_id", id: true },
+                categoryId: { column: "s.category_id", id: true },
+                taskId: { column: "s.task_id", id: true }
+            },
+            sortKeys: { id: "s.id" },
+            defaultSort: "id"
+        };
+
+        test.each(["userId", "projectId", "categoryId", "taskId"])("%s: schema refuses more than 10 digits", function (name) {
+            expect(jsonschema.validate({ [name]: "9999999999" }, sessionListSchema).valid).toBe(true);
+            expect(jsonschema.validate({ [name]: "99999999999" }, sessionListSchema).valid).toBe(false);
+        });
+
+        test.each(["userId", "projectId", "categoryId", "taskId"])("%s: bad request above MAX_ID", function (name) {
+            expect(sqlForListQuery({ [name]: String(MAX_ID) }, idOptions).values).toEqual([String(MAX_ID)]);
+            expect(() => sqlForListQuery({ [name]: String(MAX_ID + 1) }, idOptions)).toThrow(BadRequestError);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const { ATTACHMENT_STORAGE, ATTACHMENT_DIR } = require("../config");
+const { NotFoundError } = require("../expressError");
+
+/** File storage for attachments with a pluggable backend.
+ *
+ * A backend is an object of async functions { save(key, buffer), open(key), remove(key) },
+ * where open resolves to a readable stream. The built in backend keeps files on the
+ * local filesystem, anything else (S3, a CDN) can be plugged in with setStorage.
+ */
+
+/** Create a backend keeping each file at dir/key. */
+
+function createLocalStorage(dir) {
+    function filePath(key) {
+        const resolved = path.resolve(dir, key);
+        if (!resolved.startsWith(path.resolve(dir) + path.sep)) throw new Error(`invalid storage key: ${key}`);
+        return resolved;
+    }
+
+    return {
+        async save(key, buffer) {
+            const file = filePath(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer, { flag: "wx" });
+        },
+        async open(key) {
+            const file = filePath(key);
+            try {
+                await fs.promises.access(file);
+            } catch (err) {
+                throw new NotFoundError("file not found in storage");
+            }
+            return fs.createReadStream(file);
+        },
+        async remove(key) {
+            await fs.promises.rm(filePath(key), { force: true });
+        }
+    };
+}
+
+const backends = {
+    local: createLocalStorage(ATTACHMENT_DIR),
+};
+
+let backend = backends[ATTACHMENT_STORAGE] || backends.local;
+
+/** Replace the backend used for attachments.
+ *
+ * @param newBackend {String|Object} name of a built in backend or a backend object
+ */
+
+function setStorage(newBackend) {
+    const found = typeof newBackend === "object" ? newBackend : backends[newBackend];
+    if (!found) throw new Error(`unknown storage backend: ${newBackend}`);
+    backend = found;
+}
+
+/** Random key to store a new file under, grouped in folders by month.
+ *
+ * @example
+ *      createStorageKey(new Date("2024-03-05")) => "2024-03/9f86d081884c7d659a2feaa0c55ad015"
+ */
+
+function createStorageKey(date = new Date()) {
+    const month = date.toISOString().slice(0, 7);
+    return `${month}/${crypto.randomBytes(16).toString("hex")}`;
+}
+
+/** Store a file under key. */
+
+async function saveFile(key, buffer) {
+    await backend.save(key, buffer);
+}
+
+/** Readable stream of a stored file, raises NotFoundError if it's missing. */
+
+async function openFile(key) {
+    return backend.open(key);
+}
+
+/** Delete a stored file, missing files are ignored. */
+
+async function removeFile(key) {
+    await backend.remove(key);
+}
+
+/** Stream a stored file to the response as a download.
+ *
+ * @param res {Object} express response
+ * @param file {Object} { fileName, mimeType, sizeBytes }, ex: an attachment
+ * @param stream {Object} readable stream of the file, see openFile
+ *
+ * @returns {Promise} resolves once the file is sent
+ */
+
+async function sendStoredFile(res, { fileName, mimeType, sizeBytes }, stream) {
+    // attachment guesses a type from the name, the uploaded type wins
+    res.attachment(fileName);
+    res.type(mimeType);
+    res.set("Content-Length", String(sizeBytes));
+    res.set("X-Content-Type-Options", "nosniff");
+    await pipeline(stream, res);
+}
+
+module.exports = {
+    saveFile,
+    openFile,
+    removeFile,
+    setStorage,
+    createLocalStorage,
+    createStorageKey,
+    sendStoredFile
+};
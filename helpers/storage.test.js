@@ -0,0 +1,102 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const {
+    saveFile,
+    openFile,
+    removeFile,
+    setStorage,
+    createLocalStorage,
+    createStorageKey,
+    sendStoredFile
+} = require("./storage");
+const { NotFoundError } = require("../expressError");
+
+let dir;
+
+beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "proma-files-"));
+    setStorage(createLocalStorage(dir));
+});
+
+afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+});
+
+afterAll(function () {
+    setStorage("local");
+});
+
+/** Read a stream to a string */
+async function readAll(stream) {
+    let text = "";
+    for await (const chunk of stream) text += chunk;
+    return text;
+}
+
+describe("local storage", function () {
+    test("works: save, open and remove", async function () {
+        await saveFile("2024-03/abc", Buffer.from("hello"));
+        expect(fs.readFileSync(path.join(dir, "2024-03", "abc"), "utf8")).toEqual("hello");
+        expect(await readAll(await openFile("2024-03/abc"))).toEqual("hello");
+
+        await removeFile("2024-03/abc");
+        await expect(openFile("2024-03/abc")).rejects.toThrow(NotFoundError);
+    });
+
+    test("won't overwrite a stored file", async function () {
+        await saveFile("abc", Buffer.from("one"));
+        await expect(saveFile("abc", Buffer.from("two"))).rejects.toThrow();
+    });
+
+    test("removing a missing file is ignored", async function () {
+        await expect(removeFile("nothing")).resolves.toBeUndefined();
+    });
+
+    test("rejects keys outside the directory", async function () {
+        await expect(saveFile("../escape", Buffer.from("x"))).rejects.toThrow("invalid storage key");
+    });
+});
+
+describe("setStorage", function () {
+    test("works: custom backend", async function () {
+        const saved = {};
+        setStorage({
+            save: async (key, buffer) => { saved[key] = buffer; },
+            open: async () => null,
+            remove: async key => { delete saved[key]; }
+        });
+        await saveFile("abc", Buffer.from("hi"));
+        expect(saved.abc.toString()).toEqual("hi");
+    });
+
+    test("throws on unknown backend", function () {
+        expect(() => setStorage("floppy")).toThrow();
+    });
+});
+
+describe("createStorageKey", function () {
+    test("works", function () {
+        expect(createStorageKey(new Date("2024-03-05"))).toMatch(/^2024-03\/[0-9a-f]{32}$/);
+        expect(createStorageKey()).not.toEqual(createStorageKey());
+    });
+});
+
+describe("sendStoredFile", function () {
+    test("works", async function () {
+        await saveFile("abc", Buffer.from("hello"));
+        const app = express();
+        app.get("/file", async function (req, res) {
+            await sendStoredFile(res, { fileName: "notes.txt", mimeType: "text/plain", sizeBytes: 5 }, await openFile("abc"));
+        });
+
+        const resp = await request(app).get("/file");
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.text).toEqual("hello");
+        expect(resp.headers["content-type"]).toMatch(/^text\/plain/);
+        expect(resp.headers["content-disposition"]).toEqual('attachment; filename="notes.txt"');
+        expect(resp.headers["content-length"]).toEqual("5");
+    });
+});
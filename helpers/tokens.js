@@ -1,9 +1,15 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_EXPIRES_IN } = require("../config");
+const { BadRequestError } = require("../expressError");
 
-/** Return signed JWT from user data.  */
+/** Return signed, short-lived access JWT from user data.
+ * 
+ * tokenVersion is stored as the ver claim, tokens with an older version
+ * than the user's current one are rejected.
+ */
 
-function createToken(user) {
+function createToken(user, tokenVersion = 0) {
     console.assert(user.isPm !== undefined,
         "createToken passed user without isPm property"
     );
@@ -12,9 +18,66 @@ function createToken(user) {
         id: user.id,
         email: user.email,
         isPm: user.isPm || false,
+        isAdmin: user.isAdmin || false,
+        ver: tokenVersion,
+        type: "access",
     };
     
+    return jwt.sign(payload, SECRET_KEY, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+    });
+}
+
+/** Return signed, long-lived refresh JWT from user data.
+ * 
+ * Only carries the user ID, the rest is reloaded when it is exchanged.
+ */
+
+function createRefreshToken(user, tokenVersion = 0) {
+    let payload = {
+        id: user.id,
+        ver: tokenVersion,
+        type: "refresh",
+    };
+
+    return jwt.sign(payload, SECRET_KEY, {
+        expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+    });
+}
+
+/** Return signed invitation JWT, expiring with the invitation.
+ * 
+ * Single use is enforced by the invitation record, not the token.
+ */
+
+function createInvitationToken(invitation) {
+    let payload = {
+        invitationId: invitation.id,
+        boardId: invitation.boardId,
+        email: invitation.email,
+        type: "invite",
+        exp: Math.floor(new Date(invitation.expiresAt).getTime() / 1000),
+    };
+
     return jwt.sign(payload, SECRET_KEY);
 }
 
-module.exports = { createToken };
\ No newline at end of file
+/** Verify invitation JWT and return the invitation ID.
+ * 
+ * Raises BadRequestError if invalid or expired.
+ */
+
+function verifyInvitationToken(token) {
+    let payload;
+    try {
+        payload = jwt.verify(token, SECRET_KEY);
+    } catch (err) {
+        throw new BadRequestError("invalid or expired invitation token");
+    }
+    if (payload.type !== "invite") throw new BadRequestError("invalid or expired invitation token");
+    return payload.invitationId;
+}
+
+module.exports = { createToken, createRefreshToken, createInvitationToken, verifyInvitationToken };
@@ -1,6 +1,12 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+    createToken,
+    createRefreshToken,
+    createInvitationToken,
+    verifyInvitationToken
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
+const { BadRequestError } = require("../expressError");
 
 describe("createToken", function () {
     test("works: not pm", function() {
@@ -8,9 +14,14 @@ describe("createToken", function () {
         const payload = jwt.verify(token, SECRET_KEY);
         expect(payload).toEqual({
             iat: expect.any(Number),
+            exp: expect.any(Number),
+            jti: expect.any(String),
             id: 1,
             email: "test",
-            isPm: false
+            isPm: false,
+            isAdmin: false,
+            ver: 0,
+            type: "access"
         });
     });
 
@@ -19,9 +30,14 @@ describe("createToken", function () {
         const payload = jwt.verify(token, SECRET_KEY);
         expect(payload).toEqual({
             iat: expect.any(Number),
+            exp: expect.any(Number),
+            jti: expect.any(String),
             id: 1,
             email: "test",
-            isPm: true
+            isPm: true,
+            isAdmin: false,
+            ver: 0,
+            type: "access"
         });
     });
 
@@ -30,9 +46,93 @@ describe("createToken", function () {
         const payload = jwt.verify(token, SECRET_KEY);
         expect(payload).toEqual({
             iat: expect.any(Number),
+            exp: expect.any(Number),
+            jti: expect.any(String),
             id: 1,
             email: "test",
-            isPm: false
+            isPm: false,
+            isAdmin: false,
+            ver: 0,
+            type: "access"
         });
     });
-});
\ No newline at end of file
+
+    test("works: is admin", function() {
+        const token = createToken({ id: 1, email: "test", isPm: true, isAdmin: true });
+        const payload = jwt.verify(token, SECRET_KEY);
+        expect(payload.isAdmin).toEqual(true);
+    });
+
+    test("works: token version and expiry", function() {
+        const token = createToken({ id: 1, email: "test", isPm: false }, 3);
+        const payload = jwt.verify(token, SECRET_KEY);
+        expect(payload.ver).toEqual(3);
+        expect(payload.exp).toBeGreaterThan(payload.iat);
+    });
+
+    test("works: unique token IDs", function() {
+        const first = jwt.verify(createToken({ id: 1, email: "test", isPm: false }), SECRET_KEY);
+        const second = jwt.verify(createToken({ id: 1, email: "test", isPm: false }), SECRET_KEY);
+        expect(first.jti).not.toEqual(second.jti);
+    });
+});
+
+describe("createRefreshToken", function () {
+    test("works", function() {
+        const token = createRefreshToken({ id: 1, email: "test", isPm: false }, 2);
+        const payload = jwt.verify(token, SECRET_KEY);
+        expect(payload).toEqual({
+            iat: expect.any(Number),
+            exp: expect.any(Number),
+            jti: expect.any(String),
+            id: 1,
+            ver: 2,
+            type: "refresh"
+        });
+    });
+
+    test("works: outlives access token", function() {
+        const user = { id: 1, email: "test", isPm: false };
+        const access = jwt.verify(createToken(user), SECRET_KEY);
+        const refresh = jwt.verify(createRefreshToken(user), SECRET_KEY);
+        expect(refresh.exp).toBeGreaterThan(access.exp);
+    });
+});
+
+
+describe("createInvitationToken", function () {
+    const invitation = {
+        id: 5,
+        boardId: 2,
+        email: "test@test.com",
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    };
+
+    test("works", function() {
+        const token = createInvitationToken(invitation);
+        const payload = jwt.verify(token, SECRET_KEY);
+        expect(payload).toEqual({
+            iat: expect.any(Number),
+            exp: Math.floor(invitation.expiresAt.getTime() / 1000),
+            invitationId: 5,
+            boardId: 2,
+            email: "test@test.com",
+            type: "invite"
+        });
+    });
+
+    test("verifies", function() {
+        const token = createInvitationToken(invitation);
+        expect(verifyInvitationToken(token)).toEqual(5);
+    });
+
+    test("bad request if expired", function() {
+        const token = createInvitationToken({ ...invitation, expiresAt: new Date(Date.now() - 1000) });
+        expect(() => verifyInvitationToken(token)).toThrow(BadRequestError);
+    });
+
+    test("bad request if not an invitation", function() {
+        const token = createToken({ id: 1, email: "test", isPm: false });
+        expect(() => verifyInvitationToken(token)).toThrow(BadRequestError);
+    });
+});
@@ -0,0 +1,185 @@
+/** Helpers for signing and sending outgoing webhook calls. */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const { WEBHOOK_ALLOW_PRIVATE } = require("../config");
+
+/** Delay before the first retry, later retries wait four times longer each */
+const FIRST_RETRY_DELAY = 30 * 1000;
+
+/** Milliseconds to wait for the receiving server to answer */
+const REQUEST_TIMEOUT = 10 * 1000;
+
+/** Addresses webhooks may not call: loopback, private, link-local (with cloud metadata
+ * at 169.254.169.254), shared, reserved, documentation and multicast ranges.
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+    ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24],
+    ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24],
+    ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+for (const [network, prefix] of [
+    ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32],
+    ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+
+/** Sign a webhook body for the X-Proma-Signature header.
+ *
+ * The HMAC covers the timestamp and the body, so receivers can reject replays
+ * of old calls by checking X-Proma-Timestamp.
+ *
+ * @param secret {String} webhook secret
+ * @param timestamp {Number} seconds since epoch, sent as X-Proma-Timestamp
+ * @param body {String} raw JSON body
+ *
+ * @returns {String} "sha256=" followed by the hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+
+function signPayload(secret, timestamp, body) {
+    const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `sha256=${hmac}`;
+}
+
+/** Milliseconds to wait before retrying after a failed attempt.
+ *
+ * @param attempts {Number} attempts made so far, 1 or more
+ *
+ * @example
+ *      backoffDelay(1) => 30000, backoffDelay(2) => 120000, backoffDelay(3) => 480000
+ */
+
+function backoffDelay(attempts) {
+    return FIRST_RETRY_DELAY * 4 ** (attempts - 1);
+}
+
+/** Random secret for a new webhook. */
+
+function createWebhookSecret() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+/** Whether a webhook may call an IP address, see BLOCKED_ADDRESSES.
+ *
+ * @param address {String} IPv4 or IPv6 address
+ *
+ * @returns {Boolean} false for blocked ranges and anything that isn't an IP address
+ */
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/** Check a webhook URL and resolve the address to call.
+ *
+ * Every address the host resolves to must be public, unless allowPrivate is set,
+ * ex: for receivers on the same network in development. Callers connect to the
+ * returned address, so a host that resolves differently later can't redirect the call.
+ *
+ * @param url {String} webhook URL
+ * @param options {Object} { allowPrivate }, defaults to WEBHOOK_ALLOW_PRIVATE from config
+ *
+ * @returns {Promise} resolves to { target, address, family }, target being the parsed URL,
+ *      or to { error } saying why the URL can't be called
+ */
+
+async function resolveWebhookUrl(url, { allowPrivate = WEBHOOK_ALLOW_PRIVATE } = {}) {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (err) {
+        return { error: "invalid url" };
+    }
+    if (target.protocol !== "http:" && target.protocol !== "https:") return { error: "invalid url" };
+
+    // IPv6 hosts come bracketed in URLs
+    const hostname = target.hostname.replace(/^\[(.*)\]$/, "$1");
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (err) {
+        return { error: "host not found" };
+    }
+    if (!addresses.length) return { error: "host not found" };
+    if (!allowPrivate && !addresses.every(({ address }) => isPublicAddress(address))) {
+        return { error: "host is not a public address" };
+    }
+    const { address, family } = addresses[0];
+    return { target, address, family };
+}
+
+/** POST a signed webhook call.
+ *
+ * Never rejects: failures are returned as a generic error, ex: "HTTP 503" or
+ * "connection failed", so nothing about the network behind the URL is logged.
+ * The host is resolved and checked on every call, see resolveWebhookUrl, and
+ * redirects are not followed.
+ *
+ * @param options {Object} { url, secret, deliveryId, eventType, body, timeout, allowPrivate }
+ *      body is the raw JSON string to send
+ *
+ * @returns {Promise} resolves to { ok, statusCode, error }
+ *      ok is true for a 2xx answer, statusCode is null when no answer came back
+ */
+
+async function postWebhook({ url, secret, deliveryId, eventType, body, timeout = REQUEST_TIMEOUT, allowPrivate }) {
+    const { target, address, family, error } = await resolveWebhookUrl(url, { allowPrivate });
+    if (error) return { ok: false, statusCode: null, error };
+
+    return new Promise(resolve => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const client = target.protocol === "https:" ? https : http;
+        const req = client.request(target, {
+            method: "POST",
+            timeout,
+            // connect to the checked address rather than resolving the host again
+            lookup: (hostname, options, callback) => options.all
+                ? callback(null, [{ address, family }])
+                : callback(null, address, family),
+            headers: {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(body),
+                "User-Agent": "proma-webhooks",
+                "X-Proma-Event": eventType,
+                "X-Proma-Delivery": String(deliveryId),
+                "X-Proma-Timestamp": String(timestamp),
+                "X-Proma-Signature": signPayload(secret, timestamp, body)
+            }
+        }, res => {
+            // drain the answer, only the status matters
+            res.resume();
+            res.on("end", () => resolve({
+                ok: res.statusCode >= 200 && res.statusCode < 300,
+                statusCode: res.statusCode,
+                error: res.statusCode >= 200 && res.statusCode < 300 ? null : `HTTP ${res.statusCode}`
+            }));
+        });
+        let timedOut = false;
+        req.on("timeout", () => {
+            timedOut = true;
+            req.destroy();
+        });
+        req.on("error", () => resolve({
+            ok: false,
+            statusCode: null,
+            error: timedOut ? `no answer after ${timeout}ms` : "connection failed"
+        }));
+        req.end(body);
+    });
+}
+
+module.exports = {
+    signPayload,
+    backoffDelay,
+    createWebhookSecret,
+    isPublicAddress,
+    resolveWebhookUrl,
+    postWebhook
+};
@@ -0,0 +1,188 @@
+const http = require("http");
+const crypto = require("crypto");
+const {
+    signPayload,
+    backoffDelay,
+    createWebhookSecret,
+    isPublicAddress,
+    resolveWebhookUrl,
+    postWebhook
+} = require("./webhooks");
+
+/** Local stand-in for a webhook receiver, answering with whatever respond does */
+let server;
+let url;
+let received;
+let respond;
+
+beforeAll(function (done) {
+    server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            respond(req, res);
+        });
+    });
+    server.listen(0, "127.0.0.1", () => {
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+        done();
+    });
+});
+
+beforeEach(function () {
+    received = [];
+    respond = (req, res) => res.end("ok");
+});
+
+afterAll(function (done) {
+    server.close(done);
+});
+
+const body = JSON.stringify({ id: 4, event: "project.created", data: { id: 2 } });
+
+describe("signPayload", function () {
+    test("works", function () {
+        const expected = crypto.createHmac("sha256", "shh").update(`1700000000.${body}`).digest("hex");
+        expect(signPayload("shh", 1700000000, body)).toEqual(`sha256=${expected}`);
+    });
+});
+
+describe("backoffDelay", function () {
+    test("works", function () {
+        expect(backoffDelay(1)).toEqual(30000);
+        expect(backoffDelay(2)).toEqual(120000);
+        expect(backoffDelay(3)).toEqual(480000);
+    });
+});
+
+describe("createWebhookSecret", function () {
+    test("works", function () {
+        expect(createWebhookSecret()).toMatch(/^[0-9a-f]{64}$/);
+        expect(createWebhookSecret()).not.toEqual(createWebhookSecret());
+    });
+});
+
+describe("isPublicAddress", function () {
+    test("works: public addresses", function () {
+        expect(isPublicAddress("93.184.216.34")).toEqual(true);
+        expect(isPublicAddress("2606:2800:220:1:248:1893:25c8:1946")).toEqual(true);
+    });
+
+    test("works: blocked addresses", function () {
+        for (const address of [
+            "127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254",
+            "100.64.0.1", "0.0.0.0", "224.0.0.1", "::1", "::", "fd00::1", "fe80::1",
+            "::ffff:127.0.0.1", "::ffff:a9fe:a9fe"
+        ]) {
+            expect(isPublicAddress(address)).toEqual(false);
+        }
+    });
+
+    test("works: not an address", function () {
+        expect(isPublicAddress("localhost")).toEqual(false);
+    });
+});
+
+describe("resolveWebhookUrl", function () {
+    test("works: private address rejected", async function () {
+        expect(await resolveWebhookUrl("http://127.0.0.1/hook", { allowPrivate: false }))
+            .toEqual({ error: "host is not a public address" });
+        expect(await resolveWebhookUrl("http://169.254.169.254/latest/meta-data", { allowPrivate: false }))
+            .toEqual({ error: "host is not a public address" });
+        expect(await resolveWebhookUrl("http://[::1]:8080/hook", { allowPrivate: false }))
+            .toEqual({ error: "host is not a public address" });
+    });
+
+    test("works: hostnames are resolved before checking", async function () {
+        expect(await resolveWebhookUrl("http://localhost/hook", { allowPrivate: false }))
+            .toEqual({ error: "host is not a public address" });
+    });
+
+    test("works: allowPrivate", async function () {
+        const { target, address, family } = await resolveWebhookUrl(url, { allowPrivate: true });
+        expect(target.href).toEqual(url);
+        expect(address).toEqual("127.0.0.1");
+        expect(family).toEqual(4);
+    });
+
+    test("works: invalid url", async function () {
+        expect(await resolveWebhookUrl("not a url")).toEqual({ error: "invalid url" });
+        expect(await resolveWebhookUrl("ftp://example.com/hook")).toEqual({ error: "invalid url" });
+    });
+});
+
+describe("postWebhook", function () {
+    test("works: signed call", async function () {
+        const result = await postWebhook({
+            url, secret: "shh", deliveryId: 4, eventType: "project.created", body, allowPrivate: true
+        });
+        expect(result).toEqual({ ok: true, statusCode: 200, error: null });
+        expect(received.length).toEqual(1);
+
+        const { headers, body: receivedBody } = received[0];
+        expect(receivedBody).toEqual(body);
+        expect(headers["content-type"]).toEqual("application/json");
+        expect(headers["x-proma-event"]).toEqual("project.created");
+        expect(headers["x-proma-delivery"]).toEqual("4");
+        expect(headers["x-proma-signature"])
+            .toEqual(signPayload("shh", headers["x-proma-timestamp"], receivedBody));
+    });
+
+    test("works: error status", async function () {
+        respond = (req, res) => {
+            res.statusCode = 503;
+            res.end("down");
+        };
+        const result = await postWebhook({
+            url, secret: "shh", deliveryId: 4, eventType: "project.created", body, allowPrivate: true
+        });
+        expect(result).toEqual({ ok: false, statusCode: 503, error: "HTTP 503" });
+    });
+
+    test("works: redirects not followed", async function () {
+        respond = (req, res) => {
+            res.writeHead(302, { Location: "http://169.254.169.254/latest/meta-data" });
+            res.end();
+        };
+        const result = await postWebhook({
+            url, secret: "shh", deliveryId: 4, eventType: "project.created", body, allowPrivate: true
+        });
+        expect(result).toEqual({ ok: false, statusCode: 302, error: "HTTP 302" });
+        expect(received.length).toEqual(1);
+    });
+
+    test("works: timeout", async function () {
+        respond = () => {};
+        const result = await postWebhook({
+            url, secret: "shh", deliveryId: 4, eventType: "project.created", body, timeout: 50, allowPrivate: true
+        });
+        expect(result).toEqual({ ok: false, statusCode: null, error: "no answer after 50ms" });
+    });
+
+    test("works: connection refused", async function () {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, "127.0.0.1", resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        const result = await postWebhook({
+            url: `http://127.0.0.1:${port}/hook`, secret: "shh", deliveryId: 4, eventType: "project.created", body,
+            allowPrivate: true
+        });
+        expect(result).toEqual({ ok: false, statusCode: null, error: "connection failed" });
+    });
+
+    test("works: private address not called", async function () {
+        const result = await postWebhook({
+            url, secret: "shh", deliveryId: 4, eventType: "project.created", body, allowPrivate: false
+        });
+        expect(result).toEqual({ ok: false, statusCode: null, error: "host is not a public address" });
+        expect(received.length).toEqual(0);
+    });
+
+    test("works: invalid url", async function () {
+        const result = await postWebhook({ url: "not a url", secret: "shh", deliveryId: 4, eventType: "x", body });
+        expect(result).toEqual({ ok: false, statusCode: null, error: "invalid url" });
+    });
+});
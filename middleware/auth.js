@@ -8,20 +8,33 @@ const { UnauthorizedError } = require('../expressError');
 const Board = require("../models/board");
 const Project = require("../models/project");
 const Session = require("../models/session");
+const Timesheet = require("../models/timesheet");
+const PlannedSession = require("../models/plannedSession");
 const User = require("../models/user");
+const RevokedToken = require("../models/revokedToken");
+
+/** The only route accepting the token as ?token=, see authenticateJWT */
+const EVENT_STREAM_PATH = /^\/boards\/[^/]+\/events\/?$/;
 
 /**Middleware: authenticate user.
  * 
  * If a token is provided, verify it and store on res.locals 
  * if valid. Not an error for no token or failed verify
+ * Refresh tokens are not accepted as access tokens.
+ * The board event stream, GET /boards/[boardId]/events, can pass the token
+ * as ?token= instead, since browsers can't set headers on an EventSource.
+ * Tokens in the query string end up in logs, so no other route accepts them.
  */
 
 function authenticateJWT(req, res, next) {
     try {
         const authHeader = req.headers && req.headers.authorization;
-        if (authHeader) {
-            const token = authHeader.replace(/^[Bb]earer /, "").trim();
-            res.locals.user = jwt.verify(token, SECRET_KEY);
+        const isEventStream = req.method === "GET" && EVENT_STREAM_PATH.test(req.path || "");
+        const queryToken = isEventStream && req.query && req.query.token;
+        if (authHeader || queryToken) {
+            const token = authHeader ? authHeader.replace(/^[Bb]earer /, "").trim() : queryToken;
+            const payload = jwt.verify(token, SECRET_KEY);
+            if (payload.type !== "refresh") res.locals.user = payload;
         }
         return next();
     } catch (err) {
@@ -29,6 +42,36 @@ function authenticateJWT(req, res, next) {
     }
 }
 
+/**Middleware: drop revoked or outdated tokens.
+ * 
+ * Runs after authenticateJWT. If the token was revoked on logout or its
+ * version is older than the user's (password or PM status changed),
+ * the user is removed from res.locals. Not an error either way.
+ */
+
+async function checkTokenRevocation(req, res, next) {
+    try {
+        const user = res.locals.user;
+        if (!user) return next();
+        if (!(await isTokenCurrent(user))) delete res.locals.user;
+        return next();
+    } catch (err) {
+        delete res.locals.user;
+        return next();
+    }
+}
+
+/** Whether a verified token's payload is still good: not revoked, and issued
+ * at the user's current token version. Also checked by long-lived connections,
+ * ex: board event streams, which outlive the request that authenticated them.
+ */
+
+async function isTokenCurrent(user) {
+    const tokenVersion = await User.getTokenVersion(user.id);
+    const isRevoked = user.jti ? await RevokedToken.isRevoked(user.jti) : false;
+    return user.ver === tokenVersion && !isRevoked;
+}
+
 /** Middleware: ensure user is logged in.
  * 
  *  Raises Unauthorized if not
@@ -44,6 +87,8 @@ function ensureLoggedIn(req, res, next) {
 }
 
 /** Middleware: ensure user is pm user 
+ * Global PM status only allows creating boards, use the board
+ * role middleware below for anything on an existing board.
  * 
  * Raises Unauthorized if not
 */
@@ -76,6 +121,56 @@ function ensureCorrectUserOrPm(req, res, next) {
     }
 }
 
+/** Middleware: ensure user is an administrator
+ * 
+ * Raises Unauthorized if not
+ */
+
+function ensureAdmin(req, res, next) {
+    try {
+        if (!res.locals.user || !res.locals.user.isAdmin) {
+            throw new UnauthorizedError();
+        }
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+}
+
+/** Middleware: ensure user is an administrator or user that matches route param user ID
+ * 
+ * Raises Unauthorized if not
+ */
+
+function ensureCorrectUserOrAdmin(req, res, next) {
+    try {
+        const user = res.locals.user;
+        if (!(user && (user.isAdmin || +user.id === parseInt(req.params.userId, 10)))) {
+            throw new UnauthorizedError();
+        }
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+}
+
+/** Middleware: ensure user matches route param user ID, for data only the user may see
+ * 
+ * Raises Unauthorized if not
+ */
+
+function ensureCorrectUser(req, res, next) {
+    try {
+        const user = res.locals.user;
+        if (!(user && +user.id === parseInt(req.params.userId, 10))) {
+            throw new UnauthorizedError();
+        }
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+}
+
 /** Middleware: ensures logged in user is on the board in params
  * 
  * Raises Unauthorized if not
@@ -93,6 +188,23 @@ async function ensureUserOnBoard(req, res, next) {
     }
 }
 
+/** Middleware: ensures logged in user is an owner or PM of the board in params
+ * 
+ * Raises Unauthorized if not
+ */
+
+async function ensurePmOnBoard(req, res, next) {
+    try {
+        const user = res.locals.user;
+        const boardId = req.params.boardId;
+        const isPmOnBoard = await Board.isPmOnBoard(user.id, boardId);
+        if (!isPmOnBoard) throw new UnauthorizedError();
+        return next();
+    } catch(err) {
+        return next(err);
+    }
+}
+
 /** Middleware: ensures user is a member of the board that hosts the project
  * 
  * Raises Unauthorized if not
@@ -111,6 +223,23 @@ async function ensureUserOnBoardOfProject(req, res, next) {
     }
 }
 
+/** Middleware: ensures user is an owner or PM of the board that hosts the project
+ * 
+ * Raises Unauthorized if not
+ */
+async function ensurePmOnBoardOfProject(req, res, next) {
+    try {
+        const user = res.locals.user;
+        const projectId = req.params.projectId;
+        const project = await Project.getById(projectId);
+        const isPmOnBoard = await Board.isPmOnBoard(user.id, project.boardId);
+        if (!isPmOnBoard) throw new UnauthorizedError();
+        return next();
+    } catch(err) {
+        return next(err);
+    }
+}
+
 /** Middleware: ensures user is a member of the board that hosts the project session
  * 
  * Raises Unauthorized if not
@@ -139,9 +268,9 @@ async function ensureUserOnSessionOrPm(req, res, next) {
         const sessionId = req.params.sessionId;
         const session = await Session.getById(sessionId);
         const project = await Project.getById(session.projectId);
-        const isPmOnBoard = await Board.isUserOnBoard(user.id, project.boardId);
+        const isPmOnBoard = await Board.isPmOnBoard(user.id, project.boardId);
 
-        if (!(session.userId === user.id || (user.isPm && isPmOnBoard))) {
+        if (!(session.userId === user.id || isPmOnBoard)) {
             throw new UnauthorizedError();
         }
 
@@ -152,6 +281,7 @@ async function ensureUserOnSessionOrPm(req, res, next) {
 }
 
 /** Middleware: ensure user is on project or PM on board
+ * Viewers on the board are refused even if assigned to the project.
  * 
  * Raises Unauthorized if not
  */
@@ -161,8 +291,9 @@ async function ensureUserOnProjectOrPm(req, res, next) {
         const projectId = req.params.projectId;
         const project = await Project.getById(projectId);
         const isUserOnProject = await Project.isUserOnProject(user.id, projectId);
-        const isPmOnBoard = await Board.isUserOnBoard(user.id, project.boardId);
-        if (!(isUserOnProject || isPmOnBoard)) {
+        const role = await Board.getUserRole(user.id, project.boardId);
+        const isPmOnBoard = Board.PM_ROLES.includes(role);
+        if (!((isUserOnProject && role && role !== "viewer") || isPmOnBoard)) {
             throw new UnauthorizedError();
         }
         return next();
@@ -171,16 +302,68 @@ async function ensureUserOnProjectOrPm(req, res, next) {
     }
 }
 
-/** Middleware: ensure user is PM on shared boards or user that matches route params
+/** Middleware: ensures the planned session is the user's own or user is PM on its board
+ * 
+ * Raises Unauthorized if not
+ */
+async function ensureUserOnPlanOrPm(req, res, next) {
+    try {
+        const user = res.locals.user;
+        const plan = await PlannedSession.getById(req.params.planId);
+        const project = await Project.getById(plan.projectId);
+        const isPmOnBoard = plan.userId !== user.id && await Board.isPmOnBoard(user.id, project.boardId);
+        if (!(plan.userId === user.id || isPmOnBoard)) throw new UnauthorizedError();
+        return next();
+    } catch(err) {
+        return next(err);
+    }
+}
+
+/** Middleware: ensures user is an owner or PM of the board the timesheet was submitted on,
+ * other than the user who submitted it, so PMs can't review their own time
+ * 
+ * Raises Unauthorized if not
+ */
+async function ensurePmOnTimesheetBoard(req, res, next) {
+    try {
+        const user = res.locals.user;
+        const { userId, boardId } = await Timesheet.getUserAndBoard(req.params.timesheetId);
+        if (userId === user.id) throw new UnauthorizedError();
+        const isPmOnBoard = await Board.isPmOnBoard(user.id, boardId);
+        if (!isPmOnBoard) throw new UnauthorizedError();
+        return next();
+    } catch(err) {
+        return next(err);
+    }
+}
+
+/** Middleware: ensures user submitted the timesheet or is an owner or PM of its board
+ * 
+ * Raises Unauthorized if not
+ */
+async function ensureUserOnTimesheetOrPm(req, res, next) {
+    try {
+        const user = res.locals.user;
+        const { userId, boardId } = await Timesheet.getUserAndBoard(req.params.timesheetId);
+        const isPmOnBoard = userId !== user.id && await Board.isPmOnBoard(user.id, boardId);
+        if (!(userId === user.id || isPmOnBoard)) throw new UnauthorizedError();
+        return next();
+    } catch(err) {
+        return next(err);
+    }
+}
+
+/** Middleware: ensure user is owner or PM on a board shared with the route param user,
+ *  or the user that matches route params
  * 
  * Raises Unauthorized if not
  */
 async function ensureCorrectUserOrSharedBoardPm(req, res, next) {
     try {
         const user = res.locals.user;
-        const sharedUsers = await User.getAllFromSharedBoards(req.params.userId);
-        const isSharedUser = sharedUsers.some(sharedUser => sharedUser.id === user.id);
-        if (!(user.id === req.params.userId || (user.isPm && isSharedUser))) {
+        const isCorrectUser = +user.id === parseInt(req.params.userId, 10);
+        const isSharedBoardPm = !isCorrectUser && await Board.isPmOfUser(user.id, req.params.userId);
+        if (!(isCorrectUser || isSharedBoardPm)) {
             throw new UnauthorizedError();
         }
         return next();
@@ -209,14 +392,24 @@ async function ensureUserOnSharedBoard(req, res, next) {
 
 module.exports = {
     authenticateJWT,
+    checkTokenRevocation,
+    isTokenCurrent,
     ensureLoggedIn,
     ensurePm,
     ensureCorrectUserOrPm,
+    ensureAdmin,
+    ensureCorrectUserOrAdmin,
+    ensureCorrectUser,
     ensureUserOnBoard,
+    ensurePmOnBoard,
     ensureUserOnBoardOfProject,
+    ensurePmOnBoardOfProject,
     ensureUserOnSessionBoard,
     ensureUserOnSessionOrPm,
     ensureUserOnProjectOrPm,
+    ensureUserOnPlanOrPm,
+    ensurePmOnTimesheetBoard,
+    ensureUserOnTimesheetOrPm,
     ensureCorrectUserOrSharedBoardPm,
     ensureUserOnSharedBoard
 };
\ No newline at end of file
@@ -4,14 +4,19 @@ const jwt = require("jsonwebtoken");
 const { UnauthorizedError } = require("../expressError");
 const {
     authenticateJWT,
+    checkTokenRevocation,
     ensureLoggedIn,
     ensurePm,
-    ensureCorrectUserOrPm
+    ensureCorrectUserOrPm,
+    ensureAdmin,
+    ensureCorrectUserOrAdmin,
+    ensureCorrectUser
 } = require("./auth");
 
 const { SECRET_KEY } = require("../config");
 const testJwt = jwt.sign({ id: 1, email: "test", isPm: false }, SECRET_KEY);
 const badJwt = jwt.sign({ id: 1, email: "test", isPm: false }, "not secret key");
+const refreshJwt = jwt.sign({ id: 1, ver: 0, type: "refresh" }, SECRET_KEY);
 
 
 describe("authenticateJWT", function() {
@@ -54,6 +59,73 @@ describe("authenticateJWT", function() {
         authenticateJWT(req, res, next);
         expect(res.locals).toEqual({});
     });
+
+    test("works: refresh token not accepted", function() {
+        expect.assertions(2);
+        const req = { headers: { authorization: `Bearer ${refreshJwt}` } };
+        const res = { locals: {} };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        authenticateJWT(req, res, next);
+        expect(res.locals).toEqual({});
+    });
+
+    test("works: query token on event stream", function() {
+        expect.assertions(2);
+        const req = {
+            method: "GET",
+            path: "/boards/3/events",
+            headers: { accept: "text/event-stream" },
+            query: { token: testJwt }
+        };
+        const res = { locals: {} };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        authenticateJWT(req, res, next);
+        expect(res.locals.user).toEqual(expect.objectContaining({ id: 1, email: "test" }));
+    });
+
+    test("works: query token ignored on other requests", function() {
+        expect.assertions(2);
+        const req = { method: "GET", path: "/boards/3", headers: {}, query: { token: testJwt } };
+        const res = { locals: {} };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        authenticateJWT(req, res, next);
+        expect(res.locals).toEqual({});
+    });
+
+    test("works: query token ignored on other event streams", function() {
+        expect.assertions(2);
+        const req = {
+            method: "GET",
+            path: "/users/1/notifications",
+            headers: { accept: "text/event-stream" },
+            query: { token: testJwt }
+        };
+        const res = { locals: {} };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        authenticateJWT(req, res, next);
+        expect(res.locals).toEqual({});
+    });
+});
+
+describe("checkTokenRevocation", function() {
+    test("works: no user", async function() {
+        expect.assertions(2);
+        const req = {};
+        const res = { locals: {} };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        await checkTokenRevocation(req, res, next);
+        expect(res.locals).toEqual({});
+    });
 });
 
 describe("esnureLoggedIn", function() {
@@ -150,4 +222,90 @@ describe("ensureCorrectUserOrPm", function() {
         }
         ensureCorrectUserOrPm(req, res, next);
     });
-});
\ No newline at end of file
+});
+
+describe("ensureAdmin", function() {
+    test("works", function() {
+        expect.assertions(1);
+        const req = {};
+        const res = { locals: { user: { id: 1, email: "test", isPm: true, isAdmin: true } } };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        ensureAdmin(req, res, next);
+    });
+
+    test("unauthorized error if PM but not admin", function() {
+        expect.assertions(1);
+        const req = {};
+        const res = { locals: { user: { id: 1, email: "test", isPm: true, isAdmin: false } } };
+        const next = function(err) {
+            expect(err instanceof UnauthorizedError).toBeTruthy();
+        }
+        ensureAdmin(req, res, next);
+    });
+
+    test("unauthorized error if anonymous", function() {
+        expect.assertions(1);
+        const req = {};
+        const res = { locals: {} };
+        const next = function(err) {
+            expect(err instanceof UnauthorizedError).toBeTruthy();
+        }
+        ensureAdmin(req, res, next);
+    });
+});
+
+describe("ensureCorrectUserOrAdmin", function() {
+    test("works: admin", function() {
+        expect.assertions(1);
+        const req = { params: { userId: "1" } };
+        const res = { locals: { user: { id: 2, email: "test", isPm: true, isAdmin: true } } };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        ensureCorrectUserOrAdmin(req, res, next);
+    });
+
+    test("works: same user", function() {
+        expect.assertions(1);
+        const req = { params: { userId: "1" } };
+        const res = { locals: { user: { id: 1, email: "test", isPm: false, isAdmin: false } } };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        ensureCorrectUserOrAdmin(req, res, next);
+    });
+
+    test("unauthorized error if PM but not admin", function() {
+        expect.assertions(1);
+        const req = { params: { userId: "1" } };
+        const res = { locals: { user: { id: 2, email: "test", isPm: true, isAdmin: false } } };
+        const next = function(err) {
+            expect(err instanceof UnauthorizedError).toBeTruthy();
+        }
+        ensureCorrectUserOrAdmin(req, res, next);
+    });
+});
+
+describe("ensureCorrectUser", function() {
+    test("works", function() {
+        expect.assertions(1);
+        const req = { params: { userId: "1" } };
+        const res = { locals: { user: { id: 1, email: "test", isPm: false, isAdmin: false } } };
+        const next = function(err) {
+            expect(err).toBeFalsy();
+        }
+        ensureCorrectUser(req, res, next);
+    });
+
+    test("unauthorized error if admin but other user", function() {
+        expect.assertions(1);
+        const req = { params: { userId: "1" } };
+        const res = { locals: { user: { id: 2, email: "test", isPm: true, isAdmin: true } } };
+        const next = function(err) {
+            expect(err instanceof UnauthorizedError).toBeTruthy();
+        }
+        ensureCorrectUser(req, res, next);
+    });
+});
@@ -0,0 +1,40 @@
+"use strict";
+
+/** Middleware for multipart file uploads. */
+
+const multer = require("multer");
+const { ATTACHMENT_MAX_BYTES, ATTACHMENT_TYPES } = require("../config");
+const { BadRequestError } = require("../expressError");
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+    fileFilter(req, file, cb) {
+        if (!ATTACHMENT_TYPES.includes(file.mimetype.toLowerCase())) {
+            return cb(new BadRequestError(`files of type ${file.mimetype} are not accepted`));
+        }
+        return cb(null, true);
+    }
+});
+
+/** Middleware: reads a single file sent as the "file" field of a multipart/form-data body
+ * into req.file, { originalname, mimetype, size, buffer }
+ *
+ * Raises BadRequest if the file is missing, too large or of a type not in ATTACHMENT_TYPES
+ */
+
+function uploadAttachment(req, res, next) {
+    upload.single("file")(req, res, function(err) {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === "LIMIT_FILE_SIZE"
+                ? `file must be at most ${ATTACHMENT_MAX_BYTES} bytes`
+                : `${err.message}, send one file in the "file" field`;
+            return next(new BadRequestError(message));
+        }
+        if (err) return next(err);
+        if (!req.file) return next(new BadRequestError('send the file in the "file" field of a multipart/form-data body'));
+        return next();
+    });
+}
+
+module.exports = { uploadAttachment };
@@ -0,0 +1,57 @@
+"use strict";
+
+const request = require("supertest");
+const express = require("express");
+const { uploadAttachment } = require("./upload");
+const { ATTACHMENT_MAX_BYTES } = require("../config");
+
+/** App with a single upload route echoing what it received */
+const app = express();
+app.post("/upload", uploadAttachment, function(req, res) {
+    const { originalname, mimetype, size } = req.file;
+    return res.json({ originalname, mimetype, size, text: req.file.buffer.toString() });
+});
+app.use(function(err, req, res, next) {
+    return res.status(err.status || 500).json({ error: { message: err.message } });
+});
+
+describe("uploadAttachment", function() {
+    test("works", async function() {
+        const resp = await request(app)
+            .post("/upload")
+            .attach("file", Buffer.from("hello"), { filename: "notes.txt", contentType: "text/plain" });
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({ originalname: "notes.txt", mimetype: "text/plain", size: 5, text: "hello" });
+    });
+
+    test("bad request if type not accepted", async function() {
+        const resp = await request(app)
+            .post("/upload")
+            .attach("file", Buffer.from("MZ"), { filename: "setup.exe", contentType: "application/x-msdownload" });
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message).toEqual("files of type application/x-msdownload are not accepted");
+    });
+
+    test("bad request if too large", async function() {
+        const resp = await request(app)
+            .post("/upload")
+            .attach("file", Buffer.alloc(ATTACHMENT_MAX_BYTES + 1), { filename: "big.txt", contentType: "text/plain" });
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message).toEqual(`file must be at most ${ATTACHMENT_MAX_BYTES} bytes`);
+    });
+
+    test("bad request if other field name", async function() {
+        const resp = await request(app)
+            .post("/upload")
+            .attach("upload", Buffer.from("hello"), { filename: "notes.txt", contentType: "text/plain" });
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("bad request if no file", async function() {
+        const resp = await request(app)
+            .post("/upload")
+            .send({ name: "notes.txt" });
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message).toMatch(/multipart\/form-data/);
+    });
+});
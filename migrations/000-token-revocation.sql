@@ -0,0 +1,17 @@
+-- Token revocation: logout and refresh rotation revoke tokens by their ID,
+-- and bumping a user's token_version invalidates every token issued to them.
+--
+-- psql proma < migrations/000-token-revocation.sql
+
+BEGIN;
+
+ALTER TABLE users
+    ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+-- IDs of tokens revoked before their expiry (logout, refresh rotation)
+CREATE TABLE revoked_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- Move from the global users.is_pm flag to a role per board.
+--
+-- Existing PMs become 'pm' on every board they belong to, everyone else 'member'.
+-- The lowest user ID among each board's PMs becomes its 'owner'.
+-- users.is_pm is kept and now only controls who may create boards.
+--
+-- psql proma < migrations/001-board-roles.sql
+
+BEGIN;
+
+ALTER TABLE boards_users
+    ADD COLUMN role TEXT NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'pm', 'member', 'viewer'));
+
+UPDATE boards_users bu
+SET role='pm'
+FROM users u
+WHERE u.id=bu.user_id AND u.is_pm;
+
+UPDATE boards_users
+SET role='owner'
+WHERE (board_id, user_id) IN (SELECT board_id, MIN(user_id)
+                              FROM boards_users
+                              WHERE role='pm'
+                              GROUP BY board_id);
+
+COMMIT;
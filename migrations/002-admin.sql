@@ -0,0 +1,9 @@
+-- Add administrators, who alone can grant PM status.
+--
+-- Create or promote the first administrator afterwards with
+--     ADMIN_PASSWORD=... npm run create-admin -- <email> <firstName> <lastName>
+--
+-- psql proma < migrations/002-admin.sql
+
+ALTER TABLE users
+    ADD COLUMN is_admin BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,10 @@
+-- Archiving for boards and projects. Archived rows are hidden from default
+-- listings, their sessions stay in place and keep showing up in reports.
+--
+-- psql proma < migrations/003-archive.sql
+
+ALTER TABLE boards
+    ADD COLUMN archived_at TIMESTAMPTZ;
+
+ALTER TABLE projects
+    ADD COLUMN archived_at TIMESTAMPTZ;
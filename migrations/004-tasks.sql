@@ -0,0 +1,25 @@
+-- Tasks inside projects. Sessions can optionally point at the task the time
+-- went to, deleting a task keeps its sessions on the project.
+--
+-- psql proma < migrations/004-tasks.sql
+
+BEGIN;
+
+CREATE TABLE tasks (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    title VARCHAR(100) NOT NULL,
+    description TEXT,
+    assignee_id INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    due_date DATE,
+    status TEXT NOT NULL DEFAULT 'todo' CHECK (status IN ('todo', 'in_progress', 'done')),
+    position INTEGER NOT NULL DEFAULT 0
+);
+
+ALTER TABLE sessions
+    ADD COLUMN task_id INTEGER
+        REFERENCES tasks ON DELETE SET NULL;
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- Kanban stages defined per board instead of the fixed stage CHECK on projects.
+--
+-- Every existing board gets the previous three stages, 'complete' marked as done.
+-- projects.stage now references a stage of its own board by name, renaming a
+-- stage carries its projects along.
+--
+-- psql proma < migrations/005-board-stages.sql
+
+BEGIN;
+
+CREATE TABLE board_stages (
+    id SERIAL PRIMARY KEY,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    name VARCHAR(35) NOT NULL,
+    position INTEGER NOT NULL,
+    is_done BOOLEAN NOT NULL DEFAULT FALSE,
+    UNIQUE (board_id, name)
+);
+
+INSERT INTO board_stages (board_id, name, position, is_done)
+SELECT b.id, d.name, d.position, d.is_done
+FROM boards b
+CROSS JOIN (VALUES ('pending', 0, FALSE),
+                   ('in_progress', 1, FALSE),
+                   ('complete', 2, TRUE)) AS d (name, position, is_done);
+
+ALTER TABLE projects
+    DROP CONSTRAINT projects_stage_check,
+    ALTER COLUMN stage DROP DEFAULT,
+    ALTER COLUMN stage TYPE VARCHAR(35),
+    ADD FOREIGN KEY (board_id, stage)
+        REFERENCES board_stages (board_id, name) ON UPDATE CASCADE;
+
+COMMIT;
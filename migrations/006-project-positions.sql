@@ -0,0 +1,18 @@
+-- Persisted order of projects within their board stage.
+-- Existing projects are numbered by priority, then ID.
+--
+-- psql proma < migrations/006-project-positions.sql
+
+BEGIN;
+
+ALTER TABLE projects
+    ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+
+UPDATE projects p
+SET position=ordered.position
+FROM (SELECT id,
+             ROW_NUMBER() OVER (PARTITION BY board_id, stage ORDER BY priority, id) - 1 AS position
+      FROM projects) AS ordered
+WHERE p.id=ordered.id;
+
+COMMIT;
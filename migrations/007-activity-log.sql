@@ -0,0 +1,34 @@
+-- Append-only activity log behind the board and project activity feeds.
+-- No foreign keys, entries are kept after the actor, board or project is deleted.
+--
+-- psql proma < migrations/007-activity-log.sql
+
+BEGIN;
+
+CREATE TABLE activity_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER,
+    board_id INTEGER NOT NULL,
+    project_id INTEGER,
+    entity_type TEXT NOT NULL,
+    entity_id INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX activity_log_board ON activity_log (board_id, created_at);
+CREATE INDEX activity_log_project ON activity_log (project_id, created_at);
+
+CREATE FUNCTION activity_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'activity_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER activity_log_no_changes
+    BEFORE UPDATE OR DELETE ON activity_log
+    FOR EACH ROW EXECUTE FUNCTION activity_log_append_only();
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- Weekly timesheets, submitted by a user per board and approved or rejected by a PM.
+--
+-- psql proma < migrations/008-timesheets.sql
+
+CREATE TABLE timesheets (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    -- Monday of the ISO week, sessions belong to the week they start in (UTC)
+    week_start DATE NOT NULL CHECK (EXTRACT(ISODOW FROM week_start) = 1),
+    status TEXT NOT NULL DEFAULT 'submitted'
+        CHECK (status IN ('submitted', 'approved', 'rejected', 'reopened')),
+    submitted_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_comment TEXT,
+    UNIQUE (user_id, board_id, week_start)
+);
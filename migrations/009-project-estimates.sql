@@ -0,0 +1,11 @@
+-- Estimated hours and an optional budget cap on projects, burn is computed from sessions.
+--
+-- psql proma < migrations/009-project-estimates.sql
+
+BEGIN;
+
+ALTER TABLE projects
+    ADD COLUMN estimated_hours NUMERIC(8,2) CHECK (estimated_hours >= 0),
+    ADD COLUMN budget_hours NUMERIC(8,2) CHECK (budget_hours >= 0);
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- Hourly rates for cost reports: a default per board member, with optional
+-- overrides per project and per category, and a billable flag on categories.
+--
+-- psql proma < migrations/010-billable-rates.sql
+
+BEGIN;
+
+ALTER TABLE boards_users
+    ADD COLUMN hourly_rate NUMERIC(10,2) CHECK (hourly_rate >= 0);
+
+ALTER TABLE projects
+    ADD COLUMN hourly_rate NUMERIC(10,2) CHECK (hourly_rate >= 0);
+
+ALTER TABLE categories
+    ADD COLUMN billable BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN hourly_rate NUMERIC(10,2) CHECK (hourly_rate >= 0);
+
+UPDATE categories
+SET billable=FALSE
+WHERE name IN ('internal_meeting', 'available');
+
+COMMIT;
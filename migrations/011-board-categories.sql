@@ -0,0 +1,17 @@
+-- Categories owned by a board, next to the global ones every board shares.
+-- Names are unique per board, case-insensitively, global names included by the API.
+--
+-- psql proma < migrations/011-board-categories.sql
+
+BEGIN;
+
+ALTER TABLE categories
+    ADD COLUMN board_id INTEGER
+        REFERENCES boards ON DELETE CASCADE,
+    ADD COLUMN archived_at TIMESTAMPTZ,
+    DROP CONSTRAINT categories_name_key;
+
+CREATE UNIQUE INDEX categories_board_name
+    ON categories (COALESCE(board_id, 0), lower(name));
+
+COMMIT;
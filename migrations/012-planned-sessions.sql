@@ -0,0 +1,24 @@
+-- Planned sessions: future blocks of a user's time on a project, compared with
+-- recorded sessions and used for the board availability calendar.
+--
+-- psql proma < migrations/012-planned-sessions.sql
+
+-- blocks of a user's time planned on a project ahead of time
+CREATE TABLE planned_sessions (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    start_datetime TIMESTAMPTZ NOT NULL,
+    end_datetime TIMESTAMPTZ NOT NULL,
+    category_id INTEGER
+        REFERENCES categories ON DELETE SET NULL,
+    comment TEXT,
+    created_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    CHECK (start_datetime < end_datetime)
+);
+
+CREATE INDEX planned_sessions_user_time
+    ON planned_sessions (user_id, start_datetime);
@@ -0,0 +1,44 @@
+-- Outgoing webhooks: URLs registered per board that receive signed calls for
+-- project, session and board membership events, with a log of every delivery.
+--
+-- psql proma < migrations/013-webhooks.sql
+
+BEGIN;
+
+-- URLs called when subscribed events happen on a board
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    -- HMAC-SHA256 key for the X-Proma-Signature header
+    secret TEXT NOT NULL,
+    event_types TEXT[] NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- one call of a webhook for one event, retried with backoff until it succeeds or fails for good
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL
+        REFERENCES webhooks ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    last_status_code INTEGER,
+    last_error TEXT,
+    -- delivery this one re-sends, when replayed from the log
+    replay_of INTEGER
+        REFERENCES webhook_deliveries ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+CREATE INDEX webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+
+COMMIT;
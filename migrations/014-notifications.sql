@@ -0,0 +1,38 @@
+-- Notifications: an inbox per user for changes others make to their projects
+-- and sessions, and the event types each user has turned off.
+--
+-- psql proma < migrations/014-notifications.sql
+
+BEGIN;
+
+-- one change a user is told about, read once read_at is set
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    actor_id INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    board_id INTEGER
+        REFERENCES boards ON DELETE CASCADE,
+    project_id INTEGER
+        REFERENCES projects ON DELETE CASCADE,
+    entity_id INTEGER,
+    data JSONB,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX notifications_user ON notifications (user_id, created_at);
+CREATE INDEX notifications_unread ON notifications (user_id) WHERE read_at IS NULL;
+
+-- event types are on unless a row turns them off
+CREATE TABLE notification_preferences (
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    enabled BOOLEAN NOT NULL,
+    PRIMARY KEY (user_id, event_type)
+);
+
+COMMIT;
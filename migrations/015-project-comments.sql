@@ -0,0 +1,46 @@
+-- Project comments: threaded discussion on a project with @mentions of board
+-- members, earlier versions of edited comments, and soft delete.
+--
+-- psql proma < migrations/015-project-comments.sql
+
+BEGIN;
+
+-- a comment on a project, replies point at the top-level comment of their thread
+CREATE TABLE project_comments (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    parent_id INTEGER
+        REFERENCES project_comments ON DELETE CASCADE,
+    author_id INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ,
+    -- deleted comments stay in their thread with the body hidden
+    deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX project_comments_project ON project_comments (project_id, created_at);
+
+-- the body a comment had before each edit
+CREATE TABLE project_comment_edits (
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL
+        REFERENCES project_comments ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    edited_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    edited_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- board members mentioned in the current body of a comment
+CREATE TABLE project_comment_mentions (
+    comment_id INTEGER NOT NULL
+        REFERENCES project_comments ON DELETE CASCADE,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- Attachments: files on projects and sessions. Only metadata lives here, the
+-- files themselves are kept by the storage backend under storage_key.
+--
+-- psql proma < migrations/016-attachments.sql
+
+BEGIN;
+
+-- a file on a project, or on one of its sessions when session_id is set
+CREATE TABLE attachments (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    session_id INTEGER
+        REFERENCES sessions ON DELETE CASCADE,
+    uploaded_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+    storage_key TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX attachments_project ON attachments (project_id, session_id);
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- A user can only have one running (open-ended) session at a time.
+-- Where a user has several, each is stopped when the next one started,
+-- leaving only the latest running.
+--
+-- psql proma < migrations/017-one-active-session.sql
+
+BEGIN;
+
+UPDATE sessions s
+SET end_datetime=open.next_start
+FROM (SELECT id,
+             LEAD(start_datetime) OVER (PARTITION BY user_id ORDER BY start_datetime, id) AS next_start
+      FROM sessions
+      WHERE end_datetime IS NULL) AS open
+WHERE s.id=open.id AND open.next_start IS NOT NULL;
+
+CREATE UNIQUE INDEX sessions_one_active_per_user
+    ON sessions (user_id)
+    WHERE end_datetime IS NULL;
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- Email invitations to join a board with a role. An invitation is pending
+-- until it is accepted, revoked or expires_at passes.
+--
+-- psql proma < migrations/018-board-invitations.sql
+
+BEGIN;
+
+CREATE TABLE board_invitations (
+    id SERIAL PRIMARY KEY,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    email TEXT NOT NULL
+        CHECK (position('@' IN email) > 1),
+    role TEXT NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'pm', 'member', 'viewer')),
+    invited_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_at TIMESTAMPTZ,
+    accepted_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    revoked_at TIMESTAMPTZ
+);
+
+COMMIT;
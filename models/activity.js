@@ -0,0 +1,178 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForListQuery } = require("../helpers/sql");
+const { publish, BROADCAST_ENTITY_TYPES } = require("../helpers/boardEvents");
+const { NotFoundError } = require("../expressError");
+
+/** Filters and sort keys accepted when listing activity, see sqlForListQuery */
+const ACTIVITY_LIST_OPTIONS = {
+    filters: {
+        entityType: { column: "a.entity_type" },
+        action: { column: "a.action" },
+        actorId: { column: "a.actor_id", id: true }
+    },
+    sortKeys: {
+        createdAt: "a.created_at"
+    },
+    defaultSort: "createdAt",
+    defaultOrder: "desc",
+    idColumn: "a.id"
+};
+
+/** SQL/JS abstraction functions for the append-only activity log. */
+
+class Activity {
+    /** Append an entry to the activity log
+     * { actorId, boardId, projectId, entityType, entityId, action, before, after }
+     *      => { id, actorId, boardId, projectId, entityType, entityId, action, before, after, createdAt }
+     * entityType is one of board, board_user, invitation, stage, category, project, project_user, task, session, plan, timesheet, webhook, comment, attachment
+     * before and after are the changed values, null when the entity was created or deleted.
+     * The entry is also pushed to the board's open event streams, see helpers/boardEvents.
+     * Models record their own changes once saved, so this never throws and returns null
+     * on failure: a failure here must not fail the change it records.
+     */
+    static async record({ actorId, boardId, projectId = null, entityType, entityId, action,
+                          before = null, after = null }) {
+        try {
+            const result = await db.query(
+                `INSERT INTO activity_log (actor_id,
+                                           board_id,
+                                           project_id,
+                                           entity_type,
+                                           entity_id,
+                                           action,
+                                           before,
+                                           after)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING id,
+                              actor_id AS "actorId",
+                              board_id AS "boardId",
+                              project_id AS "projectId",
+                              entity_type AS "entityType",
+                              entity_id AS "entityId",
+                              action,
+                              before,
+                              after,
+                              created_at AS "createdAt"`,
+                [
+                    actorId,
+                    boardId,
+                    projectId,
+                    entityType,
+                    entityId,
+                    action,
+                    before === null ? null : JSON.stringify(before),
+                    after === null ? null : JSON.stringify(after)
+                ]
+            );
+            const entry = result.rows[0];
+            publish(entry);
+            return entry;
+        } catch(err) {
+            if (process.env.NODE_ENV !== "test") console.error(err.stack);
+            return null;
+        }
+    }
+
+    /** Get a page of a board's activity, newest first
+     * { boardId, query } => { activity: [ { entry }, ... ], total, limit, offset }
+     *      where entry is { id, actorId, actorFirstName, actorLastName, boardId, projectId,
+     *                       entityType, entityId, action, before, after, createdAt }
+     * query can include { entityType, action, actorId, limit, offset }
+     */
+    static async getBoardActivity(boardId, query = {}) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        return Activity._getPage("a.board_id=$1", boardId, query);
+    }
+
+    /** Get a page of a project's activity, including its tasks and sessions, newest first
+     * { projectId, query } => { activity: [ { entry }, ... ], total, limit, offset }
+     *      where entry is as in getBoardActivity
+     */
+    static async getProjectActivity(projectId, query = {}) {
+        // check for project
+        const projCheck = await db.query(
+            `SELECT id
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        const project = projCheck.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+
+        return Activity._getPage("a.project_id=$1", projectId, query);
+    }
+
+    /** Get a board's entries pushed to event streams after a given entry, oldest first
+     * { boardId, afterId } => [ { id, actorId, boardId, projectId, entityType, entityId, action, before, after, createdAt }, ... ]
+     * Used to catch up a reconnecting stream, at most 100 entries.
+     */
+    static async getBoardEventsSince(boardId, afterId) {
+        const result = await db.query(
+            `SELECT id,
+                    actor_id AS "actorId",
+                    board_id AS "boardId",
+                    project_id AS "projectId",
+                    entity_type AS "entityType",
+                    entity_id AS "entityId",
+                    action,
+                    before,
+                    after,
+                    created_at AS "createdAt"
+             FROM activity_log
+             WHERE board_id=$1 AND id > $2 AND entity_type = ANY($3)
+             ORDER BY id
+             LIMIT 100`,
+            [boardId, afterId, BROADCAST_ENTITY_TYPES]
+        );
+        return result.rows;
+    }
+
+    /** Shared query for the activity feeds, scope is a WHERE clause on $1 */
+    static async _getPage(scope, scopeId, query) {
+        const { whereClauses, values, orderBy, limit, offset } = sqlForListQuery(
+            query,
+            { ...ACTIVITY_LIST_OPTIONS, startIdx: 1 }
+        );
+        const where = [scope, ...whereClauses].join(" AND ");
+        const countResult = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM activity_log a
+             WHERE ${where}`,
+            [scopeId, ...values]
+        );
+        const result = await db.query(
+            `SELECT a.id,
+                    a.actor_id AS "actorId",
+                    u.first_name AS "actorFirstName",
+                    u.last_name AS "actorLastName",
+                    a.board_id AS "boardId",
+                    a.project_id AS "projectId",
+                    a.entity_type AS "entityType",
+                    a.entity_id AS "entityId",
+                    a.action,
+                    a.before,
+                    a.after,
+                    a.created_at AS "createdAt"
+             FROM activity_log a
+             LEFT JOIN users u ON a.actor_id=u.id
+             WHERE ${where}
+             ORDER BY ${orderBy}
+             LIMIT ${limit} OFFSET ${offset}`,
+            [scopeId, ...values]
+        );
+        return { activity: result.rows, total: countResult.rows[0].total, limit, offset };
+    }
+}
+
+module.exports = Activity;
@@ -0,0 +1,208 @@
+"use strict";
+
+const db = require("../db");
+const { saveFile, openFile, removeFile, createStorageKey } = require("../helpers/storage");
+const { NotFoundError } = require("../expressError");
+const Activity = require("./activity");
+
+/** Columns returned for an attachment, the storage key stays internal */
+const ATTACHMENT_COLUMNS = `a.id,
+                            a.project_id AS "projectId",
+                            a.session_id AS "sessionId",
+                            a.uploaded_by AS "uploadedBy",
+                            a.file_name AS "fileName",
+                            a.mime_type AS "mimeType",
+                            a.size_bytes AS "sizeBytes",
+                            a.created_at AS "createdAt"`;
+
+/** SQL/JS abstraction functions for files attached to projects and sessions.
+ *
+ * Files are kept by the storage backend, see helpers/storage, and only their
+ * metadata is in the database. An attachment belongs to a project, and to one of
+ * its sessions when sessionId is set.
+ */
+
+class Attachment {
+    /** Store an uploaded file and attach it to a project, or a session when sessionId is given
+     * { projectId, sessionId, uploadedBy, file } => { id, projectId, sessionId, uploadedBy, fileName, mimeType, sizeBytes, createdAt }
+     *      where file is { originalname, mimetype, size, buffer }, see middleware/upload
+     * sessionId must be a session on the project.
+     */
+    static async create({ projectId, sessionId = null, uploadedBy, file }) {
+        const scopeCheck = sessionId === null
+            ? await db.query(
+                `SELECT id, board_id AS "boardId"
+                 FROM projects
+                 WHERE id=$1`,
+                [projectId])
+            : await db.query(
+                `SELECT s.id, p.board_id AS "boardId"
+                 FROM sessions s
+                 JOIN projects p ON s.project_id=p.id
+                 WHERE s.id=$1 AND s.project_id=$2`,
+                [sessionId, projectId]);
+        const scope = scopeCheck.rows[0];
+        if (!scope) throw new NotFoundError(sessionId === null ? "no project found" : "no session found");
+
+        const storageKey = createStorageKey();
+        await saveFile(storageKey, file.buffer);
+        let attachment;
+        try {
+            const result = await db.query(
+                `INSERT INTO attachments AS a (project_id,
+                                               session_id,
+                                               uploaded_by,
+                                               file_name,
+                                               mime_type,
+                                               size_bytes,
+                                               storage_key)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    RETURNING ${ATTACHMENT_COLUMNS}`,
+                [projectId, sessionId, uploadedBy, file.originalname, file.mimetype, file.size, storageKey]
+            );
+            attachment = result.rows[0];
+        } catch(err) {
+            // don't leave a file nothing points at
+            await removeFile(storageKey);
+            throw err;
+        }
+        await Activity.record({
+            actorId: uploadedBy, boardId: scope.boardId, projectId: attachment.projectId, entityType: "attachment",
+            entityId: attachment.id, action: "create", after: attachment
+        });
+        return attachment;
+    }
+
+    /** Get the files attached to a project itself, newest first
+     * { projectId } => [ { attachment }, ... ], see create
+     * Files on the project's sessions are listed with each session.
+     */
+    static async getProjectAttachments(projectId) {
+        const projCheck = await db.query(
+            `SELECT id
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        if (!projCheck.rows[0]) throw new NotFoundError("no project found");
+
+        const result = await db.query(
+            `SELECT ${ATTACHMENT_COLUMNS}
+             FROM attachments a
+             WHERE a.project_id=$1 AND a.session_id IS NULL
+             ORDER BY a.created_at DESC, a.id DESC`,
+            [projectId]
+        );
+        return result.rows;
+    }
+
+    /** Get the files attached to a session, newest first
+     * { sessionId } => [ { attachment }, ... ], see create
+     */
+    static async getSessionAttachments(sessionId) {
+        const sessionCheck = await db.query(
+            `SELECT id
+             FROM sessions
+             WHERE id=$1`,
+            [sessionId]
+        );
+        if (!sessionCheck.rows[0]) throw new NotFoundError("no session found");
+
+        const result = await db.query(
+            `SELECT ${ATTACHMENT_COLUMNS}
+             FROM attachments a
+             WHERE a.session_id=$1
+             ORDER BY a.created_at DESC, a.id DESC`,
+            [sessionId]
+        );
+        return result.rows;
+    }
+
+    /** Get an attachment of a project, or of a session when sessionId is given
+     * { attachmentId, { projectId, sessionId } } => { attachment }, see create
+     */
+    static async get(attachmentId, { projectId, sessionId = null }) {
+        const result = await db.query(
+            `SELECT ${ATTACHMENT_COLUMNS}
+             FROM attachments a
+             WHERE a.id=$1
+                AND ($2::integer IS NULL OR a.project_id=$2)
+                AND a.session_id IS NOT DISTINCT FROM $3`,
+            [attachmentId, projectId || null, sessionId]
+        );
+        const attachment = result.rows[0];
+        if (!attachment) throw new NotFoundError("no attachment found");
+        return attachment;
+    }
+
+    /** Open an attachment's file for download
+     * { attachmentId, { projectId, sessionId } } => { attachment, stream }
+     *      where stream is a readable stream of the file
+     */
+    static async open(attachmentId, scope) {
+        const attachment = await Attachment.get(attachmentId, scope);
+        const keyResult = await db.query(
+            `SELECT storage_key AS "storageKey"
+             FROM attachments
+             WHERE id=$1`,
+            [attachment.id]
+        );
+        const stream = await openFile(keyResult.rows[0].storageKey);
+        return { attachment, stream };
+    }
+
+    /** Delete an attachment and its file
+     * { attachmentId, { projectId, sessionId }, actorId } => { attachment }, see create
+     */
+    static async remove(attachmentId, scope, actorId = null) {
+        const attachment = await Attachment.get(attachmentId, scope);
+        const result = await db.query(
+            `DELETE
+             FROM attachments a
+             USING projects p
+             WHERE a.id=$1 AND a.project_id=p.id
+             RETURNING a.storage_key AS "storageKey", p.board_id AS "boardId"`,
+            [attachment.id]
+        );
+        await Attachment.removeFiles(result.rows.map(r => r.storageKey));
+        if (result.rows[0]) {
+            await Activity.record({
+                actorId, boardId: result.rows[0].boardId, projectId: attachment.projectId, entityType: "attachment",
+                entityId: attachment.id, action: "delete", before: attachment
+            });
+        }
+        return attachment;
+    }
+
+    /** Storage keys of the files a delete of a board, project or session will cascade to
+     * { boardId } | { projectId } | { sessionId } => [ storageKey, ... ]
+     * Read before deleting, then pass to removeFiles once the delete is done.
+     */
+    static async getStorageKeys({ boardId = null, projectId = null, sessionId = null }) {
+        const result = await db.query(
+            `SELECT a.storage_key AS "storageKey"
+             FROM attachments a
+             JOIN projects p ON a.project_id=p.id
+             WHERE ($1::integer IS NULL OR p.board_id=$1)
+                AND ($2::integer IS NULL OR a.project_id=$2)
+                AND ($3::integer IS NULL OR a.session_id=$3)`,
+            [boardId, projectId, sessionId]
+        );
+        return result.rows.map(r => r.storageKey);
+    }
+
+    /** Delete stored files whose attachments are gone.
+     * Failures are logged rather than raised, the rows are already deleted.
+     */
+    static async removeFiles(storageKeys) {
+        for (const key of storageKeys) {
+            try {
+                await removeFile(key);
+            } catch(err) {
+                if (process.env.NODE_ENV !== "test") console.error(err.stack);
+            }
+        }
+    }
+}
+
+module.exports = Attachment;
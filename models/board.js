@@ -1,15 +1,26 @@
 "use strict";
 
 const db = require("../db");
-const {  NotFoundError } = require("../expressError");
+const {  NotFoundError, BadRequestError, ConflictError } = require("../expressError");
+const Stage = require("./stage");
+const Webhook = require("./webhook");
+const Attachment = require("./attachment");
+const Activity = require("./activity");
+
+/** Roles a user can hold on a board, most to least privileged. */
+const BOARD_ROLES = ["owner", "pm", "member", "viewer"];
+
+/** Roles allowed to manage a board's projects, sessions and members. */
+const PM_ROLES = ["owner", "pm"];
 
 /** SQL/JS abstraction functions for boards. */
 
 class Board {
-    /** finds all boards matching userID.
-     * (userId) => [ {id, title}, ... ]
+    /** finds all boards matching userID, archived boards only if includeArchived.
+     * (userId, includeArchived) => [ {id, title, archivedAt, role}, ... ]
+     *      where role is the user's role on that board
       */
-     static async findAllForUser(userId) {
+     static async findAllForUser(userId, includeArchived = false) {
         // check for user first
         const userCheck = await db.query(
             `SELECT id
@@ -22,35 +33,40 @@ class Board {
 
         // continue with desired query
         const result = await db.query(
-            `SELECT b.id, b.title
+            `SELECT b.id, b.title, b.archived_at AS "archivedAt", bu.role
              FROM boards AS b
              JOIN boards_users AS bu ON b.id = bu.board_id
-             WHERE bu.user_id=$1
+             WHERE bu.user_id=$1 AND ($2 OR b.archived_at IS NULL)
              ORDER BY title`,
-            [userId]
+            [userId, includeArchived]
         );
         return result.rows;
      }
 
-     /** Create a board, update DB and return new board 
-      * { title } => { id, title }
+     /** Create a board with the default stages, update DB and return new board 
+      * { title, actorId } => { id, title }
+      * actorId, here and in the changes below, is the user recorded in the activity log.
      */
-    static async create({ title }) {
+    static async create({ title, actorId = null }) {
         const result = await db.query(
             `INSERT INTO boards (title)
              VALUES ($1)
              RETURNING id, title`,
             [title]
         );
-        return result.rows[0];
+        const board = result.rows[0];
+        await Stage.createDefaults(board.id);
+        await Activity.record({
+            actorId, boardId: board.id, entityType: "board", entityId: board.id, action: "create", after: board
+        });
+        return board;
     }
 
-    /** add a user to board via userID and boardID
-     * { userId, boardId } => { userId, boardId }
+    /** add a user to board via userID and boardID with a role, defaults to member
+     * { userId, boardId, role, actorId } => { userId, boardId, role }
      */
-    static async addUserToBoard({userId, boardId}) {
+    static async addUserToBoard({userId, boardId, role = "member", actorId = null}) {
         // check for board existence first
-        console.log("userId, boardId: ", userId, boardId);
         const boardCheck = await db.query(
             `SELECT id
              FROM boards
@@ -72,16 +88,22 @@ class Board {
 
         // continue with desired query
         const result = await db.query(
-            `INSERT INTO boards_users (user_id, board_id)
-             VALUES ($1, $2)
-             RETURNING user_id AS "userId", board_id AS "boardId"`,
-            [userId, boardId]
+            `INSERT INTO boards_users (user_id, board_id, role)
+             VALUES ($1, $2, $3)
+             RETURNING user_id AS "userId", board_id AS "boardId", role`,
+            [userId, boardId, role]
         );
-        return result.rows[0];
+        const boardUser = result.rows[0];
+        await Activity.record({
+            actorId, boardId, entityType: "board_user", entityId: boardUser.userId, action: "add",
+            after: { role: boardUser.role }
+        });
+        await Webhook.dispatch("user.added", { boardId }, boardUser);
+        return boardUser;
     }
 
     /** Gets an array of users and their data that are assigned to a board 
-     * { boardId } => [{ id, email, first_name, last_name, isPm }, ...]
+     * { boardId } => [{ id, email, first_name, last_name, isPm, role }, ...]
     */
     static async getBoardUsers(boardId) {
         // ensure board exists
@@ -100,7 +122,8 @@ class Board {
                     u.email AS "email",
                     u.first_name AS "firstName",
                     u.last_name AS "lastName",
-                    u.is_pm AS "isPm"
+                    u.is_pm AS "isPm",
+                    bu.role AS "role"
                 FROM users AS u
                 JOIN boards_users AS bu ON u.id=bu.user_id
                 WHERE bu.board_id=$1`,
@@ -133,12 +156,146 @@ class Board {
         return result.rows.length > 0;
     }
 
+    /** Gets the user's role on the board
+     * { userId, boardId } => role or null if not on board
+     *      where role is one of owner, pm, member, viewer
+    */
+    static async getUserRole(userId, boardId) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await db.query(
+            `SELECT role
+             FROM boards_users
+             WHERE user_id=$1 AND board_id=$2`,
+            [userId, boardId]
+        );
+        const boardUser = result.rows[0];
+        return boardUser ? boardUser.role : null;
+    }
+
+    /** Checks if the user is an owner or PM of the board
+     * { userId, boardId } => bool
+    */
+    static async isPmOnBoard(userId, boardId) {
+        const role = await Board.getUserRole(userId, boardId);
+        return PM_ROLES.includes(role);
+    }
+
+    /** Checks if pmUserId is an owner or PM on any board that userId belongs to
+     * { pmUserId, userId } => bool
+    */
+    static async isPmOfUser(pmUserId, userId) {
+        const result = await db.query(
+            `SELECT 1
+             FROM boards_users AS pm
+             JOIN boards_users AS bu ON pm.board_id=bu.board_id
+             WHERE pm.user_id=$1
+                AND pm.role IN ('owner', 'pm')
+                AND bu.user_id=$2`,
+            [pmUserId, userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /** Change a board member's role
+     * { userId, boardId, role, actorId } => { userId, boardId, role }
+     * Raises BadRequestError if this would leave the board without an owner
+    */
+    static async updateUserRole({ userId, boardId, role, actorId = null }) {
+        const currentRole = await Board.getUserRole(userId, boardId);
+        if (!currentRole) throw new NotFoundError("no board-user found");
+        if (currentRole === "owner" && role !== "owner") await Board._ensureOtherOwner(userId, boardId);
+
+        const result = await db.query(
+            `UPDATE boards_users
+             SET role=$1
+             WHERE user_id=$2 AND board_id=$3
+             RETURNING user_id AS "userId", board_id AS "boardId", role`,
+            [role, userId, boardId]
+        );
+        const boardUser = result.rows[0];
+        await Activity.record({
+            actorId, boardId, entityType: "board_user", entityId: boardUser.userId, action: "update",
+            before: { role: currentRole }, after: { role: boardUser.role }
+        });
+        return boardUser;
+    }
+
+    /** Set a board member's default hourly rate, null clears it
+     * { userId, boardId, hourlyRate, actorId } => { userId, boardId, hourlyRate }
+     * Projects and categories with a rate of their own override it, see Report.getCosts
+    */
+    static async updateUserRate({ userId, boardId, hourlyRate, actorId = null }) {
+        const result = await db.query(
+            `UPDATE boards_users
+             SET hourly_rate=$1
+             WHERE user_id=$2 AND board_id=$3
+             RETURNING user_id AS "userId", board_id AS "boardId", hourly_rate::float AS "hourlyRate"`,
+            [hourlyRate, userId, boardId]
+        );
+        const boardUser = result.rows[0];
+        if (!boardUser) throw new NotFoundError("no board-user found");
+        // the rate itself stays out of the log, every board user can read it
+        await Activity.record({
+            actorId, boardId, entityType: "board_user", entityId: boardUser.userId, action: "update_rate"
+        });
+        return boardUser;
+    }
+
+    /** Get the default hourly rate of every member of a board
+     * { boardId } => [ { userId, firstName, lastName, role, hourlyRate }, ... ]
+    */
+    static async getUserRates(boardId) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await db.query(
+            `SELECT u.id AS "userId",
+                    u.first_name AS "firstName",
+                    u.last_name AS "lastName",
+                    bu.role,
+                    bu.hourly_rate::float AS "hourlyRate"
+             FROM boards_users bu
+             JOIN users u ON bu.user_id=u.id
+             WHERE bu.board_id=$1
+             ORDER BY u.last_name, u.first_name`,
+            [boardId]
+        );
+        return result.rows;
+    }
+
+    /** Raises BadRequestError unless the board has an owner other than userId */
+    static async _ensureOtherOwner(userId, boardId) {
+        const result = await db.query(
+            `SELECT 1
+             FROM boards_users
+             WHERE board_id=$1 AND role='owner' AND user_id<>$2`,
+            [boardId, userId]
+        );
+        if (!result.rows.length) throw new BadRequestError("board must keep at least one owner");
+    }
+
     /** Get board details.
-     * { boardId } => { id, title }
+     * { boardId } => { id, title, archivedAt }
      */
     static async get(boardId){
         const result = await db.query(
-            `SELECT id, title
+            `SELECT id, title, archived_at AS "archivedAt"
              FROM boards
              WHERE id=$1`,
             [boardId]
@@ -149,9 +306,10 @@ class Board {
     }
 
     /** Update board details 
-     * { id, title } => { id, title }
+     * { boardId, title, actorId } => { id, title }
     */
-    static async update({ boardId, title }) {
+    static async update({ boardId, title, actorId = null }) {
+        const before = await Board.get(boardId);
         const result = await db.query(
             `UPDATE boards
              SET title=$1
@@ -161,22 +319,120 @@ class Board {
         );
         const board = result.rows[0]
         if (!board) throw new NotFoundError("no board found");
+        await Activity.record({
+            actorId, boardId: board.id, entityType: "board", entityId: board.id, action: "update",
+            before: { title: before.title }, after: { title: board.title }
+        });
         return board;
     }
 
+    /** Archive board, hiding it and its projects from default listings while keeping sessions
+     * { boardId, actorId } => { id, title, archivedAt }
+    */
+    static async archive(boardId, actorId = null) {
+        const result = await db.query(
+            `UPDATE boards
+             SET archived_at=COALESCE(archived_at, CURRENT_TIMESTAMP)
+             WHERE id=$1
+             RETURNING id, title, archived_at AS "archivedAt"`,
+            [boardId]
+        );
+        const board = result.rows[0]
+        if (!board) throw new NotFoundError("no board found");
+        await Activity.record({
+            actorId, boardId: board.id, entityType: "board", entityId: board.id, action: "archive",
+            after: { archivedAt: board.archivedAt }
+        });
+        return board;
+    }
+
+    /** Restore an archived board
+     * { boardId, actorId } => { id, title, archivedAt }
+    */
+    static async restore(boardId, actorId = null) {
+        const result = await db.query(
+            `UPDATE boards
+             SET archived_at=NULL
+             WHERE id=$1
+             RETURNING id, title, archived_at AS "archivedAt"`,
+            [boardId]
+        );
+        const board = result.rows[0]
+        if (!board) throw new NotFoundError("no board found");
+        await Activity.record({
+            actorId, boardId: board.id, entityType: "board", entityId: board.id, action: "restore",
+            after: { archivedAt: board.archivedAt }
+        });
+        return board;
+    }
+
+    /** Permanently delete board
+     * { boardId, confirm, actorId } => undefined
+     * Deleting cascades to all of the board's projects and every session recorded
+     * on them, so unless confirm is true a ConflictError is raised stating what would be lost.
+    */
+    static async remove(boardId, confirm = false, actorId = null) {
+        const impactCheck = await db.query(
+            `SELECT b.id,
+                    b.title,
+                    b.archived_at AS "archivedAt",
+                    COUNT(DISTINCT p.id)::integer AS "projects",
+                    COUNT(s.id)::integer AS "sessions"
+             FROM boards b
+             LEFT JOIN projects p ON p.board_id=b.id
+             LEFT JOIN sessions s ON s.project_id=p.id
+             WHERE b.id=$1
+             GROUP BY b.id`,
+            [boardId]
+        );
+        const impact = impactCheck.rows[0];
+        if (!impact) throw new NotFoundError("no board found");
+        if (!confirm) {
+            throw new ConflictError(
+                `permanently deleting board "${impact.title}" also deletes its ${impact.projects} projects ` +
+                `and ${impact.sessions} sessions. Archive it to keep them, or repeat with confirm=true`
+            );
+        }
+
+        const storageKeys = await Attachment.getStorageKeys({ boardId });
+        await db.query(
+            `DELETE
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        await Attachment.removeFiles(storageKeys);
+        await Activity.record({
+            actorId, boardId: impact.id, entityType: "board", entityId: impact.id, action: "delete",
+            before: { id: impact.id, title: impact.title, archivedAt: impact.archivedAt }
+        });
+    }
+
    /** Remove user from board
-    * {  userId, boardId } => undefined
+    * {  userId, boardId, actorId } => undefined
+    * Raises BadRequestError when removing the last owner
     */
-    static async removeUserFromBoard(userId, boardId) {
+    static async removeUserFromBoard(userId, boardId, actorId = null) {
+        const role = await Board.getUserRole(userId, boardId);
+        if (role === "owner") await Board._ensureOtherOwner(userId, boardId);
+
         const result = await db.query(
             `DELETE
              FROM boards_users
              WHERE user_id=$1 AND board_id=$2
-             RETURNING user_id`,
+             RETURNING user_id AS "userId", board_id AS "boardId", role`,
             [userId, boardId]
         );
         const boardUser = result.rows[0];
-        if (!boardUser) throw new NotFoundError("no board-user found");    
+        if (!boardUser) throw new NotFoundError("no board-user found");
+        await Activity.record({
+            actorId, boardId, entityType: "board_user", entityId: boardUser.userId, action: "remove",
+            before: { role: boardUser.role }
+        });
+        await Webhook.dispatch("user.removed", { boardId }, boardUser);
    }
 }
+Board.BOARD_ROLES = BOARD_ROLES;
+Board.PM_ROLES = PM_ROLES;
+
 module.exports = Board;
\ No newline at end of file
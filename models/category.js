@@ -1,19 +1,217 @@
 "use strict";
 
 const db = require("../db");
-const {  NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Activity = require("./activity");
 
-/** SQL/JS abstraction functions for Categories. */
+/** Columns returned for a category, boardId is null for the global defaults */
+const CATEGORY_COLUMNS = `id,
+                          board_id AS "boardId",
+                          name,
+                          billable,
+                          hourly_rate::float AS "hourlyRate",
+                          archived_at AS "archivedAt"`;
+
+/** SQL/JS abstraction functions for Categories.
+ *
+ * The global categories are available on every board, a board can add its own alongside them.
+ */
 
 class Category {
-    /** Retrieves all categories from DB */
+    /** Retrieves all global categories from DB
+     * => [ { id, boardId, name, billable, hourlyRate, archivedAt }, ... ]
+     */
     static async getAll() {
         const result = await db.query(
-            `SELECT id, name
-            FROM categories`
+            `SELECT ${CATEGORY_COLUMNS}
+            FROM categories
+            WHERE board_id IS NULL
+            ORDER BY id`
+        );
+        return result.rows;
+    }
+
+    /** Get the categories available on a board, the global ones first
+     * { boardId, includeArchived } => [ { id, boardId, name, billable, hourlyRate, archivedAt }, ... ]
+     * The board's archived categories are left out unless includeArchived
+     */
+    static async getBoardCategories(boardId, includeArchived = false) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await db.query(
+            `SELECT ${CATEGORY_COLUMNS}
+             FROM categories
+             WHERE (board_id IS NULL OR board_id=$1)
+                AND ($2 OR archived_at IS NULL)
+             ORDER BY board_id NULLS FIRST, name`,
+            [boardId, includeArchived]
         );
         return result.rows;
     }
+
+    /** Get a category of a board by ID
+     * { categoryId, boardId } => { id, boardId, name, billable, hourlyRate, archivedAt }
+     */
+    static async get(categoryId, boardId) {
+        const result = await db.query(
+            `SELECT ${CATEGORY_COLUMNS}
+             FROM categories
+             WHERE id=$1 AND board_id=$2`,
+            [categoryId, boardId]
+        );
+        const category = result.rows[0];
+        if (!category) throw new NotFoundError("no category found");
+        return category;
+    }
+
+    /** Add a category to a board
+     * { boardId, { name, billable, hourlyRate }, actorId } => { id, boardId, name, billable, hourlyRate, archivedAt }
+     * Raises BadRequestError if the name is taken by a global category or another of the board's
+     */
+    static async create(boardId, { name, billable = true, hourlyRate = null }, actorId = null) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+        await Category._ensureNameFree(boardId, name);
+
+        const result = await db.query(
+            `INSERT INTO categories (board_id, name, billable, hourly_rate)
+             VALUES ($1, $2, $3, $4)
+             RETURNING ${CATEGORY_COLUMNS}`,
+            [boardId, name, billable, hourlyRate]
+        );
+        const category = result.rows[0];
+        await Activity.record({
+            actorId, boardId: category.boardId, entityType: "category", entityId: category.id, action: "create",
+            after: Category.withoutRate(category)
+        });
+        return category;
+    }
+
+    /** Update a category, a board's own when boardId is given, otherwise a global one
+     * { categoryId, fieldsToUpdate, boardId, actorId } => { id, boardId, name, billable, hourlyRate, archivedAt }
+     * Data can include any of { name, billable, hourlyRate }. Time in a non-billable category
+     * costs nothing, hourlyRate overrides the user's rate, null clears it.
+     * Only changes to a board's own categories are recorded in its activity log.
+     * Raises BadRequestError if the new name is taken, see create
+     */
+    static async update(categoryId, data, boardId = null, actorId = null) {
+        const before = boardId === null ? null : await Category.get(categoryId, boardId);
+        if (before && data.name !== undefined && data.name.toLowerCase() !== before.name.toLowerCase()) {
+            await Category._ensureNameFree(boardId, data.name);
+        }
+
+        const { sqlSetCols, values } = sqlForPartialUpdate(
+            data,
+            { hourlyRate: "hourly_rate" }
+        );
+        const idSqlIndex = "$" + (values.length + 1);
+        const boardIdSqlIndex = "$" + (values.length + 2);
+        const query = `UPDATE categories
+                       SET ${sqlSetCols}
+                       WHERE id=${idSqlIndex} AND board_id IS NOT DISTINCT FROM ${boardIdSqlIndex}
+                       RETURNING ${CATEGORY_COLUMNS}`;
+        const result = await db.query(query, [...values, categoryId, boardId]);
+        const category = result.rows[0];
+        if (!category) throw new NotFoundError("no category found");
+        if (before) {
+            await Activity.record({
+                actorId, boardId: category.boardId, entityType: "category", entityId: category.id, action: "update",
+                before: Category.withoutRate(before), after: Category.withoutRate(category)
+            });
+        }
+        return category;
+    }
+
+    /** Archive a board's category, it can no longer be picked for sessions but past sessions keep it
+     * { categoryId, boardId, actorId } => { id, boardId, name, billable, hourlyRate, archivedAt }
+     */
+    static async archive(categoryId, boardId, actorId = null) {
+        const result = await db.query(
+            `UPDATE categories
+             SET archived_at=COALESCE(archived_at, CURRENT_TIMESTAMP)
+             WHERE id=$1 AND board_id=$2
+             RETURNING ${CATEGORY_COLUMNS}`,
+            [categoryId, boardId]
+        );
+        const category = result.rows[0];
+        if (!category) throw new NotFoundError("no category found");
+        await Activity.record({
+            actorId, boardId: category.boardId, entityType: "category", entityId: category.id, action: "archive",
+            after: { archivedAt: category.archivedAt }
+        });
+        return category;
+    }
+
+    /** Restore an archived category of a board
+     * { categoryId, boardId, actorId } => { id, boardId, name, billable, hourlyRate, archivedAt }
+     */
+    static async restore(categoryId, boardId, actorId = null) {
+        const result = await db.query(
+            `UPDATE categories
+             SET archived_at=NULL
+             WHERE id=$1 AND board_id=$2
+             RETURNING ${CATEGORY_COLUMNS}`,
+            [categoryId, boardId]
+        );
+        const category = result.rows[0];
+        if (!category) throw new NotFoundError("no category found");
+        await Activity.record({
+            actorId, boardId: category.boardId, entityType: "category", entityId: category.id, action: "restore",
+            after: { archivedAt: category.archivedAt }
+        });
+        return category;
+    }
+
+    /** A category as shown to users who aren't PMs on its board, and in the activity log
+     * { category } => { category } without hourlyRate
+     */
+    static withoutRate({ hourlyRate, ...category }) {
+        return category;
+    }
+
+    /** Raises NotFoundError if the category doesn't exist and BadRequestError
+     * unless it is global or an active category of the board
+     */
+    static async ensureAvailable(categoryId, boardId) {
+        const result = await db.query(
+            `SELECT board_id AS "boardId", archived_at AS "archivedAt"
+             FROM categories
+             WHERE id=$1`,
+            [categoryId]
+        );
+        const category = result.rows[0];
+        if (!category) throw new NotFoundError("no category found");
+        if ((category.boardId !== null && category.boardId !== +boardId) || category.archivedAt) {
+            throw new BadRequestError("category is not available on the session's board");
+        }
+    }
+
+    /** Raises BadRequestError if a global category or one of the board's has this name */
+    static async _ensureNameFree(boardId, name) {
+        const duplicate = await db.query(
+            `SELECT id
+             FROM categories
+             WHERE (board_id IS NULL OR board_id=$1) AND lower(name)=lower($2)`,
+            [boardId, name]
+        );
+        if (duplicate.rows[0]) throw new BadRequestError(`category "${name}" already on board`);
+    }
 }
 
-module.exports = Category;
\ No newline at end of file
+module.exports = Category;
@@ -0,0 +1,220 @@
+"use strict";
+
+const db = require("../db");
+const { findMentions } = require("../helpers/mentions");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Board = require("./board");
+const Activity = require("./activity");
+
+/** Columns returned for a comment, a deleted comment's body and mentions are hidden */
+const COMMENT_COLUMNS = `c.id,
+                         c.project_id AS "projectId",
+                         c.parent_id AS "parentId",
+                         c.author_id AS "authorId",
+                         u.first_name AS "authorFirstName",
+                         u.last_name AS "authorLastName",
+                         CASE WHEN c.deleted_at IS NULL THEN c.body END AS "body",
+                         CASE WHEN c.deleted_at IS NULL THEN
+                             ARRAY(SELECT m.user_id
+                                   FROM project_comment_mentions m
+                                   WHERE m.comment_id=c.id
+                                   ORDER BY m.user_id)
+                             ELSE '{}' END AS "mentions",
+                         c.created_at AS "createdAt",
+                         c.updated_at AS "updatedAt",
+                         c.deleted_at AS "deletedAt"`;
+
+/** SQL/JS abstraction functions for discussion threads on projects.
+ *
+ * Threads are one level deep: a reply to a reply joins the thread of the comment it answers.
+ * Mentions are resolved against the users on the project's board, see helpers/mentions.
+ * Comment bodies stay out of the activity log, it outlives edits and deletes.
+ */
+
+class Comment {
+    /** Get a project's comments as threads, oldest first
+     * { projectId } => [ { comment, replies: [ { comment }, ... ] }, ... ]
+     *      where comment is { id, projectId, parentId, authorId, authorFirstName, authorLastName,
+     *                         body, mentions, createdAt, updatedAt, deletedAt }
+     * Deleted comments only show, without body, while they have replies.
+     */
+    static async getProjectComments(projectId) {
+        await Comment._getBoardId(projectId);
+
+        const result = await db.query(
+            `SELECT ${COMMENT_COLUMNS}
+             FROM project_comments c
+             LEFT JOIN users u ON c.author_id=u.id
+             WHERE c.project_id=$1
+             ORDER BY c.created_at, c.id`,
+            [projectId]
+        );
+        const threads = new Map();
+        for (const comment of result.rows) {
+            if (comment.parentId === null) threads.set(comment.id, { ...comment, replies: [] });
+        }
+        for (const comment of result.rows) {
+            if (comment.parentId !== null && !comment.deletedAt) threads.get(comment.parentId).replies.push(comment);
+        }
+        return [...threads.values()].filter(thread => !thread.deletedAt || thread.replies.length);
+    }
+
+    /** Get a comment on a project
+     * { commentId, projectId } => { comment }, see getProjectComments
+     */
+    static async get(commentId, projectId) {
+        const result = await db.query(
+            `SELECT ${COMMENT_COLUMNS}
+             FROM project_comments c
+             LEFT JOIN users u ON c.author_id=u.id
+             WHERE c.id=$1 AND c.project_id=$2`,
+            [commentId, projectId]
+        );
+        const comment = result.rows[0];
+        if (!comment) throw new NotFoundError("no comment found");
+        return comment;
+    }
+
+    /** Comment on a project, or reply to one of its comments
+     * { projectId, authorId, { body, parentId } } => { comment }, see getProjectComments
+     * Mentions of the board's users are saved with the comment.
+     * Raises BadRequestError if the parent comment is deleted.
+     */
+    static async create(projectId, authorId, { body, parentId = null }) {
+        const boardId = await Comment._getBoardId(projectId);
+        if (parentId !== null) {
+            const parent = await Comment.get(parentId, projectId);
+            if (parent.deletedAt) throw new BadRequestError("cannot reply to a deleted comment");
+            // replies join the thread of the comment they answer
+            if (parent.parentId !== null) parentId = parent.parentId;
+        }
+
+        const result = await db.query(
+            `INSERT INTO project_comments (project_id, parent_id, author_id, body)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [projectId, parentId, authorId, body]
+        );
+        const { id } = result.rows[0];
+        await Comment._saveMentions(id, boardId, body);
+        const comment = await Comment.get(id, projectId);
+        await Activity.record({
+            actorId: authorId, boardId, projectId, entityType: "comment", entityId: comment.id, action: "create",
+            after: { parentId: comment.parentId, authorId: comment.authorId, mentions: comment.mentions }
+        });
+        return comment;
+    }
+
+    /** Change a comment's body, keeping the earlier body in its history
+     * { commentId, projectId, editorId, body } => { comment }, see getProjectComments
+     * Mentions are replaced by those in the new body.
+     * Raises BadRequestError if the comment is deleted.
+     */
+    static async update(commentId, projectId, editorId, body) {
+        const boardId = await Comment._getBoardId(projectId);
+        const current = await Comment.get(commentId, projectId);
+        if (current.deletedAt) throw new BadRequestError("cannot edit a deleted comment");
+
+        await db.transaction(async client => {
+            await client.query(
+                `INSERT INTO project_comment_edits (comment_id, body, edited_by)
+                 SELECT id, body, $2
+                 FROM project_comments
+                 WHERE id=$1`,
+                [commentId, editorId]
+            );
+            await client.query(
+                `UPDATE project_comments
+                 SET body=$2, updated_at=CURRENT_TIMESTAMP
+                 WHERE id=$1`,
+                [commentId, body]
+            );
+            await Comment._saveMentions(commentId, boardId, body, client);
+        });
+        const comment = await Comment.get(commentId, projectId);
+        await Activity.record({
+            actorId: editorId, boardId, projectId, entityType: "comment", entityId: comment.id, action: "update",
+            before: { updatedAt: current.updatedAt, mentions: current.mentions },
+            after: { updatedAt: comment.updatedAt, mentions: comment.mentions }
+        });
+        return comment;
+    }
+
+    /** Get the earlier bodies of a comment, oldest first
+     * { commentId, projectId } => [ { body, editedBy, editedAt }, ... ]
+     *      where editedAt is when body was replaced
+     */
+    static async getHistory(commentId, projectId) {
+        const comment = await Comment.get(commentId, projectId);
+        if (comment.deletedAt) return [];
+
+        const result = await db.query(
+            `SELECT body,
+                    edited_by AS "editedBy",
+                    edited_at AS "editedAt"
+             FROM project_comment_edits
+             WHERE comment_id=$1
+             ORDER BY edited_at, id`,
+            [commentId]
+        );
+        return result.rows;
+    }
+
+    /** Soft delete a comment, its replies stay in the thread
+     * { commentId, projectId, actorId } => { comment }, see getProjectComments
+     * Raises BadRequestError if the comment is already deleted.
+     */
+    static async remove(commentId, projectId, actorId = null) {
+        const result = await db.query(
+            `UPDATE project_comments
+             SET deleted_at=CURRENT_TIMESTAMP
+             WHERE id=$1 AND project_id=$2 AND deleted_at IS NULL
+             RETURNING id`,
+            [commentId, projectId]
+        );
+        if (!result.rows[0]) {
+            await Comment.get(commentId, projectId);
+            throw new BadRequestError("comment already deleted");
+        }
+        const comment = await Comment.get(commentId, projectId);
+        await Activity.record({
+            actorId, boardId: await Comment._getBoardId(projectId), projectId, entityType: "comment",
+            entityId: comment.id, action: "delete",
+            before: { parentId: comment.parentId, authorId: comment.authorId, createdAt: comment.createdAt }
+        });
+        return comment;
+    }
+
+    /** Replace a comment's mentions with the board's users mentioned in body,
+     * on a transaction's client when given
+     */
+    static async _saveMentions(commentId, boardId, body, client = db) {
+        const users = await Board.getBoardUsers(boardId);
+        const userIds = findMentions(body, users);
+        await client.query(
+            `DELETE FROM project_comment_mentions
+             WHERE comment_id=$1`,
+            [commentId]
+        );
+        await client.query(
+            `INSERT INTO project_comment_mentions (comment_id, user_id)
+             SELECT $1, unnest($2::integer[])`,
+            [commentId, userIds]
+        );
+    }
+
+    /** Board of a project, raises NotFoundError if there's no such project */
+    static async _getBoardId(projectId) {
+        const projCheck = await db.query(
+            `SELECT board_id AS "boardId"
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        const project = projCheck.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+        return project.boardId;
+    }
+}
+
+module.exports = Comment;
@@ -0,0 +1,250 @@
+"use strict";
+
+const db = require("../db");
+const { INVITATION_EXPIRES_IN_DAYS } = require("../config");
+const { NotFoundError, BadRequestError, ConflictError } = require("../expressError");
+const Webhook = require("./webhook");
+const Activity = require("./activity");
+const User = require("./user");
+
+/** SQL/JS abstraction functions for board invitations. */
+
+class Invitation {
+    /** Create an invitation to a board for an email address
+     * { boardId, email, role, invitedBy } => { invitation }
+     *      Where invitation is { id, boardId, email, role, invitedBy, createdAt, expiresAt, status }
+     * Raises BadRequestError if the email already belongs to a board member
+     * and ConflictError if a pending invitation for the email exists.
+     */
+    static async create({ boardId, email, role = "member", invitedBy }) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        // ensure email isn't already on board
+        const memberCheck = await db.query(
+            `SELECT u.id
+             FROM users u
+             JOIN boards_users bu ON u.id=bu.user_id
+             WHERE bu.board_id=$1 AND lower(u.email)=lower($2)`,
+            [boardId, email]
+        );
+        if (memberCheck.rows[0]) throw new BadRequestError("user already on board");
+
+        // only one pending invitation per email and board
+        const pendingCheck = await db.query(
+            `SELECT id
+             FROM board_invitations
+             WHERE board_id=$1
+                AND lower(email)=lower($2)
+                AND accepted_at IS NULL
+                AND revoked_at IS NULL
+                AND expires_at > CURRENT_TIMESTAMP`,
+            [boardId, email]
+        );
+        const pending = pendingCheck.rows[0];
+        if (pending) throw new ConflictError(`pending invitation ${pending.id} exists for ${email}`);
+
+        const result = await db.query(
+            `INSERT INTO board_invitations (board_id,
+                                            email,
+                                            role,
+                                            invited_by,
+                                            expires_at)
+                VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 day')
+                RETURNING id,
+                          board_id AS "boardId",
+                          email,
+                          role,
+                          invited_by AS "invitedBy",
+                          created_at AS "createdAt",
+                          expires_at AS "expiresAt",
+                          'pending' AS "status"`,
+            [boardId, email, role, invitedBy, INVITATION_EXPIRES_IN_DAYS]
+        );
+        const invitation = result.rows[0];
+        await Activity.record({
+            actorId: invitedBy, boardId: invitation.boardId, entityType: "invitation", entityId: invitation.id,
+            action: "create", after: { email: invitation.email, role: invitation.role }
+        });
+        return invitation;
+    }
+
+    /** Get all invitations for a board, newest first
+     * { boardId } => [ { invitation }, ... ]
+     *      Where invitation is { id, boardId, email, role, invitedBy, createdAt, expiresAt,
+     *                            acceptedAt, acceptedBy, revokedAt, status }
+     *      and status is one of pending, accepted, revoked, expired
+     */
+    static async getBoardInvitations(boardId) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await db.query(
+            `SELECT id,
+                    board_id AS "boardId",
+                    email,
+                    role,
+                    invited_by AS "invitedBy",
+                    created_at AS "createdAt",
+                    expires_at AS "expiresAt",
+                    accepted_at AS "acceptedAt",
+                    accepted_by AS "acceptedBy",
+                    revoked_at AS "revokedAt",
+                    CASE WHEN accepted_at IS NOT NULL THEN 'accepted'
+                         WHEN revoked_at IS NOT NULL THEN 'revoked'
+                         WHEN expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+                         ELSE 'pending'
+                    END AS "status"
+             FROM board_invitations
+             WHERE board_id=$1
+             ORDER BY created_at DESC`,
+            [boardId]
+        );
+        return result.rows;
+    }
+
+    /** Get an invitation that can still be accepted
+     * { invitationId } => { id, boardId, boardTitle, email, role, expiresAt }
+     * Raises BadRequestError if it was accepted, revoked or has expired
+     */
+    static async getPending(invitationId, client = db) {
+        const result = await client.query(
+            `SELECT i.id,
+                    i.board_id AS "boardId",
+                    b.title AS "boardTitle",
+                    i.email,
+                    i.role,
+                    i.expires_at AS "expiresAt",
+                    i.accepted_at AS "acceptedAt",
+                    i.revoked_at AS "revokedAt"
+             FROM board_invitations i
+             JOIN boards b ON i.board_id=b.id
+             WHERE i.id=$1`,
+            [invitationId]
+        );
+        const invitation = result.rows[0];
+        if (!invitation) throw new NotFoundError("no invitation found");
+        if (invitation.acceptedAt) throw new BadRequestError("invitation already accepted");
+        if (invitation.revokedAt) throw new BadRequestError("invitation revoked");
+        if (new Date(invitation.expiresAt) <= new Date()) throw new BadRequestError("invitation expired");
+
+        delete invitation.acceptedAt;
+        delete invitation.revokedAt;
+        return invitation;
+    }
+
+    /** Accept an invitation, adding the user to the board with the invited role
+     * { invitationId, userId } => { userId, boardId, role }
+     * The user's email must match the invited email.
+     */
+    static async accept(invitationId, userId) {
+        const invitation = await Invitation.getPending(invitationId);
+
+        const userCheck = await db.query(
+            `SELECT id, email
+             FROM users
+             WHERE id=$1`,
+            [userId]
+        );
+        const user = userCheck.rows[0];
+        if (!user) throw new NotFoundError("no user found");
+        if (user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+            throw new BadRequestError("invitation was sent to a different email");
+        }
+
+        const boardUser = await db.transaction(
+            client => Invitation._claim(invitation, userId, client));
+        await Invitation._recordJoin(invitation, boardUser);
+        return boardUser;
+    }
+
+    /** Register a new user from an invitation and add them to the board
+     * { invitationId, user } => { user, boardUser }
+     *      Where user is as from User.register and boardUser is { userId, boardId, role }
+     * The account is only created if the invitation is claimed too.
+     */
+    static async register(invitationId, userData) {
+        const { user, boardUser, invitation } = await db.transaction(async client => {
+            const invitation = await Invitation.getPending(invitationId, client);
+            if (invitation.email.toLowerCase() !== userData.email.toLowerCase()) {
+                throw new BadRequestError("invitation was sent to a different email");
+            }
+            const user = await User.register(userData, client);
+            const boardUser = await Invitation._claim(invitation, user.id, client);
+            return { user, boardUser, invitation };
+        });
+        await Invitation._recordJoin(invitation, boardUser);
+        return { user, boardUser };
+    }
+
+    /** Mark an invitation accepted and add the user to its board on client
+     * { invitation, userId, client } => { userId, boardId, role }
+     */
+    static async _claim(invitation, userId, client) {
+        // claim the invitation first so it can only be used once
+        const claim = await client.query(
+            `UPDATE board_invitations
+             SET accepted_at=CURRENT_TIMESTAMP, accepted_by=$2
+             WHERE id=$1 AND accepted_at IS NULL AND revoked_at IS NULL
+             RETURNING id`,
+            [invitation.id, userId]
+        );
+        if (!claim.rows[0]) throw new BadRequestError("invitation already used");
+
+        const result = await client.query(
+            `INSERT INTO boards_users (user_id, board_id, role)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (board_id, user_id) DO NOTHING
+             RETURNING user_id AS "userId", board_id AS "boardId", role`,
+            [userId, invitation.boardId, invitation.role]
+        );
+        if (!result.rows[0]) throw new BadRequestError("user already on board");
+        return result.rows[0];
+    }
+
+    /** Record activity and dispatch webhooks once an invitation is accepted */
+    static async _recordJoin(invitation, boardUser) {
+        await Activity.record({
+            actorId: boardUser.userId, boardId: boardUser.boardId, entityType: "board_user", entityId: boardUser.userId,
+            action: "join", after: { role: boardUser.role, invitationId: invitation.id }
+        });
+        await Webhook.dispatch("user.added", { boardId: boardUser.boardId }, boardUser);
+    }
+
+    /** Revoke a pending invitation on a board
+     * { invitationId, boardId, actorId } => undefined
+     */
+    static async revoke(invitationId, boardId, actorId = null) {
+        const result = await db.query(
+            `UPDATE board_invitations
+             SET revoked_at=CURRENT_TIMESTAMP
+             WHERE id=$1
+                AND board_id=$2
+                AND accepted_at IS NULL
+                AND revoked_at IS NULL
+             RETURNING id`,
+            [invitationId, boardId]
+        );
+        const invitation = result.rows[0];
+        if (!invitation) throw new NotFoundError("no pending invitation found");
+        await Activity.record({
+            actorId, boardId: +boardId, entityType: "invitation", entityId: invitation.id, action: "revoke"
+        });
+    }
+}
+
+module.exports = Invitation;
@@ -0,0 +1,264 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForListQuery } = require("../helpers/sql");
+const { NotFoundError } = require("../expressError");
+
+/** Events users are notified of, each can be turned off in their preferences */
+const EVENT_TYPES = [
+    "project.assigned",
+    "project.stage_changed",
+    "session.edited",
+    "comment.mentioned"
+];
+
+/** Filters and sort keys accepted when listing notifications, see sqlForListQuery */
+const NOTIFICATION_LIST_OPTIONS = {
+    filters: {
+        eventType: { column: "n.event_type" }
+    },
+    sortKeys: {
+        createdAt: "n.created_at"
+    },
+    defaultSort: "createdAt",
+    defaultOrder: "desc",
+    idColumn: "n.id"
+};
+
+/** Columns returned for a notification */
+const NOTIFICATION_COLUMNS = `n.id,
+                              n.user_id AS "userId",
+                              n.event_type AS "eventType",
+                              n.actor_id AS "actorId",
+                              n.board_id AS "boardId",
+                              n.project_id AS "projectId",
+                              n.entity_id AS "entityId",
+                              n.data,
+                              n.read_at AS "readAt",
+                              n.created_at AS "createdAt"`;
+
+/** SQL/JS abstraction functions for users' notification inboxes. */
+
+class Notification {
+    /** Notify users of a change made by someone else
+     * { userIds, eventType, actorId, boardId, projectId, entityId, data } => [ notificationId, ... ]
+     * The actor is never notified of their own change, nor users who turned eventType off.
+     * Called once the change is saved, so this never throws: failures are logged and [] returned.
+     */
+    static async notify({ userIds, eventType, actorId, boardId = null, projectId = null,
+                          entityId = null, data = null }) {
+        const recipients = [...new Set(userIds.map(Number))].filter(id => id !== +actorId);
+        if (!recipients.length) return [];
+
+        try {
+            const result = await db.query(
+                `INSERT INTO notifications (user_id,
+                                            event_type,
+                                            actor_id,
+                                            board_id,
+                                            project_id,
+                                            entity_id,
+                                            data)
+                    SELECT r.user_id, $2, $3, $4, $5, $6, $7
+                    FROM unnest($1::integer[]) AS r(user_id)
+                    LEFT JOIN notification_preferences np
+                        ON np.user_id=r.user_id AND np.event_type=$2
+                    WHERE COALESCE(np.enabled, TRUE)
+                    RETURNING id`,
+                [
+                    recipients,
+                    eventType,
+                    actorId,
+                    boardId,
+                    projectId,
+                    entityId,
+                    data === null ? null : JSON.stringify(data)
+                ]
+            );
+            return result.rows.map(r => r.id);
+        } catch(err) {
+            Notification._logError(err);
+            return [];
+        }
+    }
+
+    /** Notify a project's users that a PM moved it to another stage
+     * { actorId, project, fromStage } => [ notificationId, ... ]
+     *      where project is { id, name, stage, boardId }
+     * Never throws, see notify.
+     */
+    static async notifyStageChange({ actorId, project, fromStage }) {
+        let userIds;
+        try {
+            const result = await db.query(
+                `SELECT user_id AS "userId"
+                 FROM projects_users
+                 WHERE project_id=$1`,
+                [project.id]
+            );
+            userIds = result.rows.map(r => r.userId);
+        } catch(err) {
+            Notification._logError(err);
+            return [];
+        }
+        return Notification.notify({
+            userIds,
+            eventType: "project.stage_changed",
+            actorId,
+            boardId: project.boardId,
+            projectId: project.id,
+            entityId: project.id,
+            data: { fromStage, toStage: project.stage }
+        });
+    }
+
+    /** Get a page of a user's notifications, newest first
+     * { userId, query } => { notifications: [ { notification }, ... ], total, unreadCount, limit, offset }
+     *      where notification is { id, userId, eventType, actorId, actorFirstName, actorLastName,
+     *                              boardId, projectId, projectName, entityId, data, readAt, createdAt }
+     * query can include { unread, eventType, limit, offset }, unread "true" leaves out read notifications
+     * unreadCount counts all of the user's unread notifications, whatever the filters
+     */
+    static async getForUser(userId, query = {}) {
+        await Notification._ensureUser(userId);
+
+        const { whereClauses, values, orderBy, limit, offset } = sqlForListQuery(
+            query,
+            { ...NOTIFICATION_LIST_OPTIONS, startIdx: 1 }
+        );
+        const where = ["n.user_id=$1", ...whereClauses];
+        if (query.unread === "true") where.push("n.read_at IS NULL");
+        const whereSql = where.join(" AND ");
+
+        const countResult = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM notifications n
+             WHERE ${whereSql}`,
+            [userId, ...values]
+        );
+        const unreadResult = await db.query(
+            `SELECT COUNT(*)::integer AS "unreadCount"
+             FROM notifications
+             WHERE user_id=$1 AND read_at IS NULL`,
+            [userId]
+        );
+        const result = await db.query(
+            `SELECT ${NOTIFICATION_COLUMNS},
+                    u.first_name AS "actorFirstName",
+                    u.last_name AS "actorLastName",
+                    p.name AS "projectName"
+             FROM notifications n
+             LEFT JOIN users u ON n.actor_id=u.id
+             LEFT JOIN projects p ON n.project_id=p.id
+             WHERE ${whereSql}
+             ORDER BY ${orderBy}
+             LIMIT ${limit} OFFSET ${offset}`,
+            [userId, ...values]
+        );
+        return {
+            notifications: result.rows,
+            total: countResult.rows[0].total,
+            unreadCount: unreadResult.rows[0].unreadCount,
+            limit,
+            offset
+        };
+    }
+
+    /** Mark one of a user's notifications read
+     * { notificationId, userId } => { id, userId, eventType, actorId, boardId, projectId, entityId, data, readAt, createdAt }
+     * Marking a read notification again keeps its first readAt.
+     */
+    static async markRead(notificationId, userId) {
+        const result = await db.query(
+            `UPDATE notifications AS n
+             SET read_at=COALESCE(read_at, CURRENT_TIMESTAMP)
+             WHERE id=$1 AND user_id=$2
+             RETURNING ${NOTIFICATION_COLUMNS}`,
+            [notificationId, userId]
+        );
+        const notification = result.rows[0];
+        if (!notification) throw new NotFoundError("no notification found");
+        return notification;
+    }
+
+    /** Mark a user's unread notifications read, only those in ids when given
+     * { userId, ids } => { marked, unreadCount }
+     * ids that aren't the user's unread notifications are skipped.
+     */
+    static async markAllRead(userId, ids = null) {
+        await Notification._ensureUser(userId);
+
+        const result = await db.query(
+            `UPDATE notifications
+             SET read_at=CURRENT_TIMESTAMP
+             WHERE user_id=$1 AND read_at IS NULL AND ($2::integer[] IS NULL OR id = ANY($2))
+             RETURNING id`,
+            [userId, ids]
+        );
+        const unreadResult = await db.query(
+            `SELECT COUNT(*)::integer AS "unreadCount"
+             FROM notifications
+             WHERE user_id=$1 AND read_at IS NULL`,
+            [userId]
+        );
+        return { marked: result.rows.length, unreadCount: unreadResult.rows[0].unreadCount };
+    }
+
+    /** Get which event types a user is notified of
+     * { userId } => { "project.assigned": bool, "project.stage_changed": bool, ... }
+     * Every event type is listed, those without a saved preference are on.
+     */
+    static async getPreferences(userId) {
+        await Notification._ensureUser(userId);
+
+        const result = await db.query(
+            `SELECT event_type AS "eventType", enabled
+             FROM notification_preferences
+             WHERE user_id=$1`,
+            [userId]
+        );
+        const preferences = Object.fromEntries(EVENT_TYPES.map(type => [type, true]));
+        for (const { eventType, enabled } of result.rows) {
+            if (eventType in preferences) preferences[eventType] = enabled;
+        }
+        return preferences;
+    }
+
+    /** Turn event types on or off for a user, types left out keep their setting
+     * { userId, preferences } => { "project.assigned": bool, ... }, see getPreferences
+     * preferences is { eventType: bool, ... }
+     */
+    static async updatePreferences(userId, preferences) {
+        await Notification._ensureUser(userId);
+
+        const eventTypes = Object.keys(preferences);
+        await db.query(
+            `INSERT INTO notification_preferences (user_id, event_type, enabled)
+             SELECT $1, p.event_type, p.enabled
+             FROM unnest($2::text[], $3::boolean[]) AS p(event_type, enabled)
+             ON CONFLICT (user_id, event_type) DO UPDATE SET enabled=EXCLUDED.enabled`,
+            [userId, eventTypes, eventTypes.map(type => preferences[type])]
+        );
+        return Notification.getPreferences(userId);
+    }
+
+    /** Failures to notify are logged rather than raised, the change is already saved */
+    static _logError(err) {
+        if (process.env.NODE_ENV !== "test") console.error(err.stack);
+    }
+
+        /** Raises NotFoundError unless the user exists */
+    static async _ensureUser(userId) {
+        const userCheck = await db.query(
+            `SELECT id
+             FROM users
+             WHERE id=$1`,
+            [userId]
+        );
+        if (!userCheck.rows[0]) throw new NotFoundError("no user found");
+    }
+}
+
+Notification.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,405 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { workingWindows, freeIntervals } = require("../helpers/calendar");
+const { NotFoundError, BadRequestError, ConflictError } = require("../expressError");
+const { WORKDAY_START_HOUR, WORKDAY_END_HOUR } = require("../config");
+const Category = require("./category");
+const Activity = require("./activity");
+
+/** Longest range a board calendar covers, in days */
+const MAX_CALENDAR_DAYS = 62;
+
+/** Columns returned for a planned session */
+const PLAN_COLUMNS = `ps.id,
+                      ps.project_id AS "projectId",
+                      ps.user_id AS "userId",
+                      ps.start_datetime AS "startDatetime",
+                      ps.end_datetime AS "endDatetime",
+                      ps.category_id AS "categoryId",
+                      ps.comment,
+                      ps.created_by AS "createdBy"`;
+
+/** SQL/JS abstraction functions for planned sessions.
+ *
+ * A planned session books a block of a user's time on a project ahead of time,
+ * it is compared with the sessions actually recorded once the time has passed.
+ */
+
+class PlannedSession {
+    /** Plan a block of a user's time on a project
+     * { projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+     *      => { id, projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+     * categoryId and comment are optional. The user must be on the project and the block
+     * must end in the future.
+     * Raises ConflictError if the block overlaps another planned block of the user
+     */
+    static async create({ projectId, userId, startDatetime, endDatetime, categoryId = null,
+                          comment = null, createdBy }) {
+        // check for project
+        const projCheck = await db.query(
+            `SELECT id, board_id AS "boardId", archived_at AS "archivedAt"
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        const project = projCheck.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+        if (project.archivedAt) throw new BadRequestError("project is archived");
+
+        const userCheck = await db.query(
+            `SELECT user_id
+             FROM projects_users
+             WHERE user_id=$1 AND project_id=$2`,
+            [userId, projectId]
+        );
+        if (!userCheck.rows[0]) throw new BadRequestError("planned user must be on the project");
+        if (categoryId !== null) await Category.ensureAvailable(categoryId, project.boardId);
+        PlannedSession._ensureValidRange(startDatetime, endDatetime);
+        if (new Date(endDatetime) <= new Date()) throw new BadRequestError("planned block must end in the future");
+        await PlannedSession._ensureNoOverlap({ userId, startDatetime, endDatetime });
+
+        const result = await db.query(
+            `INSERT INTO planned_sessions AS ps (project_id,
+                                                 user_id,
+                                                 start_datetime,
+                                                 end_datetime,
+                                                 category_id,
+                                                 comment,
+                                                 created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING ${PLAN_COLUMNS}`,
+            [projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy]
+        );
+        const plan = result.rows[0];
+        await Activity.record({
+            actorId: createdBy, boardId: project.boardId, projectId: project.id, entityType: "plan", entityId: plan.id,
+            action: "create", after: plan
+        });
+        return plan;
+    }
+
+    /** Get a planned session by ID
+     * { planId } => { id, projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+     */
+    static async getById(planId) {
+        const result = await db.query(
+            `SELECT ${PLAN_COLUMNS}
+             FROM planned_sessions ps
+             WHERE ps.id=$1`,
+            [planId]
+        );
+        const plan = result.rows[0];
+        if (!plan) throw new NotFoundError("no planned session found");
+        return plan;
+    }
+
+    /** Get the planned sessions of a project in time order
+     * { projectId, query } => [ { plan }, ... ]
+     *      where plan is as in getById
+     * query can include { startDate, endDate, userId }, blocks are matched by their start
+     */
+    static async getProjectPlans(projectId, { startDate, endDate, userId } = {}) {
+        // check for project
+        const projCheck = await db.query(
+            `SELECT id
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        const project = projCheck.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+
+        const result = await db.query(
+            `SELECT ${PLAN_COLUMNS}
+             FROM planned_sessions ps
+             WHERE ps.project_id=$1
+                AND ($2::timestamptz IS NULL OR ps.start_datetime >= $2)
+                AND ($3::timestamptz IS NULL OR ps.start_datetime <= $3)
+                AND ($4::integer IS NULL OR ps.user_id=$4)
+             ORDER BY ps.start_datetime`,
+            [projectId, startDate || null, endDate || null, userId || null]
+        );
+        return result.rows;
+    }
+
+    /** Update planned session from data
+     * { planId, fieldsToUpdate, actorId } => { id, projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+     * Data can include any of { startDatetime, endDatetime, categoryId, comment }, null clears categoryId
+     * Raises ConflictError if the new times overlap another planned block of the user
+     */
+    static async update(planId, data, actorId = null) {
+        const current = await PlannedSession.getById(planId);
+        const boardId = await PlannedSession._getBoardId(current.projectId);
+        if (data.categoryId !== undefined && data.categoryId !== null && data.categoryId !== current.categoryId) {
+            await Category.ensureAvailable(data.categoryId, boardId);
+        }
+        if (data.startDatetime || data.endDatetime) {
+            const startDatetime = data.startDatetime || current.startDatetime;
+            const endDatetime = data.endDatetime || current.endDatetime;
+            PlannedSession._ensureValidRange(startDatetime, endDatetime);
+            await PlannedSession._ensureNoOverlap({
+                userId: current.userId,
+                startDatetime,
+                endDatetime,
+                excludeId: current.id
+            });
+        }
+
+        const jsToSql = {
+            startDatetime: "start_datetime",
+            endDatetime: "end_datetime",
+            categoryId: "category_id"
+        };
+        const { sqlSetCols, values } = sqlForPartialUpdate(
+            data,
+            jsToSql
+        );
+        const idSqlIndex = "$" + (values.length + 1);
+        const query = `UPDATE planned_sessions ps
+                       SET ${sqlSetCols}
+                       WHERE id=${idSqlIndex}
+                       RETURNING ${PLAN_COLUMNS}`;
+        const result = await db.query(query, [...values, planId]);
+        const plan = result.rows[0];
+        if (!plan) throw new NotFoundError("no planned session found");
+        await Activity.record({
+            actorId, boardId, projectId: plan.projectId, entityType: "plan", entityId: plan.id, action: "update",
+            before: current, after: plan
+        });
+        return plan;
+    }
+
+    /** Delete planned session by ID
+     * { planId, actorId } => undefined
+     */
+    static async remove(planId, actorId = null) {
+        const before = await PlannedSession.getById(planId);
+        const result = await db.query(
+            `DELETE
+             FROM planned_sessions
+             WHERE id=$1
+             RETURNING id`,
+            [planId]
+        );
+        const plan = result.rows[0];
+        if (!plan) throw new NotFoundError("no planned session found");
+        await Activity.record({
+            actorId, boardId: await PlannedSession._getBoardId(before.projectId), projectId: before.projectId,
+            entityType: "plan", entityId: before.id, action: "delete", before
+        });
+    }
+
+    /** Compare a project's planned blocks with the sessions recorded against them
+     * { projectId, startDate, endDate } => { plans: [ { plan }, ... ], users: [ { user }, ... ] }
+     *      where plan is as in getById plus { plannedSeconds, actualSeconds, status }
+     *      and user is { userId, firstName, lastName, plannedSeconds, matchedSeconds, actualSeconds, unplannedSeconds }
+     * actualSeconds of a plan is the user's session time on the project inside the block.
+     * status is upcoming before the block starts, then met, partial or missed.
+     * A user's actualSeconds covers all their sessions on the project starting in the range,
+     * unplannedSeconds the part of it outside planned blocks.
+     */
+    static async compare(projectId, { startDate, endDate } = {}) {
+        // check for project
+        const projCheck = await db.query(
+            `SELECT id
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        const project = projCheck.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+
+        const plansRes = await db.query(
+            `SELECT ${PLAN_COLUMNS},
+                    EXTRACT(EPOCH FROM (ps.end_datetime - ps.start_datetime))::float AS "plannedSeconds",
+                    (SELECT COALESCE(SUM(EXTRACT(EPOCH FROM
+                                (LEAST(ps.end_datetime, COALESCE(s.end_datetime, CURRENT_TIMESTAMP))
+                                 - GREATEST(ps.start_datetime, s.start_datetime)))), 0)
+                     FROM sessions s
+                     WHERE s.user_id=ps.user_id
+                        AND s.project_id=ps.project_id
+                        AND s.start_datetime < ps.end_datetime
+                        AND COALESCE(s.end_datetime, CURRENT_TIMESTAMP) > ps.start_datetime)::float
+                        AS "actualSeconds"
+             FROM planned_sessions ps
+             WHERE ps.project_id=$1
+                AND ($2::timestamptz IS NULL OR ps.start_datetime >= $2)
+                AND ($3::timestamptz IS NULL OR ps.start_datetime <= $3)
+             ORDER BY ps.start_datetime`,
+            [projectId, startDate || null, endDate || null]
+        );
+        const sessionsRes = await db.query(
+            `SELECT s.user_id AS "userId",
+                    SUM(EXTRACT(EPOCH FROM (COALESCE(s.end_datetime, CURRENT_TIMESTAMP) - s.start_datetime)))::float
+                        AS "actualSeconds"
+             FROM sessions s
+             WHERE s.project_id=$1
+                AND ($2::timestamptz IS NULL OR s.start_datetime >= $2)
+                AND ($3::timestamptz IS NULL OR s.start_datetime <= $3)
+             GROUP BY s.user_id`,
+            [projectId, startDate || null, endDate || null]
+        );
+        const usersRes = await db.query(
+            `SELECT id AS "userId", first_name AS "firstName", last_name AS "lastName"
+             FROM users
+             WHERE id IN (SELECT user_id FROM planned_sessions WHERE project_id=$1
+                          UNION
+                          SELECT user_id FROM sessions WHERE project_id=$1)
+             ORDER BY last_name, first_name`,
+            [projectId]
+        );
+
+        const now = new Date();
+        const plans = plansRes.rows.map(plan => ({
+            ...plan,
+            status: new Date(plan.startDatetime) > now ? "upcoming"
+                : plan.actualSeconds === 0 ? "missed"
+                : plan.actualSeconds < plan.plannedSeconds ? "partial"
+                : "met"
+        }));
+        const actualByUser = new Map(sessionsRes.rows.map(r => [r.userId, r.actualSeconds]));
+        const users = [];
+        for (const user of usersRes.rows) {
+            const userPlans = plans.filter(p => p.userId === user.userId);
+            const actualSeconds = actualByUser.get(user.userId) || 0;
+            if (!userPlans.length && !actualSeconds) continue;
+            const plannedSeconds = userPlans.reduce((sum, p) => sum + p.plannedSeconds, 0);
+            const matchedSeconds = userPlans.reduce((sum, p) => sum + p.actualSeconds, 0);
+            users.push({
+                ...user,
+                plannedSeconds,
+                matchedSeconds,
+                actualSeconds,
+                unplannedSeconds: Math.max(actualSeconds - matchedSeconds, 0)
+            });
+        }
+        return { plans, users };
+    }
+
+    /** Get each board member's planned and free working time over a range of days
+     * { boardId, startDate, endDate } => [ { member }, ... ]
+     *      where member is { userId, firstName, lastName, role, planned, busyElsewhere, free, freeSeconds }
+     *      planned is [ { id, projectId, projectName, startDatetime, endDatetime, categoryId, comment }, ... ]
+     *      busyElsewhere is [ { startDatetime, endDatetime }, ... ] planned on other boards
+     *      free is [ { start, end }, ... ] working time left over
+     * startDate and endDate are days, YYYY-MM-DD, both included. Working time is
+     * WORKDAY_START_HOUR to WORKDAY_END_HOUR UTC, Monday to Friday.
+     * Raises BadRequestError for a range over MAX_CALENDAR_DAYS days
+     */
+    static async getBoardCalendar(boardId, { startDate, endDate }) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const rangeStart = new Date(`${startDate}T00:00:00Z`);
+        const rangeEnd = new Date(new Date(`${endDate}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000);
+        if (rangeEnd <= rangeStart) throw new BadRequestError("endDate must not be before startDate");
+        if ((rangeEnd - rangeStart) / (24 * 60 * 60 * 1000) > MAX_CALENDAR_DAYS) {
+            throw new BadRequestError(`calendar range can't be over ${MAX_CALENDAR_DAYS} days`);
+        }
+
+        const membersRes = await db.query(
+            `SELECT u.id AS "userId",
+                    u.first_name AS "firstName",
+                    u.last_name AS "lastName",
+                    bu.role
+             FROM boards_users bu
+             JOIN users u ON bu.user_id=u.id
+             WHERE bu.board_id=$1
+             ORDER BY u.last_name, u.first_name`,
+            [boardId]
+        );
+        const plansRes = await db.query(
+            `SELECT ps.id,
+                    ps.user_id AS "userId",
+                    ps.project_id AS "projectId",
+                    p.name AS "projectName",
+                    p.board_id AS "boardId",
+                    ps.start_datetime AS "startDatetime",
+                    ps.end_datetime AS "endDatetime",
+                    ps.category_id AS "categoryId",
+                    ps.comment
+             FROM planned_sessions ps
+             JOIN projects p ON ps.project_id=p.id
+             WHERE ps.user_id IN (SELECT user_id FROM boards_users WHERE board_id=$1)
+                AND ps.start_datetime < $3
+                AND ps.end_datetime > $2
+             ORDER BY ps.start_datetime`,
+            [boardId, rangeStart, rangeEnd]
+        );
+
+        const windows = workingWindows(startDate, endDate, {
+            startHour: WORKDAY_START_HOUR,
+            endHour: WORKDAY_END_HOUR
+        });
+        return membersRes.rows.map(member => {
+            const busy = plansRes.rows.filter(p => p.userId === member.userId);
+            const free = freeIntervals(windows, busy);
+            return {
+                ...member,
+                planned: busy
+                    .filter(p => p.boardId === +boardId)
+                    .map(({ userId, boardId, ...plan }) => plan),
+                busyElsewhere: busy
+                    .filter(p => p.boardId !== +boardId)
+                    .map(({ startDatetime, endDatetime }) => ({ startDatetime, endDatetime })),
+                free,
+                freeSeconds: free.reduce((sum, f) => sum + (f.end - f.start) / 1000, 0)
+            };
+        });
+    }
+
+    /** Raises BadRequestError unless startDatetime is before endDatetime */
+    static _ensureValidRange(startDatetime, endDatetime) {
+        if (new Date(startDatetime) >= new Date(endDatetime)) {
+            throw new BadRequestError("startDatetime must be before endDatetime");
+        }
+    }
+
+    /** Raises ConflictError if the range overlaps another planned block of the user,
+     * excludeId skips a block, used when checking a block against its own update
+     */
+    static async _ensureNoOverlap({ userId, startDatetime, endDatetime, excludeId = null }) {
+        const result = await db.query(
+            `SELECT id,
+                    start_datetime AS "startDatetime",
+                    end_datetime AS "endDatetime"
+             FROM planned_sessions
+             WHERE user_id=$1
+                AND ($4::integer IS NULL OR id <> $4)
+                AND tstzrange(start_datetime, end_datetime, '[)') && tstzrange($2, $3, '[)')
+             ORDER BY start_datetime
+             LIMIT 1`,
+            [userId, startDatetime, endDatetime, excludeId]
+        );
+        const overlap = result.rows[0];
+        if (overlap) {
+            const start = new Date(overlap.startDatetime).toISOString();
+            const end = new Date(overlap.endDatetime).toISOString();
+            throw new ConflictError(`overlaps planned session ${overlap.id} (${start} to ${end})`);
+        }
+    }
+
+    /** Board of a project */
+    static async _getBoardId(projectId) {
+        const result = await db.query(
+            `SELECT board_id AS "boardId"
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        return result.rows[0].boardId;
+    }
+}
+
+PlannedSession.MAX_CALENDAR_DAYS = MAX_CALENDAR_DAYS;
+
+module.exports = PlannedSession;
@@ -1,17 +1,74 @@
 "use strict";
 
 const db = require("../db");
-const { sqlForPartialUpdate } = require("../helpers/sql");
-const { NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate, sqlForListQuery } = require("../helpers/sql");
+const { NotFoundError, BadRequestError, ConflictError } = require("../expressError");
+const Stage = require("./stage");
+const Webhook = require("./webhook");
+const Attachment = require("./attachment");
+const Activity = require("./activity");
 
+/** Filters and sort keys accepted when listing projects, see sqlForListQuery */
+const PROJECT_LIST_OPTIONS = {
+    filters: {
+        stage: { column: "p.stage" },
+        priority: { column: "p.priority" }
+    },
+    sortKeys: {
+        name: "p.name",
+        priority: "p.priority",
+        stage: [
+            `(SELECT bs.position
+              FROM board_stages bs
+              WHERE bs.board_id=p.board_id AND bs.name=p.stage)`,
+            "p.position"
+        ],
+        id: "p.id"
+    },
+    defaultSort: "stage",
+    idColumn: "p.id"
+};
+
+/** Estimate and budget columns of a project aliased p, with the hours logged
+ * on it so far. Sessions still running count up to now.
+ */
+const BURN_COLUMNS = `p.estimated_hours::float AS "estimatedHours",
+                      p.budget_hours::float AS "budgetHours",
+                      ROUND((SELECT COALESCE(SUM(EXTRACT(EPOCH FROM
+                                 (COALESCE(s.end_datetime, CURRENT_TIMESTAMP) - s.start_datetime))), 0)
+                             FROM sessions s
+                             WHERE s.project_id=p.id)::numeric / 3600, 2)::float AS "actualHours"`;
+
+/** Add remainingHours and percentBurned against the estimate to a project row,
+ * both null when the project has no estimate.
+ * Project responses carry these as ...burn:
+ *      { estimatedHours, budgetHours, actualHours, remainingHours, percentBurned }
+ */
+function withBurn(project) {
+    const { estimatedHours, actualHours } = project;
+    const hasEstimate = estimatedHours !== null && estimatedHours !== undefined;
+    return {
+        ...project,
+        remainingHours: hasEstimate ? Math.round((estimatedHours - actualHours) * 100) / 100 : null,
+        percentBurned: hasEstimate && estimatedHours > 0
+            ? Math.round(actualHours / estimatedHours * 1000) / 10
+            : null
+    };
+}
 
 /** SQL/JS abstraction functions for Projects. */
 
 class Project {
     /** Create a project for a board from data, update db and return project
-     * { name, priority, boardId } => { id, name, priority, stage, boardId}
+     * { name, priority, boardId, stage, estimatedHours, budgetHours, hourlyRate, actorId }
+     *      => { id, name, priority, stage, position, boardId, hourlyRate, estimatedHours, budgetHours,
+     *           actualHours, remainingHours, percentBurned }
+     * stage defaults to the board's first stage, estimatedHours, budgetHours and hourlyRate are optional.
+     * hourlyRate overrides the rate of everyone billing time to the project, see Report.getCosts
+     * Rates are left out of the activity log, every board user can read it.
      */
-    static async create({ name, priority, boardId}) {
+    static async create({ name, priority, boardId, stage, estimatedHours = null, budgetHours = null,
+                          hourlyRate = null, actorId = null }) {
         // ensure board exists
         const boardCheck = await db.query(
             `SELECT id
@@ -22,28 +79,96 @@ class Project {
         const board = boardCheck.rows[0];
         if (!board) throw new NotFoundError("board does not exist");
 
-        // continue with creating project
+        // continue with creating project, last in its stage, under the board lock move takes
+        const created = await db.transaction(async client => {
+            await Stage._lockBoard(boardId, client);
+            if (stage === undefined) stage = await Stage.getFirstName(boardId, client);
+            else await Stage.ensureOnBoard(boardId, stage, client);
+
+            const position = await Project._nextPosition(boardId, stage, client);
+            const result = await client.query(
+                `INSERT INTO projects AS p (name,
+                                            priority,
+                                            stage,
+                                            board_id,
+                                            position,
+                                            estimated_hours,
+                                            budget_hours,
+                                            hourly_rate)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING id, name, priority, stage, position, board_id AS "boardId",
+                              p.hourly_rate::float AS "hourlyRate", ${BURN_COLUMNS}`,
+                [
+                    name,
+                    priority,
+                    stage,
+                    boardId,
+                    position,
+                    estimatedHours,
+                    budgetHours,
+                    hourlyRate
+                ]
+            );
+            return result.rows[0];
+        });
+        const project = withBurn(created);
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "project", entityId: project.id,
+            action: "create", after: Project.withoutRate(project)
+        });
+        await Webhook.dispatch("project.created", { boardId }, project);
+        return project;
+    }
+
+    /** Get a page of projects on a given board, archived projects only if includeArchived
+     * { boardId, includeArchived, query } => { projects: [ { project } ... ], total, limit, offset }
+     *      where project is { id, name, priority, stage, position, boardId, archivedAt, hourlyRate, ...burn }
+     * query can include { stage, priority, sort, order, limit, offset }
+     */
+    static async getBoardProjects(boardId, includeArchived = false, query = {}) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        // continue to get list of projects, in stage order by default
+        const { whereClauses, values, orderBy, limit, offset } = sqlForListQuery(
+            query,
+            { ...PROJECT_LIST_OPTIONS, startIdx: 2 }
+        );
+        const where = ["p.board_id=$1", "($2 OR p.archived_at IS NULL)", ...whereClauses].join(" AND ");
+        const countResult = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM projects p
+             WHERE ${where}`,
+            [boardId, includeArchived, ...values]
+        );
         const result = await db.query(
-            `INSERT INTO projects (name,
-                                   priority,
-                                   board_id)
-                VALUES ($1, $2, $3)
-                RETURNING id, name, priority, stage, board_id AS "boardId"`,
-            [
-                name,
-                priority,
-                boardId
-            ]
+            `SELECT id, name, priority, stage, position, board_id AS "boardId", archived_at AS "archivedAt",
+                    p.hourly_rate::float AS "hourlyRate",
+                    ${BURN_COLUMNS}
+             FROM projects p
+             WHERE ${where}
+             ORDER BY ${orderBy}
+             LIMIT ${limit} OFFSET ${offset}`,
+            [boardId, includeArchived, ...values]
         );
-        const project = result.rows[0];
-        return project;
+        const projects = result.rows.map(withBurn);
+        return { projects, total: countResult.rows[0].total, limit, offset };
     }
 
-    /** Get all projects on a given board
-     * { boardId } => [ { project } ... ]
-     *      where project is { id, name, priority, stage, boardId }
+    /** Get the active projects of a board that are over or close to their estimate or budget
+     * { boardId, threshold } => [ { project }, ... ]
+     *      where project is { id, name, priority, stage, position, boardId, hourlyRate, ...burn, status }
+     * A project is "over" once its actual hours pass the estimate or budget, and "near"
+     * once it has burned threshold percent (default 90) of either. Most burned first.
      */
-    static async getBoardProjects(boardId) {
+    static async getBoardBurn(boardId, threshold = 90) {
         // ensure board exists
         const boardCheck = await db.query(
             `SELECT id
@@ -54,37 +179,55 @@ class Project {
         const board = boardCheck.rows[0];
         if (!board) throw new NotFoundError("no board found");
 
-        // continue to get list of projects, grouped by stages
         const result = await db.query(
-            `SELECT id, name, priority, stage, board_id AS "boardId"
+            `SELECT id, name, priority, stage, position, board_id AS "boardId",
+                    p.hourly_rate::float AS "hourlyRate",
+                    ${BURN_COLUMNS}
              FROM projects p
              WHERE p.board_id=$1
-             ORDER BY stage ASC`,
+                AND p.archived_at IS NULL
+                AND (p.estimated_hours IS NOT NULL OR p.budget_hours IS NOT NULL)`,
             [boardId]
         );
-        const projects = result.rows;
-        return projects;
+
+        const atRisk = [];
+        for (const project of result.rows.map(withBurn)) {
+            const limits = [project.estimatedHours, project.budgetHours].filter(h => h !== null);
+            if (limits.some(h => project.actualHours > h)) {
+                atRisk.push({ ...project, status: "over" });
+            } else if (limits.some(h => project.actualHours >= h * threshold / 100)) {
+                atRisk.push({ ...project, status: "near" });
+            }
+        }
+        const burned = project => Math.max(
+            ...[project.estimatedHours, project.budgetHours]
+                .filter(h => h !== null)
+                .map(h => (h > 0 ? project.actualHours / h : Infinity))
+        );
+        return atRisk.sort((a, b) => burned(b) - burned(a));
     }
 
     /** Get project by ID 
      * { projectId } => { project }
-     *      where project is { id, name, priority, stage, boardId }
+     *      where project is { id, name, priority, stage, position, boardId, archivedAt, hourlyRate, ...burn }
     */
     static async getById(projectId) {
         const result = await db.query(
-            `SELECT id, name, priority, stage, board_id AS "boardId"
-             FROM projects
+            `SELECT id, name, priority, stage, position, board_id AS "boardId", archived_at AS "archivedAt",
+                    p.hourly_rate::float AS "hourlyRate",
+                    ${BURN_COLUMNS}
+             FROM projects p
              WHERE id=$1`,
             [projectId]
         );
         const project = result.rows[0];
         if (!project) throw new NotFoundError("no project found");
-        return project;
+        return withBurn(project);
     }
 
-    /** Get all projects for a given user
+    /** Get all projects for a given user, leaving out archived projects and boards
      * { userId } => [ { project }, ... ]
-     *      where project is { id, name, priority, stage, boardId }
+     *      where project is { id, name, priority, stage, position, boardId, hourlyRate, ...burn }
      */
     static async getUserProjects(userId) {
         // ensure user exists
@@ -102,13 +245,17 @@ class Project {
                     p.name AS "name",
                     p.priority AS "priority",
                     p.stage AS "stage",
-                    p.board_id AS "boardId"
+                    p.position AS "position",
+                    p.board_id AS "boardId",
+                    p.hourly_rate::float AS "hourlyRate",
+                    ${BURN_COLUMNS}
              FROM projects p
              JOIN projects_users pu ON p.id=pu.project_id 
-             WHERE pu.user_id=$1`,
+             JOIN boards b ON p.board_id=b.id
+             WHERE pu.user_id=$1 AND p.archived_at IS NULL AND b.archived_at IS NULL`,
             [userId]
         );
-        const projects = result.rows;
+        const projects = result.rows.map(withBurn);
         return projects;
     }
 
@@ -116,29 +263,62 @@ class Project {
      * { fieldToUpdate } => { updatedProject }
      * Allows for partial update, only changes provided fields
      * 
-     * Data can include any of { name, priority, stage }
-     * Returns { id, name, priority, stage, boardId }
+     * Data can include any of { name, priority, stage, estimatedHours, budgetHours, hourlyRate },
+     * null clears an hours field or the rate
+     * Returns { id, name, priority, stage, position, boardId, hourlyRate, ...burn }
+     * Raises BadRequestError if stage is not one of the board's stages.
+     * A project changing stage goes last in the new stage, see move for placing it.
+     * Stage changes are sent to the board's webhooks as project.stage_changed.
      */
-    static async update(projectId, data) {
-        const { sqlSetCols, values } = sqlForPartialUpdate(
-            data,
-            {}
-        );
-        const idSqlIndex = "$" + (values.length + 1);
-        const query = `UPDATE projects
-                       SET ${sqlSetCols}
-                       WHERE id=${idSqlIndex}
-                       RETURNING id,
-                                 name,
-                                 priority,
-                                 stage,
-                                 board_id AS "boardId"`;
-        const result = await db.query(query, [...values, projectId]);
-        const project = result.rows[0];
+    static async update(projectId, data, actorId = null) {
+        const before = await Project.getById(projectId);
+        let fromStage;
+        const project = await db.transaction(async client => {
+            if (data.stage !== undefined) {
+                // same board lock as move, so positions in the new stage stay distinct
+                await Stage._lockBoard(before.boardId, client);
+                await Stage.ensureOnBoard(before.boardId, data.stage, client);
+                if (data.stage !== before.stage) {
+                    fromStage = before.stage;
+                    const position = await Project._nextPosition(before.boardId, data.stage, client);
+                    data = { ...data, position };
+                }
+            }
+            const { sqlSetCols, values } = sqlForPartialUpdate(
+                data,
+                {
+                    estimatedHours: "estimated_hours",
+                    budgetHours: "budget_hours",
+                    hourlyRate: "hourly_rate"
+                }
+            );
+            const idSqlIndex = "$" + (values.length + 1);
+            const query = `UPDATE projects p
+                           SET ${sqlSetCols}
+                           WHERE id=${idSqlIndex}
+                           RETURNING id,
+                                     name,
+                                     priority,
+                                     stage,
+                                     position,
+                                     board_id AS "boardId",
+                                     p.hourly_rate::float AS "hourlyRate",
+                                     ${BURN_COLUMNS}`;
+            const result = await client.query(query, [...values, projectId]);
+            return result.rows[0];
+        });
 
         if (!project) throw new NotFoundError("no project found");
 
-        return project;
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "project", entityId: project.id,
+            action: "update", before: Project.withoutRate(before), after: Project.withoutRate(withBurn(project))
+        });
+        if (fromStage !== undefined) {
+            await Webhook.dispatch("project.stage_changed", { boardId: project.boardId },
+                                   { fromStage, project: withBurn(project) });
+        }
+        return withBurn(project);
     }
 
     /** Get list of users on project
@@ -173,14 +353,14 @@ class Project {
     }
 
     /** Add user to project
-     * { userId, projectId } => { project }
-     *       where project is { id, name, priority, stage, boardId }
+     * { userId, projectId, actorId } => { project }
+     *       where project is { id, name, priority, stage, position, boardId }
      * updates DB M:M table
      */
-    static async addUserToProject(userId, projectId) {
+    static async addUserToProject(userId, projectId, actorId = null) {
         // check for project
         const projCheck = await db.query(
-            `SELECT id
+            `SELECT id, board_id AS "boardId"
              FROM projects
              WHERE id=$1`,
             [projectId]
@@ -204,17 +384,22 @@ class Project {
              RETURNING user_id AS "userId", project_id AS "projectId"`,
             [projectId, userId]
         );
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "project_user", entityId: user.id,
+            action: "add"
+        });
         return user;
     }
 
     /** Remove user from project.
-     * { userId, projectId } => undefined
-     * deletes from DB M:M table
+     * { userId, projectId, actorId } => undefined
+     * deletes from DB M:M table, unassigns the user's tasks on the project
+     * and drops their planned sessions on it that haven't started
      */
-    static async removeUserFromProject(userId, projectId) {
+    static async removeUserFromProject(userId, projectId, actorId = null) {
          // check for project
          const projCheck = await db.query(
-            `SELECT id
+            `SELECT id, board_id AS "boardId"
              FROM projects
              WHERE id=$1`,
             [projectId]
@@ -239,13 +424,34 @@ class Project {
              WHERE user_id=$1 AND project_id=$2`,
             [userId, projectId]
         );
+        // tasks can only be assigned to users on the project
+        await db.query(
+            `UPDATE tasks
+             SET assignee_id=NULL
+             WHERE assignee_id=$1 AND project_id=$2`,
+            [userId, projectId]
+        );
+        // planned time that hasn't started yet no longer applies
+        await db.query(
+            `DELETE
+             FROM planned_sessions
+             WHERE user_id=$1 AND project_id=$2 AND start_datetime > CURRENT_TIMESTAMP`,
+            [userId, projectId]
+        );
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "project_user", entityId: user.id,
+            action: "remove"
+        });
     }
 
-    /** Fetch all projects on all of a user's boards
-     * { userId } => [ { project }, ... ]
-     *      where project is { id, name, priority, stage, boardId }
+    /** Fetch a page of projects visible to a user: every project on boards where the user
+     * is an owner or PM, plus projects the user is assigned to.
+     * Archived projects and projects on archived boards are left out unless includeArchived.
+     * { userId, includeArchived, query } => { projects: [ { project }, ... ], total, limit, offset }
+     *      where project is { id, name, priority, stage, position, boardId, hourlyRate, ...burn }
+     * query can include { stage, priority, sort, order, limit, offset }
      */
-    static async getAllProjectsFromUsersBoards(userId) {
+    static async getAllProjectsFromUsersBoards(userId, includeArchived = false, query = {}) {
         // ensure user exists
         const userCheck = await db.query(
             `SELECT id
@@ -256,22 +462,134 @@ class Project {
         const user = userCheck.rows[0];
         if (!user) throw new NotFoundError("no user found");
 
+        const { whereClauses, values, orderBy, limit, offset } = sqlForListQuery(
+            query,
+            { ...PROJECT_LIST_OPTIONS, startIdx: 2 }
+        );
+        const where = [
+            `(p.board_id IN (SELECT board_id
+                             FROM boards_users
+                             WHERE user_id=$1 AND role IN ('owner', 'pm'))
+                OR p.id IN (SELECT project_id
+                            FROM projects_users
+                            WHERE user_id=$1))`,
+            "($2 OR (p.archived_at IS NULL AND b.archived_at IS NULL))",
+            ...whereClauses
+        ].join(" AND ");
+        const countResult = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM projects p
+             JOIN boards b ON p.board_id=b.id
+             WHERE ${where}`,
+            [userId, includeArchived, ...values]
+        );
         const result = await db.query(
             `SELECT p.id AS "id",
                     p.name AS "name",
                     p.priority AS "priority",
                     p.stage AS "stage",
-                    p.board_id AS "boardId"
-             FROM projects p JOIN boards b
-                ON p.board_id=b.id
-                JOIN boards_users bu
-                    ON b.id=bu.board_id
-                WHERE bu.user_id=$1
-                ORDER BY p.stage ASC`,
-            [userId]
+                    p.position AS "position",
+                    p.board_id AS "boardId",
+                    p.hourly_rate::float AS "hourlyRate",
+                    ${BURN_COLUMNS}
+             FROM projects p
+             JOIN boards b ON p.board_id=b.id
+             WHERE ${where}
+             ORDER BY ${orderBy}
+             LIMIT ${limit} OFFSET ${offset}`,
+            [userId, includeArchived, ...values]
         );
-        const projects = result.rows;
-        return projects;
+        const projects = result.rows.map(withBurn);
+        return { projects, total: countResult.rows[0].total, limit, offset };
+    }
+
+    /** Archive project, hiding it from default listings while keeping its sessions
+     * { projectId, actorId } => { id, name, priority, stage, position, boardId, archivedAt, hourlyRate, ...burn }
+     */
+    static async archive(projectId, actorId = null) {
+        const result = await db.query(
+            `UPDATE projects p
+             SET archived_at=COALESCE(archived_at, CURRENT_TIMESTAMP)
+             WHERE id=$1
+             RETURNING id, name, priority, stage, position, board_id AS "boardId", archived_at AS "archivedAt",
+                       p.hourly_rate::float AS "hourlyRate",
+                       ${BURN_COLUMNS}`,
+            [projectId]
+        );
+        const project = result.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "project", entityId: project.id,
+            action: "archive", after: { archivedAt: project.archivedAt }
+        });
+        return withBurn(project);
+    }
+
+    /** Restore an archived project
+     * { projectId, actorId } => { id, name, priority, stage, position, boardId, archivedAt, hourlyRate, ...burn }
+     */
+    static async restore(projectId, actorId = null) {
+        const result = await db.query(
+            `UPDATE projects p
+             SET archived_at=NULL
+             WHERE id=$1
+             RETURNING id, name, priority, stage, position, board_id AS "boardId", archived_at AS "archivedAt",
+                       p.hourly_rate::float AS "hourlyRate",
+                       ${BURN_COLUMNS}`,
+            [projectId]
+        );
+        const project = result.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "project", entityId: project.id,
+            action: "restore", after: { archivedAt: project.archivedAt }
+        });
+        return withBurn(project);
+    }
+
+    /** Permanently delete project
+     * { projectId, confirm, actorId } => undefined
+     * Deleting cascades to every session recorded on the project, so unless
+     * confirm is true a ConflictError is raised stating how many sessions would be lost.
+     */
+    static async remove(projectId, confirm = false, actorId = null) {
+        const impactCheck = await db.query(
+            `SELECT p.id, p.name, COUNT(s.id)::integer AS "sessions"
+             FROM projects p
+             LEFT JOIN sessions s ON s.project_id=p.id
+             WHERE p.id=$1
+             GROUP BY p.id`,
+            [projectId]
+        );
+        const impact = impactCheck.rows[0];
+        if (!impact) throw new NotFoundError("no project found");
+        if (!confirm) {
+            throw new ConflictError(
+                `permanently deleting project "${impact.name}" also deletes its ${impact.sessions} sessions. ` +
+                `Archive it to keep them, or repeat with confirm=true`
+            );
+        }
+
+        const before = await Project.getById(projectId);
+        const storageKeys = await Attachment.getStorageKeys({ projectId });
+        await db.query(
+            `DELETE
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        await Attachment.removeFiles(storageKeys);
+        await Activity.record({
+            actorId, boardId: before.boardId, projectId: before.id, entityType: "project", entityId: before.id,
+            action: "delete", before: Project.withoutRate(before)
+        });
+    }
+
+    /** A project as shown to users who aren't PMs on its board, and in the activity log
+     * { project } => { project } without hourlyRate
+     */
+    static withoutRate({ hourlyRate, ...project }) {
+        return project;
     }
 
     /** Check if user is assigned a specific project by IDs 
@@ -286,6 +604,83 @@ class Project {
         );
         return result.rows.length > 0;
     }
+
+    /** Move a project to a stage, placed just before or after another project of that stage
+     * { projectId, { stage, beforeId, afterId }, actorId } => { id, name, priority, stage, position, boardId, archivedAt, hourlyRate, ...burn }
+     * With neither beforeId nor afterId the project goes last in the stage.
+     * Positions of the target stage are rewritten in one transaction holding a lock
+     * on the board, so concurrent moves on the same board are applied one after the other.
+     * Raises BadRequestError if the stage or neighbour is not on the project's board
+     * Stage changes are sent to the board's webhooks as project.stage_changed.
+     */
+    static async move(projectId, { stage, beforeId, afterId }, actorId = null) {
+        const project = await Project.getById(projectId);
+        await Stage.ensureOnBoard(project.boardId, stage);
+        const neighbourId = beforeId !== undefined ? beforeId : afterId;
+        if (neighbourId !== undefined && +neighbourId === +projectId) {
+            throw new BadRequestError("cannot place a project next to itself");
+        }
+
+        await db.transaction(async client => {
+            await Stage._lockBoard(project.boardId, client);
+            const result = await client.query(
+                `SELECT id
+                 FROM projects
+                 WHERE board_id=$1 AND stage=$2 AND id<>$3
+                 ORDER BY position, id`,
+                [project.boardId, stage, projectId]
+            );
+            const ids = result.rows.map(r => r.id);
+            let index = ids.length;
+            if (neighbourId !== undefined) {
+                const neighbourIndex = ids.indexOf(+neighbourId);
+                if (neighbourIndex === -1) {
+                    throw new BadRequestError(`project ${neighbourId} is not in stage "${stage}" on board`);
+                }
+                index = beforeId !== undefined ? neighbourIndex : neighbourIndex + 1;
+            }
+            ids.splice(index, 0, +projectId);
+
+            await client.query(
+                `UPDATE projects
+                 SET stage=$1
+                 WHERE id=$2`,
+                [stage, projectId]
+            );
+            await client.query(
+                `UPDATE projects p
+                 SET position=o.ord - 1
+                 FROM unnest($1::integer[]) WITH ORDINALITY AS o(id, ord)
+                 WHERE p.id=o.id`,
+                [ids]
+            );
+        });
+        const moved = await Project.getById(projectId);
+        await Activity.record({
+            actorId, boardId: moved.boardId, projectId: moved.id, entityType: "project", entityId: moved.id,
+            action: "move", before: { stage: project.stage, position: project.position },
+            after: { stage: moved.stage, position: moved.position }
+        });
+        if (stage !== project.stage) {
+            await Webhook.dispatch("project.stage_changed", { boardId: project.boardId },
+                                   { fromStage: project.stage, project: moved });
+        }
+        return moved;
+    }
+
+    /** Position after the last project of a board's stage
+     * { boardId, stage } => position
+     * Call on a client holding the board lock, see Stage._lockBoard.
+     */
+    static async _nextPosition(boardId, stage, client = db) {
+        const result = await client.query(
+            `SELECT COALESCE(MAX(position) + 1, 0) AS "position"
+             FROM projects
+             WHERE board_id=$1 AND stage=$2`,
+            [boardId, stage]
+        );
+        return result.rows[0].position;
+    }
 }
 
 module.exports = Project;
\ No newline at end of file
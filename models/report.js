@@ -0,0 +1,171 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForEndDate } = require("../helpers/sql");
+const { NotFoundError } = require("../expressError");
+
+/** Columns selected and grouped on for each supported grouping */
+const GROUP_COLUMNS = {
+    project: [`p.id AS "projectId"`, `p.name AS "projectName"`],
+    user: [`u.id AS "userId"`, `u.first_name AS "firstName"`, `u.last_name AS "lastName"`],
+    board: [`b.id AS "boardId"`, `b.title AS "boardTitle"`],
+    category: [`c.id AS "categoryId"`, `c.name AS "categoryName"`]
+};
+
+const GROUP_KEYS = {
+    project: ["p.id", "p.name"],
+    user: ["u.id", "u.first_name", "u.last_name"],
+    board: ["b.id", "b.title"],
+    category: ["c.id", "c.name"]
+};
+
+const PERIODS = ["day", "week", "month"];
+
+/** Boards where the user in $1 is owner or PM */
+const PM_BOARD_IDS = `SELECT board_id
+                      FROM boards_users
+                      WHERE user_id=$1 AND role IN ('owner', 'pm')`;
+
+/** SQL/JS abstraction functions for time tracking reports. */
+
+class Report {
+    /** Get total tracked time, grouped and filtered
+     * { userId, groupBy, period, startDate, endDate } => [ { row }, ... ]
+     *      Where row holds the columns for each grouping plus { totalSeconds, totalHours }
+     *      and periodStart when a period is given
+     * 
+     * Covers every session on boards where the user is an owner or PM, plus the user's own sessions.
+     * groupBy is an array containing any of "project", "user", "board", "category".
+     * period can be one of "day", "week", "month".
+     * Sessions still running are counted up to now.
+     * A session counts whole towards the period and date range its start falls in, even when it
+     * runs past their end. A date-only endDate covers that whole day.
+     */
+    static async getDurations({ userId, groupBy = [], period, startDate, endDate }) {
+        const { selectCols, groupCols, whereClauses, values } = await Report._buildQuery(
+            { userId, groupBy, period, startDate, endDate }
+        );
+
+        const duration = `EXTRACT(EPOCH FROM (COALESCE(s.end_datetime, CURRENT_TIMESTAMP) - s.start_datetime))`;
+        selectCols.push(`SUM(${duration})::float AS "totalSeconds"`);
+        selectCols.push(`(SUM(${duration}) / 3600)::float AS "totalHours"`);
+
+        const groupClause = groupCols.length
+            ? `GROUP BY ${groupCols.join(", ")}
+             ORDER BY ${groupCols.join(", ")}`
+            : "";
+        const result = await db.query(
+            `SELECT ${selectCols.join(", ")}
+             FROM sessions s
+             JOIN projects p ON s.project_id=p.id
+             JOIN boards b ON p.board_id=b.id
+             JOIN users u ON s.user_id=u.id
+             JOIN categories c ON s.category_id=c.id
+             WHERE ${whereClauses.join(" AND ")}
+             ${groupClause}`,
+            values
+        );
+        return result.rows;
+    }
+
+    /** Get the billable cost of tracked time, grouped and filtered like getDurations
+     * { userId, groupBy, period, startDate, endDate } => [ { row }, ... ]
+     *      Where row holds the columns for each grouping plus
+     *      { totalHours, billableHours, unratedHours, cost }
+     *
+     * A session's rate is the project's rate, else its category's rate, else the user's
+     * default rate on the board. Time in non-billable categories costs nothing, billable
+     * time without any rate is counted in unratedHours and costs nothing either.
+     * Only boards where the user is owner or PM are covered, costs would reveal
+     * rates that are hidden from other members.
+     */
+    static async getCosts({ userId, groupBy = [], period, startDate, endDate }) {
+        const { selectCols, groupCols, whereClauses, values } = await Report._buildQuery(
+            { userId, groupBy, period, startDate, endDate }
+        );
+        whereClauses.push(`b.id IN (${PM_BOARD_IDS})`);
+
+        const hours = `(EXTRACT(EPOCH FROM (COALESCE(s.end_datetime, CURRENT_TIMESTAMP) - s.start_datetime)) / 3600)`;
+        const rate = `COALESCE(p.hourly_rate, c.hourly_rate, bu.hourly_rate)`;
+        selectCols.push(`ROUND(SUM(${hours})::numeric, 2)::float AS "totalHours"`);
+        selectCols.push(`ROUND(COALESCE(SUM(${hours}) FILTER (WHERE c.billable), 0)::numeric, 2)::float
+                AS "billableHours"`);
+        selectCols.push(`ROUND(COALESCE(SUM(${hours}) FILTER (WHERE c.billable AND ${rate} IS NULL), 0)::numeric, 2)::float
+                AS "unratedHours"`);
+        selectCols.push(`ROUND(COALESCE(SUM(${hours}::numeric * ${rate}) FILTER (WHERE c.billable), 0), 2)::float
+                AS "cost"`);
+
+        const groupClause = groupCols.length
+            ? `GROUP BY ${groupCols.join(", ")}
+             ORDER BY ${groupCols.join(", ")}`
+            : "";
+        const result = await db.query(
+            `SELECT ${selectCols.join(", ")}
+             FROM sessions s
+             JOIN projects p ON s.project_id=p.id
+             JOIN boards b ON p.board_id=b.id
+             JOIN users u ON s.user_id=u.id
+             JOIN categories c ON s.category_id=c.id
+             LEFT JOIN boards_users bu ON bu.board_id=b.id AND bu.user_id=s.user_id
+             WHERE ${whereClauses.join(" AND ")}
+             ${groupClause}`,
+            values
+        );
+        return result.rows;
+    }
+
+    /** Names of the columns of a report row, in order, for the given grouping
+     * { groupBy, period, totals } => [ name, ... ]
+     *      ex: (["project"], "month", ["cost"]) => ["projectId", "projectName", "periodStart", "cost"]
+     */
+    static columnsFor(groupBy = [], period, totals = []) {
+        const columns = [];
+        for (const group of groupBy) {
+            columns.push(...GROUP_COLUMNS[group].map(col => col.match(/AS "(\w+)"$/)[1]));
+        }
+        if (period && PERIODS.includes(period)) columns.push("periodStart");
+        return [...columns, ...totals];
+    }
+
+    /** Shared grouping and filtering of report queries
+     * Checks the user exists and returns { selectCols, groupCols, whereClauses, values }
+     * for sessions the user can report on, see getDurations
+     */
+    static async _buildQuery({ userId, groupBy, period, startDate, endDate }) {
+        // ensure user exists
+        const userCheck = await db.query(
+            `SELECT id
+             FROM users
+             WHERE id=$1`,
+            [userId]
+        );
+        const user = userCheck.rows[0];
+        if (!user) throw new NotFoundError("no user found");
+
+        const selectCols = [];
+        const groupCols = [];
+        for (const group of groupBy) {
+            selectCols.push(...GROUP_COLUMNS[group]);
+            groupCols.push(...GROUP_KEYS[group]);
+        }
+        if (period && PERIODS.includes(period)) {
+            const bucket = `date_trunc('${period}', s.start_datetime)`;
+            selectCols.push(`${bucket} AS "periodStart"`);
+            groupCols.push(bucket);
+        }
+
+        const values = [userId];
+        const whereClauses = [`(s.user_id=$1 OR b.id IN (${PM_BOARD_IDS}))`];
+        if (startDate) {
+            values.push(startDate);
+            whereClauses.push(`s.start_datetime >= $${values.length}`);
+        }
+        if (endDate) {
+            values.push(endDate);
+            whereClauses.push(sqlForEndDate("s.start_datetime", endDate, values.length));
+        }
+        return { selectCols, groupCols, whereClauses, values };
+    }
+}
+
+module.exports = Report;
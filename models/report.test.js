@@ -0,0 +1,35 @@
+"use strict";
+
+const db = require("../db");
+const Report = require("./report");
+
+afterEach(function() {
+    jest.restoreAllMocks();
+});
+
+describe("getCosts", function() {
+    test("member: only covers boards where the user is owner or PM", async function() {
+        const query = jest.spyOn(db, "query")
+            .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+            .mockResolvedValueOnce({ rows: [] });
+        const report = await Report.getCosts({ userId: 7, groupBy: ["board"] });
+        expect(report).toEqual([]);
+        const [sql, values] = query.mock.calls[1];
+        expect(values).toEqual([7]);
+        // own sessions on boards where the user is a member are left out
+        expect(sql.replace(/\s+/g, " ")).toContain(
+            "AND b.id IN (SELECT board_id FROM boards_users WHERE user_id=$1 AND role IN ('owner', 'pm'))");
+    });
+});
+
+describe("getDurations", function() {
+    test("member: covers own sessions on every board", async function() {
+        const query = jest.spyOn(db, "query")
+            .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+            .mockResolvedValueOnce({ rows: [] });
+        await Report.getDurations({ userId: 7 });
+        const [sql] = query.mock.calls[1];
+        expect(sql.replace(/\s+/g, " ")).toContain("(s.user_id=$1 OR b.id IN (SELECT board_id");
+        expect(sql).not.toMatch(/AND b\.id IN/);
+    });
+});
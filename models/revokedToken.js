@@ -0,0 +1,40 @@
+"use strict";
+
+const db = require("../db");
+
+/** SQL/JS abstraction functions for the token revocation list. */
+
+class RevokedToken {
+    /** Add a token ID to the revocation list
+     * { jti, expiresAt } => undefined
+     * expiresAt is when the token would expire anyway, expired entries are pruned here.
+     */
+    static async revoke(jti, expiresAt) {
+        await db.query(
+            `DELETE
+             FROM revoked_tokens
+             WHERE expires_at < CURRENT_TIMESTAMP`
+        );
+        await db.query(
+            `INSERT INTO revoked_tokens (jti, expires_at)
+             VALUES ($1, $2)
+             ON CONFLICT (jti) DO NOTHING`,
+            [jti, expiresAt]
+        );
+    }
+
+    /** Check if a token ID has been revoked
+     * { jti } => bool
+     */
+    static async isRevoked(jti) {
+        const result = await db.query(
+            `SELECT 1
+             FROM revoked_tokens
+             WHERE jti=$1`,
+            [jti]
+        );
+        return result.rows.length > 0;
+    }
+}
+
+module.exports = RevokedToken;
@@ -1,25 +1,63 @@
 "use strict";
 
 const db = require("../db");
-const { sqlForPartialUpdate } = require("../helpers/sql");
-const { NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate, sqlForEndDate, sqlForListQuery } = require("../helpers/sql");
+const { NotFoundError, BadRequestError, ConflictError } = require("../expressError");
+const Timesheet = require("./timesheet");
+const Category = require("./category");
+const Webhook = require("./webhook");
+const Attachment = require("./attachment");
+const Activity = require("./activity");
+const Notification = require("./notification");
+
+/** Filters and sort keys accepted when listing sessions, see sqlForListQuery */
+const SESSION_LIST_OPTIONS = {
+    filters: {
+        startDate: { column: "s.start_datetime", op: ">=" },
+        endDate: { column: "s.start_datetime", endDate: true },
+        userId: { column: "s.user_id", id: true },
+        projectId: { column: "s.project_id", id: true },
+        categoryId: { column: "s.category_id", id: true },
+        taskId: { column: "s.task_id", id: true }
+    },
+    sortKeys: {
+        startDatetime: "s.start_datetime",
+        endDatetime: "s.end_datetime",
+        userId: "s.user_id",
+        projectId: "s.project_id",
+        categoryId: "s.category_id",
+        id: "s.id"
+    },
+    defaultSort: "startDatetime",
+    defaultOrder: "desc",
+    idColumn: "s.id"
+};
 
 /** SQL/JS abstraction functions for Sessions. */
 
 class Session {
     /** create a session for a project from data, update db and return session
-     * { projectId, userId, categoryId } => { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+     * { projectId, userId, categoryId, taskId, actorId } => { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+     * taskId is optional and must be a task on the project, categoryId a category available on its board.
+     * Any session the user still has open is stopped first, so a user only ever has one active session,
+     * the stop is recorded in the activity log as made by actorId, and the user is notified
+     * (session.edited) when actorId is someone else.
+     * Sends session.started, and session.stopped for a session stopped this way, to the board's webhooks.
+     * Raises ConflictError if another of the user's sessions starts or ends in the future, or another start
+     * for the user wins a race with this one, BadRequestError if the project is archived and ForbiddenError
+     * if this week's timesheet is submitted or approved.
      */
-    static async create({ projectId, userId, categoryId }) {
+    static async create({ projectId, userId, categoryId, taskId = null, actorId = null }) {
         // check for project
         const projCheck = await db.query(
-            `SELECT id
+            `SELECT id, board_id AS "boardId", archived_at AS "archivedAt"
              FROM projects
              WHERE id=$1`,
             [projectId]
         );
         const project = projCheck.rows[0];
         if (!project) throw new NotFoundError("no project found");
+        if (project.archivedAt) throw new BadRequestError("project is archived");
         // ensure user exists
         const userCheck = await db.query(
             `SELECT id
@@ -29,40 +67,99 @@ class Session {
         );
         const user = userCheck.rows[0];
         if (!user) throw new NotFoundError("no user found");
-        // ensure category exists
-        const catCheck = await db.query(
-            `SELECT id
-             FROM categories
-             WHERE id=$1`,
-            [categoryId]
-        );
-        const category = catCheck.rows[0];
-        if (!category) throw new NotFoundError("no category found");
+        await Category.ensureAvailable(categoryId, project.boardId);
+        if (taskId !== null) await Session._ensureTaskOnProject(taskId, projectId);
+        await Timesheet.ensureUnlocked({ userId, projectId, datetime: new Date() });
 
-        // carry on with query
-        const result = await db.query(
-            `INSERT INTO sessions (project_id,
-                                   user_id,
-                                   category_id)
-                VALUES ($1, $2, $3)
-                RETURNING id, 
-                          project_id AS "projectId", 
-                          user_id AS "userId", 
-                          start_datetime AS "startDatetime",
-                          end_datetime AS "endDatetime",
-                          category_id AS "categoryId",
-                          comment`,
-            [projectId, userId, categoryId]
+        // a session logged in the future would overlap the new one
+        const overlapCheck = await db.query(
+            `SELECT id,
+                    start_datetime AS "startDatetime",
+                    end_datetime AS "endDatetime"
+             FROM sessions
+             WHERE user_id=$1 AND (start_datetime > CURRENT_TIMESTAMP OR end_datetime > CURRENT_TIMESTAMP)
+             ORDER BY start_datetime
+             LIMIT 1`,
+            [userId]
         );
-        const session = result.rows[0];
+        const overlap = overlapCheck.rows[0];
+        if (overlap) throw new ConflictError(Session.overlapMessage(overlap));
+
+        // clock out of any session the user still has running, in one transaction with the
+        // new session so a failed start leaves the running one as it was
+        const { stopped, session } = await db.transaction(async client => {
+            const stoppedResult = await client.query(
+                `UPDATE sessions s
+                 SET end_datetime=CURRENT_TIMESTAMP
+                 FROM projects p
+                 WHERE s.user_id=$1 AND s.end_datetime IS NULL AND p.id=s.project_id
+                 RETURNING s.id,
+                           s.project_id AS "projectId",
+                           s.user_id AS "userId",
+                           s.start_datetime AS "startDatetime",
+                           s.end_datetime AS "endDatetime",
+                           s.category_id AS "categoryId",
+                           s.task_id AS "taskId",
+                           s.comment,
+                           p.board_id AS "boardId"`,
+                [userId]
+            );
+            let result;
+            try {
+                result = await client.query(
+                    `INSERT INTO sessions (project_id,
+                                           user_id,
+                                           category_id,
+                                           task_id)
+                        VALUES ($1, $2, $3, $4)
+                        RETURNING id, 
+                                  project_id AS "projectId", 
+                                  user_id AS "userId", 
+                                  start_datetime AS "startDatetime",
+                                  end_datetime AS "endDatetime",
+                                  category_id AS "categoryId",
+                                  task_id AS "taskId",
+                                  comment`,
+                    [projectId, userId, categoryId, taskId]
+                );
+            } catch(err) {
+                // sessions_one_active_per_user, another start for the user committed first
+                if (err.code === "23505") throw new ConflictError("user already started another session");
+                throw err;
+            }
+            return { stopped: stoppedResult.rows, session: result.rows[0] };
+        });
+
+        for (const { boardId, ...stoppedSession } of stopped) {
+            await Activity.record({
+                actorId, boardId, projectId: stoppedSession.projectId,
+                entityType: "session", entityId: stoppedSession.id, action: "stop",
+                before: { endDatetime: null }, after: { endDatetime: stoppedSession.endDatetime }
+            });
+            await Webhook.dispatch("session.stopped", { boardId }, stoppedSession);
+        }
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "session", entityId: session.id,
+            action: "create", after: session
+        });
+        await Webhook.dispatch("session.started", { boardId: project.boardId }, session);
+        // tell the user if someone else stopped theirs
+        for (const stoppedSession of stopped) {
+            await Notification.notify({
+                userIds: [userId], eventType: "session.edited", actorId,
+                boardId: stoppedSession.boardId, projectId: stoppedSession.projectId,
+                entityId: stoppedSession.id, data: { action: "stop", fields: ["endDatetime"] }
+            });
+        }
         return session;
     }
 
-    /** Get list of all sessions on a project
-     * { projectId } => [ { session }, ... ]
-     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+    /** Get a page of sessions on a project
+     * { projectId, query } => { sessions: [ { session }, ... ], total, limit, offset }
+     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+     * query can include { startDate, endDate, userId, categoryId, taskId, sort, order, limit, offset }
      */
-    static async getProjectSessions(projectId) {
+    static async getProjectSessions(projectId, query = {}) {
         // check for project
         const projCheck = await db.query(
             `SELECT id
@@ -74,24 +171,38 @@ class Session {
         if (!project) throw new NotFoundError("no project found");
 
         // continue fetching sessions for project
+        const { whereClauses, values, orderBy, limit, offset } = sqlForListQuery(
+            query,
+            { ...SESSION_LIST_OPTIONS, startIdx: 1 }
+        );
+        const where = ["s.project_id=$1", ...whereClauses].join(" AND ");
+        const countResult = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM sessions s
+             WHERE ${where}`,
+            [projectId, ...values]
+        );
         const result = await db.query(
-            `SELECT id,
-                    project_id AS "projectId",
-                    user_id AS "userId",
-                    start_datetime AS "startDatetime",
-                    end_datetime AS "endDatetime",
-                    category_id AS "categoryId",
-                    comment
-             FROM sessions
-             WHERE project_id=$1`,
-            [projectId]
+            `SELECT s.id,
+                    s.project_id AS "projectId",
+                    s.user_id AS "userId",
+                    s.start_datetime AS "startDatetime",
+                    s.end_datetime AS "endDatetime",
+                    s.category_id AS "categoryId",
+                    s.task_id AS "taskId",
+                    s.comment
+             FROM sessions s
+             WHERE ${where}
+             ORDER BY ${orderBy}
+             LIMIT ${limit} OFFSET ${offset}`,
+            [projectId, ...values]
         );
         const sessions = result.rows;
-        return sessions;
+        return { sessions, total: countResult.rows[0].total, limit, offset };
     }
 
     /** Get details about a session from ID
-     * { sessionId } => { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+     * { sessionId } => { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
      */
     static async getById(sessionId) {
         const result = await db.query(
@@ -101,6 +212,7 @@ class Session {
                     start_datetime AS "startDatetime",
                     end_datetime AS "endDatetime",
                     category_id AS "categoryId",
+                    task_id AS "taskId",
                     comment
              FROM sessions
              WHERE id=$1`,
@@ -112,7 +224,7 @@ class Session {
 
     /** Get all sessions completed by user
      * { userId } => [ { session }, ... ]
-     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
      */
     static async getSessionsByUserId(userId) {
         // ensure user exists
@@ -132,6 +244,7 @@ class Session {
                     start_datetime AS "startDatetime",
                     end_datetime AS "endDatetime",
                     category_id AS "categoryId",
+                    task_id AS "taskId",
                     comment
              FROM sessions
              WHERE user_id=$1`,
@@ -141,11 +254,13 @@ class Session {
         return sessions;
     }
 
-    /** Get all sessions on all of user's boards 
-     * { userId } => [ { session }, ... ]
-     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+    /** Get a page of sessions visible to a user: every session on boards where the user
+     * is an owner or PM, plus the user's own sessions
+     * { userId, query } => { sessions: [ { session }, ... ], total, limit, offset }
+     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+     * query can include { startDate, endDate, userId, projectId, categoryId, taskId, sort, order, limit, offset }
     */
-    static async getAllSessionsFromUsersBoards(userId) {
+    static async getAllSessionsFromUsersBoards(userId, query = {}) {
         // ensure user exists
         const userCheck = await db.query(
             `SELECT id
@@ -156,6 +271,24 @@ class Session {
         const user = userCheck.rows[0];
         if (!user) throw new NotFoundError("no user found");
 
+        const { whereClauses, values, orderBy, limit, offset } = sqlForListQuery(
+            query,
+            { ...SESSION_LIST_OPTIONS, startIdx: 1 }
+        );
+        const where = [
+            `(s.user_id=$1
+                OR p.board_id IN (SELECT board_id
+                                  FROM boards_users
+                                  WHERE user_id=$1 AND role IN ('owner', 'pm')))`,
+            ...whereClauses
+        ].join(" AND ");
+        const countResult = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM sessions s
+             JOIN projects p ON s.project_id=p.id
+             WHERE ${where}`,
+            [userId, ...values]
+        );
         const result = await db.query(
             `SELECT s.id AS "id",
                     s.project_id AS "projectId",
@@ -163,18 +296,279 @@ class Session {
                     s.start_datetime AS "startDatetime",
                     s.end_datetime AS "endDatetime",
                     s.category_id AS "categoryId",
+                    s.task_id AS "taskId",
                     s.comment AS "comment"
              FROM sessions s
              JOIN projects p ON s.project_id=p.id
-             JOIN boards b ON p.board_id=b.id
-             JOIN boards_users bu on bu.board_id=b.id
-             WHERE bu.user_id=$1`,
-            [userId]
+             WHERE ${where}
+             ORDER BY ${orderBy}
+             LIMIT ${limit} OFFSET ${offset}`,
+            [userId, ...values]
         );
         const sessions = result.rows;
+        return { sessions, total: countResult.rows[0].total, limit, offset };
+    }
+
+    /** Get sessions with project, category and user details for exporting
+     * { userId, boardId, startDate, endDate } => [ { session }, ... ]
+     *      Where session is { id, userId, firstName, lastName, email, projectId, projectName,
+     *                         categoryId, categoryName, comment, startDatetime, endDatetime, durationSeconds }
+     * Filters by userId and/or boardId, sessions still running are measured up to now.
+     * Sessions are in range by their start and exported whole, a date-only endDate covers that day.
+     */
+    static async getForExport({ userId, boardId, startDate, endDate }) {
+        const values = [];
+        const whereClauses = [];
+        if (userId !== undefined) {
+            values.push(userId);
+            whereClauses.push(`s.user_id=$${values.length}`);
+        }
+        if (boardId !== undefined) {
+            values.push(boardId);
+            whereClauses.push(`p.board_id=$${values.length}`);
+        }
+        if (startDate) {
+            values.push(startDate);
+            whereClauses.push(`s.start_datetime >= $${values.length}`);
+        }
+        if (endDate) {
+            values.push(endDate);
+            whereClauses.push(sqlForEndDate("s.start_datetime", endDate, values.length));
+        }
+        const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(" AND ")}` : "";
+
+        const result = await db.query(
+            `SELECT s.id AS "id",
+                    u.id AS "userId",
+                    u.first_name AS "firstName",
+                    u.last_name AS "lastName",
+                    u.email AS "email",
+                    p.id AS "projectId",
+                    p.name AS "projectName",
+                    c.id AS "categoryId",
+                    c.name AS "categoryName",
+                    s.comment AS "comment",
+                    s.start_datetime AS "startDatetime",
+                    s.end_datetime AS "endDatetime",
+                    EXTRACT(EPOCH FROM (COALESCE(s.end_datetime, CURRENT_TIMESTAMP) - s.start_datetime))::float
+                        AS "durationSeconds"
+             FROM sessions s
+             JOIN projects p ON s.project_id=p.id
+             JOIN users u ON s.user_id=u.id
+             JOIN categories c ON s.category_id=c.id
+             ${whereClause}
+             ORDER BY s.start_datetime`,
+            values
+        );
+        return result.rows;
+    }
+
+    /** Resolve imported rows against the projects, users and categories of a board
+     * (boardId, [ { row, project, email, category, startDatetime, endDatetime, comment }, ... ])
+     *      => { sessions: [ { row, projectId, userId, categoryId, startDatetime, endDatetime, comment }, ... ],
+     *           errors: [ "row 2: ...", ... ] }
+     * Projects are matched by name on the board (case-insensitive), users by email
+     * among board members, categories by name among the global and active board categories.
+     */
+    static async resolveImportRows(boardId, records) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const projectsRes = await db.query(
+            `SELECT id, name
+             FROM projects
+             WHERE board_id=$1`,
+            [boardId]
+        );
+        const usersRes = await db.query(
+            `SELECT u.id, u.email
+             FROM users u
+             JOIN boards_users bu ON u.id=bu.user_id
+             WHERE bu.board_id=$1`,
+            [boardId]
+        );
+        const categoriesRes = await db.query(
+            `SELECT id, name
+             FROM categories
+             WHERE (board_id IS NULL OR board_id=$1) AND archived_at IS NULL`,
+            [boardId]
+        );
+
+        const projectIds = new Map();
+        for (const { id, name } of projectsRes.rows) {
+            const key = name.toLowerCase();
+            projectIds.set(key, projectIds.has(key) ? null : id);
+        }
+        const userIds = new Map(usersRes.rows.map(({ id, email }) => [email.toLowerCase(), id]));
+        const categoryIds = new Map(categoriesRes.rows.map(({ id, name }) => [name.toLowerCase(), id]));
+
+        const sessions = [];
+        const errors = [];
+        for (const record of records) {
+            const { row, project, email, category, startDatetime, endDatetime, comment } = record;
+            const projectId = projectIds.get((project || "").toLowerCase());
+            const userId = userIds.get((email || "").toLowerCase());
+            const categoryId = categoryIds.get((category || "").toLowerCase());
+            const rowErrors = [];
+            if (projectId === null) rowErrors.push(`project "${project}" is ambiguous on board`);
+            else if (!projectId) rowErrors.push(`no project "${project}" on board`);
+            if (!userId) rowErrors.push(`no user "${email}" on board`);
+            if (!categoryId) rowErrors.push(`no category "${category}" on board`);
+
+            if (rowErrors.length) {
+                errors.push(...rowErrors.map(e => `row ${row}: ${e}`));
+            } else {
+                sessions.push({ row, projectId, userId, categoryId, startDatetime, endDatetime, comment });
+            }
+        }
+        return { sessions, errors };
+    }
+
+    /** Insert many completed sessions in a single transaction
+     * [ { row, projectId, userId, categoryId, startDatetime, endDatetime, comment }, ... ] => [ { session }, ... ]
+     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+     * Nothing is written if any insert fails. Rows overlapping an existing session, or an earlier row,
+     * or falling in a week with a submitted or approved timesheet raise a ConflictError listing each conflict by row.
+     * With dryRun the transaction, on a client of its own, is rolled back after all checks.
+     * Otherwise each session is recorded in the activity log as imported by actorId.
+     */
+    static async bulkCreate(sessionsData, { dryRun = false, actorId = null } = {}) {
+        const sessions = await db.transaction(async client => {
+            const sessions = [];
+            const conflicts = [];
+            for (const { row, projectId, userId, categoryId, startDatetime, endDatetime, comment } of sessionsData) {
+                try {
+                    await Timesheet.ensureUnlocked({ userId, projectId, datetime: startDatetime }, client);
+                } catch(err) {
+                    conflicts.push(`row ${row}: ${err.message}`);
+                    continue;
+                }
+                // run on the transaction's client so earlier rows count as overlaps
+                const overlap = await Session.getOverlapping({ userId, startDatetime, endDatetime }, client);
+                if (overlap) {
+                    conflicts.push(`row ${row}: ${Session.overlapMessage(overlap)}`);
+                    continue;
+                }
+                const result = await client.query(
+                    `INSERT INTO sessions (project_id,
+                                           user_id,
+                                           category_id,
+                                           start_datetime,
+                                           end_datetime,
+                                           comment)
+                        VALUES ($1, $2, $3, $4, $5, $6)
+                        RETURNING id,
+                                  project_id AS "projectId",
+                                  user_id AS "userId",
+                                  start_datetime AS "startDatetime",
+                                  end_datetime AS "endDatetime",
+                                  category_id AS "categoryId",
+                                  task_id AS "taskId",
+                                  comment`,
+                    [projectId, userId, categoryId, startDatetime, endDatetime, comment || null]
+                );
+                sessions.push(result.rows[0]);
+            }
+            if (conflicts.length) throw new ConflictError(conflicts);
+            return sessions;
+        }, { rollback: dryRun });
+        if (dryRun || !sessions.length) return sessions;
+
+        const boardResult = await db.query(
+            `SELECT id, board_id AS "boardId"
+             FROM projects
+             WHERE id = ANY($1::integer[])`,
+            [[...new Set(sessions.map(s => s.projectId))]]
+        );
+        const boardIds = new Map(boardResult.rows.map(r => [r.id, r.boardId]));
+        for (const session of sessions) {
+            await Activity.record({
+                actorId, boardId: boardIds.get(session.projectId), projectId: session.projectId,
+                entityType: "session", entityId: session.id, action: "import", after: session
+            });
+        }
         return sessions;
     }
 
+    /** Find a session of the user overlapping the [startDatetime, endDatetime) range
+     * { userId, startDatetime, endDatetime, excludeId } => { id, projectId, startDatetime, endDatetime } or undefined
+     * A null endDatetime is treated as still running (open-ended).
+     * excludeId skips a session, used when checking a session against its own update.
+     * Pass a transaction's client to see its uncommitted sessions.
+     */
+    static async getOverlapping({ userId, startDatetime, endDatetime, excludeId = null }, client = db) {
+        const result = await client.query(
+            `SELECT id,
+                    project_id AS "projectId",
+                    start_datetime AS "startDatetime",
+                    end_datetime AS "endDatetime"
+             FROM sessions
+             WHERE user_id=$1
+                AND ($4::integer IS NULL OR id <> $4)
+                AND tstzrange(start_datetime, end_datetime, '[)') && tstzrange($2, $3, '[)')
+             ORDER BY start_datetime
+             LIMIT 1`,
+            [userId, startDatetime, endDatetime, excludeId]
+        );
+        return result.rows[0];
+    }
+
+    /** Describe an overlapping session for error messages
+     * { id, startDatetime, endDatetime } => "overlaps session 3 (... to ...)"
+     */
+    static overlapMessage({ id, startDatetime, endDatetime }) {
+        const start = new Date(startDatetime).toISOString();
+        const end = endDatetime ? new Date(endDatetime).toISOString() : "running";
+        return `overlaps session ${id} (${start} to ${end})`;
+    }
+
+    /** Get all pairs of overlapping sessions by the same user where both sessions are on the board
+     * { boardId } => [ { userId, firstSessionId, firstProjectId, firstStartDatetime, firstEndDatetime,
+     *                    secondSessionId, secondProjectId, secondStartDatetime, secondEndDatetime }, ... ]
+     */
+    static async getBoardOverlaps(boardId) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await db.query(
+            `SELECT s1.user_id AS "userId",
+                    s1.id AS "firstSessionId",
+                    s1.project_id AS "firstProjectId",
+                    s1.start_datetime AS "firstStartDatetime",
+                    s1.end_datetime AS "firstEndDatetime",
+                    s2.id AS "secondSessionId",
+                    s2.project_id AS "secondProjectId",
+                    s2.start_datetime AS "secondStartDatetime",
+                    s2.end_datetime AS "secondEndDatetime"
+             FROM sessions s1
+             JOIN sessions s2
+                ON s1.user_id=s2.user_id
+                AND s1.id < s2.id
+                AND tstzrange(s1.start_datetime, s1.end_datetime, '[)')
+                    && tstzrange(s2.start_datetime, s2.end_datetime, '[)')
+             JOIN projects p1 ON s1.project_id=p1.id
+             JOIN projects p2 ON s2.project_id=p2.id
+             WHERE p1.board_id=$1 AND p2.board_id=$1
+             ORDER BY s1.user_id, s1.start_datetime`,
+            [boardId]
+        );
+        return result.rows;
+    }
+
     /** Get boardId that hosts the project hosting the session 
      * { sessionId } => { boardId }
     */
@@ -200,17 +594,111 @@ class Session {
         return project.boardId;
     }
 
+    /** Get the running session (no end time) for a user
+     * { userId } => { session } or undefined
+     *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+     */
+    static async getActiveByUserId(userId) {
+        const result = await db.query(
+            `SELECT id,
+                    project_id AS "projectId",
+                    user_id AS "userId",
+                    start_datetime AS "startDatetime",
+                    end_datetime AS "endDatetime",
+                    category_id AS "categoryId",
+                    task_id AS "taskId",
+                    comment
+             FROM sessions
+             WHERE user_id=$1 AND end_datetime IS NULL`,
+            [userId]
+        );
+        const session = result.rows[0];
+        return session;
+    }
+
+    /** Stop a running session, stamping the end time on the server
+     * { sessionId, actorId } => { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+     * Raises BadRequestError if the session has already been stopped
+     */
+    static async stop(sessionId, actorId = null) {
+        const sessionCheck = await db.query(
+            `SELECT id, end_datetime AS "endDatetime"
+             FROM sessions
+             WHERE id=$1`,
+            [sessionId]
+        );
+        const preStopSession = sessionCheck.rows[0];
+        if (!preStopSession) throw new NotFoundError("no session found");
+        if (preStopSession.endDatetime) throw new BadRequestError("session already stopped");
+
+        const result = await db.query(
+            `UPDATE sessions
+             SET end_datetime=CURRENT_TIMESTAMP
+             WHERE id=$1
+             RETURNING id,
+                       project_id AS "projectId",
+                       user_id AS "userId",
+                       start_datetime AS "startDatetime",
+                       end_datetime AS "endDatetime",
+                       category_id AS "categoryId",
+                       task_id AS "taskId",
+                       comment`,
+            [sessionId]
+        );
+        const session = result.rows[0];
+        await Activity.record({
+            actorId, boardId: await Session.getBoardId(session.id), projectId: session.projectId,
+            entityType: "session", entityId: session.id, action: "stop",
+            before: { endDatetime: null }, after: { endDatetime: session.endDatetime }
+        });
+        await Webhook.dispatch("session.stopped", { projectId: session.projectId }, session);
+        return session;
+    }
+
     /** Update session from data
-     * { fieldsToUpdate } => { updatedSession }
+     * { sessionId, fieldsToUpdate, actorId } => { updatedSession }
      * Allows for partial update, only changes provided fields
      * 
-     * Data can include any of { startDatetime, endDatetime, categoryId, comment }
+     * Data can include any of { startDatetime, endDatetime, categoryId, taskId, comment }
+     * Raises ConflictError if the new times overlap another session of the same user,
+     * BadRequestError if taskId is not a task on the session's project, null clears the task,
+     * or if a new categoryId is not available on the project's board,
+     * and ForbiddenError if the session is on, or would move onto, a submitted or approved timesheet
      */
-    static async update(sessionId, data) {
+    static async update(sessionId, data, actorId = null) {
+        const current = await Session.getById(sessionId);
+        if (!current) throw new NotFoundError("No session found");
+        const { userId, projectId } = current;
+        const boardId = await Session.getBoardId(sessionId);
+        await Timesheet.ensureUnlocked({ userId, projectId, datetime: current.startDatetime });
+        if (data.startDatetime) await Timesheet.ensureUnlocked({ userId, projectId, datetime: data.startDatetime });
+
+        if (data.taskId !== undefined && data.taskId !== null) {
+            await Session._ensureTaskOnProject(data.taskId, current.projectId);
+        }
+        if (data.categoryId !== undefined && data.categoryId !== current.categoryId) {
+            await Category.ensureAvailable(data.categoryId, boardId);
+        }
+        if (data.startDatetime || data.endDatetime) {
+            const startDatetime = data.startDatetime || current.startDatetime;
+            const endDatetime = data.endDatetime || current.endDatetime;
+            if (endDatetime && new Date(startDatetime) > new Date(endDatetime)) {
+                throw new BadRequestError("startDatetime must not be after endDatetime");
+            }
+            const overlap = await Session.getOverlapping({
+                userId: current.userId,
+                startDatetime,
+                endDatetime,
+                excludeId: current.id
+            });
+            if (overlap) throw new ConflictError(Session.overlapMessage(overlap));
+        }
+
         const jsToSql = {
             startDatetime: "start_datetime",
             endDatetime: "end_datetime",
-            categoryId: "category_id"
+            categoryId: "category_id",
+            taskId: "task_id"
         }
         const { sqlSetCols, values } = sqlForPartialUpdate(
             data,
@@ -226,19 +714,50 @@ class Session {
                                  start_datetime AS "startDatetime",
                                  end_datetime AS "endDatetime",
                                  category_id AS "categoryId",
+                                 task_id AS "taskId",
                                  comment`;
         const result = await db.query(query, [...values, sessionId]);
         const session = result.rows[0];
 
         if (!session) throw new NotFoundError("No session found");
 
+        await Activity.record({
+            actorId, boardId, projectId, entityType: "session", entityId: session.id, action: "update",
+            before: current, after: session
+        });
+        // giving a running session an end time stops it
+        if (!current.endDatetime && session.endDatetime) {
+            await Webhook.dispatch("session.stopped", { projectId }, session);
+        }
         return session;
     }
 
+    /** Raises BadRequestError unless the task belongs to the project */
+    static async _ensureTaskOnProject(taskId, projectId) {
+        const result = await db.query(
+            `SELECT id
+             FROM tasks
+             WHERE id=$1 AND project_id=$2`,
+            [taskId, projectId]
+        );
+        if (!result.rows[0]) throw new BadRequestError("task is not on the session's project");
+    }
+
     /** Delete session by ID
-     * { sessionId } => undefined
+     * { sessionId, actorId } => undefined
+     * Raises ForbiddenError if the session is on a submitted or approved timesheet
      */
-    static async delete(sessionId) {
+    static async delete(sessionId, actorId = null) {
+        const current = await Session.getById(sessionId);
+        if (!current) throw new NotFoundError("no session found");
+        await Timesheet.ensureUnlocked({
+            userId: current.userId,
+            projectId: current.projectId,
+            datetime: current.startDatetime
+        });
+
+        const boardId = await Session.getBoardId(sessionId);
+        const storageKeys = await Attachment.getStorageKeys({ sessionId });
         const result = await db.query(
             `DELETE
              FROM sessions
@@ -248,6 +767,11 @@ class Session {
         );
         const session = result.rows[0];
         if (!session) throw new NotFoundError("no session found");
+        await Attachment.removeFiles(storageKeys);
+        await Activity.record({
+            actorId, boardId, projectId: current.projectId, entityType: "session", entityId: current.id,
+            action: "delete", before: current
+        });
     }    
 }
 
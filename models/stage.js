@@ -0,0 +1,306 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Activity = require("./activity");
+
+/** Stages every new board starts with, in order. */
+const DEFAULT_STAGES = [
+    { name: "pending", isDone: false },
+    { name: "in_progress", isDone: false },
+    { name: "complete", isDone: true }
+];
+
+/** SQL/JS abstraction functions for the kanban stages of a board. */
+
+class Stage {
+    /** Give a new board the default stages
+     * { boardId } => [ { stage }, ... ]
+     *      where stage is { id, boardId, name, position, isDone }
+     */
+    static async createDefaults(boardId) {
+        const stages = [];
+        for (const [position, { name, isDone }] of DEFAULT_STAGES.entries()) {
+            const result = await db.query(
+                `INSERT INTO board_stages (board_id, name, position, is_done)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING id, board_id AS "boardId", name, position, is_done AS "isDone"`,
+                [boardId, name, position, isDone]
+            );
+            stages.push(result.rows[0]);
+        }
+        return stages;
+    }
+
+    /** Get the stages of a board in order with the number of projects in each
+     * { boardId } => [ { id, boardId, name, position, isDone, projectCount }, ... ]
+     * Pass a transaction's client to read within it.
+     */
+    static async getBoardStages(boardId, client = db) {
+        // ensure board exists
+        const boardCheck = await client.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await client.query(
+            `SELECT bs.id,
+                    bs.board_id AS "boardId",
+                    bs.name,
+                    bs.position,
+                    bs.is_done AS "isDone",
+                    COUNT(p.id)::integer AS "projectCount"
+             FROM board_stages bs
+             LEFT JOIN projects p ON p.board_id=bs.board_id AND p.stage=bs.name
+             WHERE bs.board_id=$1
+             GROUP BY bs.id
+             ORDER BY bs.position`,
+            [boardId]
+        );
+        return result.rows;
+    }
+
+    /** Get a stage of a board by ID
+     * { stageId, boardId } => { id, boardId, name, position, isDone }
+     * Pass a transaction's client to read within it.
+     */
+    static async get(stageId, boardId, client = db) {
+        const result = await client.query(
+            `SELECT id, board_id AS "boardId", name, position, is_done AS "isDone"
+             FROM board_stages
+             WHERE id=$1 AND board_id=$2`,
+            [stageId, boardId]
+        );
+        const stage = result.rows[0];
+        if (!stage) throw new NotFoundError("no stage found");
+        return stage;
+    }
+
+    /** Get the name of a board's first stage, where new projects start
+     * { boardId } => name
+     */
+    static async getFirstName(boardId, client = db) {
+        const result = await client.query(
+            `SELECT name
+             FROM board_stages
+             WHERE board_id=$1
+             ORDER BY position
+             LIMIT 1`,
+            [boardId]
+        );
+        const stage = result.rows[0];
+        if (!stage) throw new BadRequestError("board has no stages");
+        return stage.name;
+    }
+
+    /** Raises BadRequestError unless the board has a stage with this name */
+    static async ensureOnBoard(boardId, name, client = db) {
+        const result = await client.query(
+            `SELECT id
+             FROM board_stages
+             WHERE board_id=$1 AND name=$2`,
+            [boardId, name]
+        );
+        if (!result.rows[0]) throw new BadRequestError(`no stage "${name}" on board`);
+    }
+
+    /** Add a stage to a board
+     * { boardId, { name, isDone, position }, actorId } => { id, boardId, name, position, isDone }
+     * Without a position the stage is added last, otherwise later stages move down one.
+     * Raises BadRequestError if the board already has a stage with this name
+     */
+    static async create(boardId, { name, isDone = false, position }, actorId = null) {
+        const stage = await db.transaction(async client => {
+            await Stage._lockBoard(boardId, client);
+            await Stage._ensureNameFree(boardId, name, client);
+
+            const countResult = await client.query(
+                `SELECT COUNT(*)::integer AS "count"
+                 FROM board_stages
+                 WHERE board_id=$1`,
+                [boardId]
+            );
+            const count = countResult.rows[0].count;
+            const newPosition = position === undefined ? count : Math.min(position, count);
+            await client.query(
+                `UPDATE board_stages
+                 SET position=position + 1
+                 WHERE board_id=$1 AND position >= $2`,
+                [boardId, newPosition]
+            );
+            const result = await client.query(
+                `INSERT INTO board_stages (board_id, name, position, is_done)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING id, board_id AS "boardId", name, position, is_done AS "isDone"`,
+                [boardId, name, newPosition, isDone]
+            );
+            return result.rows[0];
+        });
+        await Activity.record({
+            actorId, boardId: stage.boardId, entityType: "stage", entityId: stage.id, action: "create", after: stage
+        });
+        return stage;
+    }
+
+    /** Rename a stage or change its done flag
+     * { stageId, boardId, fieldsToUpdate, actorId } => { id, boardId, name, position, isDone }
+     * Data can include any of { name, isDone }. Projects in the stage follow a rename.
+     * Raises BadRequestError if another stage on the board already has the new name
+     */
+    static async update(stageId, boardId, data, actorId = null) {
+        const { stage, updated } = await db.transaction(async client => {
+            await Stage._lockBoard(boardId, client);
+            const stage = await Stage.get(stageId, boardId, client);
+            if (data.name !== undefined && data.name !== stage.name) {
+                await Stage._ensureNameFree(boardId, data.name, client);
+            }
+
+            const { sqlSetCols, values } = sqlForPartialUpdate(
+                data,
+                { isDone: "is_done" }
+            );
+            const idSqlIndex = "$" + (values.length + 1);
+            const query = `UPDATE board_stages
+                           SET ${sqlSetCols}
+                           WHERE id=${idSqlIndex}
+                           RETURNING id,
+                                     board_id AS "boardId",
+                                     name,
+                                     position,
+                                     is_done AS "isDone"`;
+            const result = await client.query(query, [...values, stageId]);
+            return { stage, updated: result.rows[0] };
+        });
+        await Activity.record({
+            actorId, boardId: updated.boardId, entityType: "stage", entityId: updated.id, action: "update",
+            before: stage, after: updated
+        });
+        return updated;
+    }
+
+    /** Reorder the stages of a board
+     * { boardId, stageIds, actorId } => [ { stage }, ... ]
+     *      where stageIds lists every stage of the board in the new order
+     * Raises BadRequestError unless stageIds are exactly the board's stages
+     */
+    static async reorder(boardId, stageIds, actorId = null) {
+        const before = await db.transaction(async client => {
+            await Stage._lockBoard(boardId, client);
+            const current = await Stage.getBoardStages(boardId, client);
+            const currentIds = current.map(s => s.id).sort((a, b) => a - b);
+            const newIds = [...stageIds].sort((a, b) => a - b);
+            if (currentIds.length !== newIds.length || currentIds.some((id, i) => id !== newIds[i])) {
+                throw new BadRequestError("stageIds must list every stage of the board exactly once");
+            }
+
+            for (const [position, stageId] of stageIds.entries()) {
+                await client.query(
+                    `UPDATE board_stages
+                     SET position=$1
+                     WHERE id=$2`,
+                    [position, stageId]
+                );
+            }
+            return current;
+        });
+        const stages = await Stage.getBoardStages(boardId);
+        await Activity.record({
+            actorId, boardId: +boardId, entityType: "board", entityId: +boardId, action: "reorder_stages",
+            before: { stageIds: before.map(s => s.id) }, after: { stageIds: stages.map(s => s.id) }
+        });
+        return stages;
+    }
+
+    /** Remove a stage from a board
+     * { stageId, boardId, targetStageId, actorId } => undefined
+     * Projects still in the stage are moved to targetStageId, which is required
+     * when there are any. A board always keeps at least one stage.
+     */
+    static async remove(stageId, boardId, targetStageId, actorId = null) {
+        const { stage, target } = await db.transaction(async client => {
+            await Stage._lockBoard(boardId, client);
+            const stages = await Stage.getBoardStages(boardId, client);
+            const stage = stages.find(s => s.id === +stageId);
+            if (!stage) throw new NotFoundError("no stage found");
+            if (stages.length === 1) throw new BadRequestError("a board must keep at least one stage");
+
+            let target;
+            if (stage.projectCount > 0) {
+                if (targetStageId === undefined) {
+                    throw new BadRequestError(
+                        `stage "${stage.name}" still has ${stage.projectCount} projects, a targetStageId is required`
+                    );
+                }
+                target = stages.find(s => s.id === +targetStageId);
+                if (!target) throw new BadRequestError("target stage is not on board");
+                if (target.id === stage.id) throw new BadRequestError("target stage must differ from the removed stage");
+            }
+
+            if (target) {
+                // moved projects keep their order, after those already in the target
+                await client.query(
+                    `UPDATE projects
+                     SET stage=$1,
+                         position=position + (SELECT COALESCE(MAX(position) + 1, 0)
+                                              FROM projects
+                                              WHERE board_id=$2 AND stage=$1)
+                     WHERE board_id=$2 AND stage=$3`,
+                    [target.name, boardId, stage.name]
+                );
+            }
+            await client.query(
+                `DELETE
+                 FROM board_stages
+                 WHERE id=$1`,
+                [stageId]
+            );
+            await client.query(
+                `UPDATE board_stages
+                 SET position=position - 1
+                 WHERE board_id=$1 AND position > $2`,
+                [boardId, stage.position]
+            );
+            return { stage, target };
+        });
+        const { projectCount, ...before } = stage;
+        await Activity.record({
+            actorId, boardId: stage.boardId, entityType: "stage", entityId: stage.id, action: "delete", before,
+            after: target ? { targetStageId: target.id } : null
+        });
+    }
+
+    /** Lock a board's row for the rest of the transaction, so changes to its stages
+     * and project positions run one at a time.
+     * Raises NotFoundError if there's no such board.
+     */
+    static async _lockBoard(boardId, client) {
+        const boardCheck = await client.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1
+             FOR UPDATE`,
+            [boardId]
+        );
+        if (!boardCheck.rows[0]) throw new NotFoundError("no board found");
+    }
+
+    /** Raises BadRequestError if the board already has a stage with this name */
+    static async _ensureNameFree(boardId, name, client = db) {
+        const duplicate = await client.query(
+            `SELECT id
+             FROM board_stages
+             WHERE board_id=$1 AND name=$2`,
+            [boardId, name]
+        );
+        if (duplicate.rows[0]) throw new BadRequestError(`stage "${name}" already on board`);
+    }
+}
+
+Stage.DEFAULT_STAGES = DEFAULT_STAGES;
+
+module.exports = Stage;
@@ -0,0 +1,207 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Activity = require("./activity");
+
+/** SQL/JS abstraction functions for Tasks within a project. */
+
+class Task {
+    /** Create a task on a project from data, update db and return task
+     * { projectId, title, description, assigneeId, dueDate, status, position, actorId }
+     *      => { id, projectId, title, description, assigneeId, dueDate, status, position }
+     * Only projectId and title are required. Without a position the task goes to the end of the list.
+     * Raises BadRequestError if the project is archived or the assignee is not on the project.
+     */
+    static async create({ projectId, title, description = null, assigneeId = null, dueDate = null,
+                          status = "todo", position, actorId = null }) {
+        // check for project
+        const projCheck = await db.query(
+            `SELECT id, board_id AS "boardId", archived_at AS "archivedAt"
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        const project = projCheck.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+        if (project.archivedAt) throw new BadRequestError("project is archived");
+
+        if (assigneeId !== null) await Task._ensureAssigneeOnProject(assigneeId, projectId);
+
+        // continue with creating task
+        const result = await db.query(
+            `INSERT INTO tasks (project_id,
+                                title,
+                                description,
+                                assignee_id,
+                                due_date,
+                                status,
+                                position)
+                VALUES ($1, $2, $3, $4, $5, $6,
+                        COALESCE($7, (SELECT COALESCE(MAX(position) + 1, 0)
+                                      FROM tasks
+                                      WHERE project_id=$1)))
+                RETURNING id,
+                          project_id AS "projectId",
+                          title,
+                          description,
+                          assignee_id AS "assigneeId",
+                          due_date AS "dueDate",
+                          status,
+                          position`,
+            [projectId, title, description, assigneeId, dueDate, status, position === undefined ? null : position]
+        );
+        const task = result.rows[0];
+        await Activity.record({
+            actorId, boardId: project.boardId, projectId: project.id, entityType: "task", entityId: task.id,
+            action: "create", after: task
+        });
+        return task;
+    }
+
+    /** Get all tasks on a project in list order
+     * { projectId } => [ { task }, ... ]
+     *      where task is { id, projectId, title, description, assigneeId, dueDate, status, position }
+     */
+    static async getProjectTasks(projectId) {
+        // check for project
+        const projCheck = await db.query(
+            `SELECT id
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        const project = projCheck.rows[0];
+        if (!project) throw new NotFoundError("no project found");
+
+        const result = await db.query(
+            `SELECT id,
+                    project_id AS "projectId",
+                    title,
+                    description,
+                    assignee_id AS "assigneeId",
+                    due_date AS "dueDate",
+                    status,
+                    position
+             FROM tasks
+             WHERE project_id=$1
+             ORDER BY position, id`,
+            [projectId]
+        );
+        const tasks = result.rows;
+        return tasks;
+    }
+
+    /** Get a task by ID, scoped to its project
+     * { taskId, projectId } => { id, projectId, title, description, assigneeId, dueDate, status, position }
+     */
+    static async get(taskId, projectId) {
+        const result = await db.query(
+            `SELECT id,
+                    project_id AS "projectId",
+                    title,
+                    description,
+                    assignee_id AS "assigneeId",
+                    due_date AS "dueDate",
+                    status,
+                    position
+             FROM tasks
+             WHERE id=$1 AND project_id=$2`,
+            [taskId, projectId]
+        );
+        const task = result.rows[0];
+        if (!task) throw new NotFoundError("no task found");
+        return task;
+    }
+
+    /** Update task from data
+     * { taskId, projectId, fieldsToUpdate, actorId } => { updatedTask }
+     * Allows for partial update, only changes provided fields
+     *
+     * Data can include any of { title, description, assigneeId, dueDate, status, position }
+     * Raises BadRequestError if the new assignee is not on the project
+     */
+    static async update(taskId, projectId, data, actorId = null) {
+        const before = await Task.get(taskId, projectId);
+        if (data.assigneeId !== undefined && data.assigneeId !== null) {
+            await Task._ensureAssigneeOnProject(data.assigneeId, projectId);
+        }
+
+        const jsToSql = {
+            assigneeId: "assignee_id",
+            dueDate: "due_date"
+        };
+        const { sqlSetCols, values } = sqlForPartialUpdate(
+            data,
+            jsToSql
+        );
+        const idSqlIndex = "$" + (values.length + 1);
+        const projectIdSqlIndex = "$" + (values.length + 2);
+        const query = `UPDATE tasks
+                       SET ${sqlSetCols}
+                       WHERE id=${idSqlIndex} AND project_id=${projectIdSqlIndex}
+                       RETURNING id,
+                                 project_id AS "projectId",
+                                 title,
+                                 description,
+                                 assignee_id AS "assigneeId",
+                                 due_date AS "dueDate",
+                                 status,
+                                 position`;
+        const result = await db.query(query, [...values, taskId, projectId]);
+        const task = result.rows[0];
+
+        if (!task) throw new NotFoundError("no task found");
+
+        await Activity.record({
+            actorId, boardId: await Task._getBoardId(projectId), projectId: task.projectId, entityType: "task",
+            entityId: task.id, action: "update", before, after: task
+        });
+        return task;
+    }
+
+    /** Delete task by ID, sessions logged against it stay on the project
+     * { taskId, projectId, actorId } => undefined
+     */
+    static async remove(taskId, projectId, actorId = null) {
+        const before = await Task.get(taskId, projectId);
+        const result = await db.query(
+            `DELETE
+             FROM tasks
+             WHERE id=$1 AND project_id=$2
+             RETURNING id`,
+            [taskId, projectId]
+        );
+        const task = result.rows[0];
+        if (!task) throw new NotFoundError("no task found");
+        await Activity.record({
+            actorId, boardId: await Task._getBoardId(projectId), projectId: before.projectId, entityType: "task",
+            entityId: before.id, action: "delete", before
+        });
+    }
+
+    /** Raises BadRequestError unless the user is assigned to the project */
+    static async _ensureAssigneeOnProject(userId, projectId) {
+        const result = await db.query(
+            `SELECT user_id
+             FROM projects_users
+             WHERE user_id=$1 AND project_id=$2`,
+            [userId, projectId]
+        );
+        if (!result.rows[0]) throw new BadRequestError("assignee must be a user on the project");
+    }
+
+    /** Board of a project */
+    static async _getBoardId(projectId) {
+        const result = await db.query(
+            `SELECT board_id AS "boardId"
+             FROM projects
+             WHERE id=$1`,
+            [projectId]
+        );
+        return result.rows[0].boardId;
+    }
+}
+
+module.exports = Task;
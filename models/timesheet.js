@@ -0,0 +1,265 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError, ForbiddenError } = require("../expressError");
+const Activity = require("./activity");
+
+/** Review status changes allowed from each status */
+const REVIEW_TRANSITIONS = {
+    approve: { from: "submitted", to: "approved" },
+    reject: { from: "submitted", to: "rejected" },
+    reopen: { from: "approved", to: "reopened" }
+};
+
+/** Columns returned for a timesheet, with the sessions it covers totalled.
+ * A session belongs to the ISO week (Monday to Sunday, UTC) it starts in.
+ */
+const TIMESHEET_COLUMNS = `t.id,
+                           t.user_id AS "userId",
+                           t.board_id AS "boardId",
+                           to_char(t.week_start, 'YYYY-MM-DD') AS "weekStart",
+                           t.status,
+                           t.submitted_at AS "submittedAt",
+                           t.reviewed_by AS "reviewedBy",
+                           t.reviewed_at AS "reviewedAt",
+                           t.review_comment AS "reviewComment",
+                           (SELECT COUNT(s.id)::integer
+                            FROM sessions s
+                            JOIN projects p ON s.project_id=p.id
+                            WHERE s.user_id=t.user_id
+                                AND p.board_id=t.board_id
+                                AND date_trunc('week', s.start_datetime AT TIME ZONE 'UTC')::date=t.week_start)
+                                AS "sessionCount",
+                           (SELECT COALESCE(SUM(EXTRACT(EPOCH FROM (s.end_datetime - s.start_datetime))), 0)::float
+                            FROM sessions s
+                            JOIN projects p ON s.project_id=p.id
+                            WHERE s.user_id=t.user_id
+                                AND p.board_id=t.board_id
+                                AND date_trunc('week', s.start_datetime AT TIME ZONE 'UTC')::date=t.week_start)
+                                AS "totalSeconds"`;
+
+/** SQL/JS abstraction functions for weekly timesheets.
+ *
+ * A user submits the sessions of one week on one board, a PM on that board then
+ * approves or rejects it. Sessions are locked once submitted: until a PM rejects the timesheet,
+ * or reopens it after approving it.
+ */
+
+class Timesheet {
+    /** Submit a user's week of sessions on a board for approval
+     * { userId, boardId, weekStart } => { timesheet }
+     *      where timesheet is { id, userId, boardId, weekStart, status, submittedAt, reviewedBy,
+     *                           reviewedAt, reviewComment, sessionCount, totalSeconds }
+     * weekStart is the Monday of the week, YYYY-MM-DD. A rejected or reopened timesheet
+     * can be submitted again. Raises BadRequestError for a week that hasn't started,
+     * a week with a running session, or a timesheet already submitted or approved.
+     */
+    static async submit({ userId, boardId, weekStart }) {
+        if (new Date(`${weekStart}T00:00:00Z`).getUTCDay() !== 1) {
+            throw new BadRequestError("weekStart must be a Monday");
+        }
+        if (new Date(`${weekStart}T00:00:00Z`) > new Date()) {
+            throw new BadRequestError("cannot submit a week that hasn't started");
+        }
+
+        const runningCheck = await db.query(
+            `SELECT s.id
+             FROM sessions s
+             JOIN projects p ON s.project_id=p.id
+             WHERE s.user_id=$1
+                AND p.board_id=$2
+                AND date_trunc('week', s.start_datetime AT TIME ZONE 'UTC')::date=$3
+                AND s.end_datetime IS NULL`,
+            [userId, boardId, weekStart]
+        );
+        if (runningCheck.rows[0]) throw new BadRequestError("stop the running session before submitting the week");
+
+        const existingCheck = await db.query(
+            `SELECT id, status
+             FROM timesheets
+             WHERE user_id=$1 AND board_id=$2 AND week_start=$3`,
+            [userId, boardId, weekStart]
+        );
+        const existing = existingCheck.rows[0];
+        if (existing && ["submitted", "approved"].includes(existing.status)) {
+            throw new BadRequestError(`timesheet already ${existing.status}`);
+        }
+
+        const result = existing
+            ? await db.query(
+                `UPDATE timesheets
+                 SET status='submitted',
+                     submitted_at=CURRENT_TIMESTAMP,
+                     reviewed_by=NULL,
+                     reviewed_at=NULL,
+                     review_comment=NULL
+                 WHERE id=$1
+                 RETURNING id`,
+                [existing.id])
+            : await db.query(
+                `INSERT INTO timesheets (user_id, board_id, week_start)
+                 VALUES ($1, $2, $3)
+                 RETURNING id`,
+                [userId, boardId, weekStart]);
+        const timesheet = await Timesheet.get(result.rows[0].id);
+        await Activity.record({
+            actorId: userId, boardId: timesheet.boardId, entityType: "timesheet", entityId: timesheet.id,
+            action: "submit", after: { weekStart: timesheet.weekStart, status: timesheet.status }
+        });
+        return timesheet;
+    }
+
+    /** Get a timesheet with the sessions it covers
+     * { timesheetId } => { timesheet }
+     *      where timesheet is as in submit, plus sessions: [ { session }, ... ]
+     *      where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+     */
+    static async get(timesheetId) {
+        const result = await db.query(
+            `SELECT ${TIMESHEET_COLUMNS}
+             FROM timesheets t
+             WHERE t.id=$1`,
+            [timesheetId]
+        );
+        const timesheet = result.rows[0];
+        if (!timesheet) throw new NotFoundError("no timesheet found");
+
+        const sessionsRes = await db.query(
+            `SELECT s.id,
+                    s.project_id AS "projectId",
+                    s.user_id AS "userId",
+                    s.start_datetime AS "startDatetime",
+                    s.end_datetime AS "endDatetime",
+                    s.category_id AS "categoryId",
+                    s.task_id AS "taskId",
+                    s.comment
+             FROM sessions s
+             JOIN projects p ON s.project_id=p.id
+             WHERE s.user_id=$1
+                AND p.board_id=$2
+                AND date_trunc('week', s.start_datetime AT TIME ZONE 'UTC')::date=$3
+             ORDER BY s.start_datetime`,
+            [timesheet.userId, timesheet.boardId, timesheet.weekStart]
+        );
+        timesheet.sessions = sessionsRes.rows;
+        return timesheet;
+    }
+
+    /** Get who a timesheet belongs to
+     * { timesheetId } => { userId, boardId }
+     */
+    static async getUserAndBoard(timesheetId) {
+        const result = await db.query(
+            `SELECT user_id AS "userId", board_id AS "boardId"
+             FROM timesheets
+             WHERE id=$1`,
+            [timesheetId]
+        );
+        const timesheet = result.rows[0];
+        if (!timesheet) throw new NotFoundError("no timesheet found");
+        return timesheet;
+    }
+
+    /** Get the timesheets of a board, by default the ones waiting for review
+     * { boardId, status } => [ { timesheet }, ... ]
+     *      where timesheet is as in submit, plus { firstName, lastName, email }
+     */
+    static async getBoardTimesheets(boardId, status = "submitted") {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await db.query(
+            `SELECT ${TIMESHEET_COLUMNS},
+                    u.first_name AS "firstName",
+                    u.last_name AS "lastName",
+                    u.email
+             FROM timesheets t
+             JOIN users u ON t.user_id=u.id
+             WHERE t.board_id=$1 AND t.status=$2
+             ORDER BY t.week_start, u.last_name, u.first_name`,
+            [boardId, status]
+        );
+        return result.rows;
+    }
+
+    /** Get all timesheets of a user, newest week first
+     * { userId } => [ { timesheet }, ... ]
+     *      where timesheet is as in submit
+     */
+    static async getUserTimesheets(userId) {
+        const result = await db.query(
+            `SELECT ${TIMESHEET_COLUMNS}
+             FROM timesheets t
+             WHERE t.user_id=$1
+             ORDER BY t.week_start DESC, t.board_id`,
+            [userId]
+        );
+        return result.rows;
+    }
+
+    /** Approve, reject or reopen a timesheet
+     * { timesheetId, reviewerId, action, comment } => { timesheet }
+     * action is one of approve, reject (both from submitted) or reopen (from approved).
+     * Raises BadRequestError if the timesheet is not in the status the action requires
+     */
+    static async review(timesheetId, { reviewerId, action, comment = null }) {
+        const { from, to } = REVIEW_TRANSITIONS[action];
+        const result = await db.query(
+            `UPDATE timesheets
+             SET status=$1,
+                 reviewed_by=$2,
+                 reviewed_at=CURRENT_TIMESTAMP,
+                 review_comment=$3
+             WHERE id=$4 AND status=$5
+             RETURNING id`,
+            [to, reviewerId, comment, timesheetId, from]
+        );
+        if (!result.rows[0]) {
+            const current = await db.query(
+                `SELECT status
+                 FROM timesheets
+                 WHERE id=$1`,
+                [timesheetId]
+            );
+            if (!current.rows[0]) throw new NotFoundError("no timesheet found");
+            throw new BadRequestError(`cannot ${action} a timesheet that is ${current.rows[0].status}`);
+        }
+        const timesheet = await Timesheet.get(timesheetId);
+        await Activity.record({
+            actorId: reviewerId, boardId: timesheet.boardId, entityType: "timesheet", entityId: timesheet.id,
+            action, before: { status: from }, after: { status: timesheet.status }
+        });
+        return timesheet;
+    }
+
+    /** Raises ForbiddenError if the user's week on the project's board starting at datetime is submitted or approved
+     * { userId, projectId, datetime } => undefined
+     * Pass a transaction's client to check within it.
+     */
+    static async ensureUnlocked({ userId, projectId, datetime }, client = db) {
+        const result = await client.query(
+            `SELECT t.status
+             FROM timesheets t
+             JOIN projects p ON p.board_id=t.board_id
+             WHERE t.user_id=$1
+                AND p.id=$2
+                AND t.status IN ('submitted', 'approved')
+                AND t.week_start=date_trunc('week', $3::timestamptz AT TIME ZONE 'UTC')::date`,
+            [userId, projectId, datetime]
+        );
+        const timesheet = result.rows[0];
+        if (timesheet) {
+            const unlock = timesheet.status === "approved" ? "reopen" : "reject";
+            throw new ForbiddenError(`session is on a ${timesheet.status} timesheet, a PM must ${unlock} it first`);
+        }
+    }
+}
+
+module.exports = Timesheet;
@@ -12,7 +12,7 @@ class User {
     /** authenticate user from email and password.
      * 
      * Returns an instance of user (without password)
-     *  { id, email, firstName, lastName, isPm}
+     *  { id, email, firstName, lastName, isPm, isAdmin }
      * 
      * Raises UnauthorizedError if invalid.
      */
@@ -23,7 +23,8 @@ class User {
                     password,
                     first_name AS "firstName",
                     last_name AS "lastName",
-                    is_pm AS "isPm"
+                    is_pm AS "isPm",
+                    is_admin AS "isAdmin"
                 FROM users
                 WHERE email = $1`,
             [email],
@@ -43,13 +44,16 @@ class User {
     /** Register user. 
      *  
      * Returns an instance of user (without password)
-     *  { id, email, firstName, lastName, isPm}
+     *  { id, email, firstName, lastName, isPm, isAdmin }
+     * 
+     * New users are never PM or admin, see promoteToPm and makeAdmin.
      * 
      * Raises BadRequestError on duplicates
+     * Runs on client when given, see Invitation.register.
     */
     static async register(
-        { email, password, firstName, lastName, isPm }) {
-        const duplicate = await db.query(
+        { email, password, firstName, lastName }, client = db) {
+        const duplicate = await client.query(
             `SELECT email
              FROM users
              WHERE email = $1`,
@@ -57,21 +61,19 @@ class User {
         );
         if (duplicate.rows[0]) throw new BadRequestError("duplicate email");
         const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
-        const result = await db.query(
+        const result = await client.query(
             `INSERT INTO users
             (email,
              password,
              first_name,
-             last_name,
-             is_pm)
-            VALUES ($1, $2, $3, $4, $5)
-            RETURNING id, email, first_name AS "firstName", last_name AS "lastName", is_pm AS "isPm"`,
+             last_name)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, email, first_name AS "firstName", last_name AS "lastName", is_pm AS "isPm", is_admin AS "isAdmin"`,
             [
                 email,
                 hashedPassword,
                 firstName,
-                lastName,
-                isPm
+                lastName
             ]   
         );
         const user = result.rows[0];
@@ -81,7 +83,7 @@ class User {
     /** Fetch a user by their unique email
      * 
      * Returns an instance of user (without password)
-     *  email => { id, email, firstName, lastName, isPm}
+     *  email => { id, email, firstName, lastName, isPm, isAdmin }
      */
     static async getByEmail(email) {
         const result = await db.query(
@@ -89,7 +91,8 @@ class User {
                     email,
                     first_name AS "firstName",
                     last_name AS "lastName",
-                    is_pm AS "isPm"
+                    is_pm AS "isPm",
+                    is_admin AS "isAdmin"
                 FROM users
                 WHERE email = $1`,
             [email],
@@ -132,7 +135,7 @@ class User {
 
     /** Fetch user by ID
      * { userId } => { user }
-     *      Where user is { id, email, firstName, lastName, isPm }
+     *      Where user is { id, email, firstName, lastName, isPm, isAdmin }
      */
     static async getById(userId) {
         const result = await db.query(
@@ -140,7 +143,8 @@ class User {
                     email,
                     first_name AS "firstName",
                     last_name AS "lastName",
-                    is_pm AS "isPm"
+                    is_pm AS "isPm",
+                    is_admin AS "isAdmin"
                 FROM users
                 WHERE id = $1`,
             [userId],
@@ -150,16 +154,35 @@ class User {
         return user;
     }
 
+    /** Fetch the current token version for a user
+     * { userId } => tokenVersion
+     * Tokens signed with an older version are no longer accepted.
+     */
+    static async getTokenVersion(userId) {
+        const result = await db.query(
+            `SELECT token_version AS "tokenVersion"
+             FROM users
+             WHERE id = $1`,
+            [userId],
+        );
+        const user = result.rows[0];
+        if (!user) throw new NotFoundError("no user found");
+        return user.tokenVersion;
+    }
+
     /** Update user (self) with data 
      * { fieldsToUpdate } => { updatedUser }
      * Allows for partial update, only changes provided fields
      * 
      * Data can include any of { email, firstName, lastName, password }
      * 
+     * Changing the password invalidates previously issued tokens.
+     * 
      * WARNING: This function can change password
      * Ensure calling function validates authorization.
     */
     static async updateByUser(userId, data) {
+        const revokeTokens = data.password !== undefined;
         if (data.password) {
             data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
         }
@@ -172,14 +195,16 @@ class User {
             jsToSql
         );
         const idSqlIndex = "$" + (values.length + 1);
+        const tokenVersionCol = revokeTokens ? ", token_version=token_version + 1" : "";
         const query = `UPDATE users 
-                       SET ${sqlSetCols} 
+                       SET ${sqlSetCols}${tokenVersionCol} 
                        WHERE id = ${idSqlIndex} 
                        RETURNING id,
                                  email,
                                  first_name AS "firstName",
                                  last_name AS "lastName",
-                                 is_pm AS "isPm"`;
+                                 is_pm AS "isPm",
+                                 is_admin AS "isAdmin"`;
         const result = await db.query(query, [...values, userId]);
         const user = result.rows[0];
 
@@ -191,6 +216,7 @@ class User {
     /** Update user PM status
      * { userId } => { updatedUser }
      * Promotes user to PM, throws BadRequestError if already PM
+     * Invalidates previously issued tokens so the new status is picked up on refresh.
      * 
      * WARNING: This function can change PM status
      * Ensure calling function validates authorization.
@@ -207,17 +233,44 @@ class User {
         if (preUpdateUser.isPm) throw new BadRequestError("user already PM");
         const result = await db.query(
             `UPDATE users
-             SET is_pm=TRUE
+             SET is_pm=TRUE, token_version=token_version + 1
              WHERE id=$1
              RETURNING id,
                        email,
                        first_name AS "firstName",
                        last_name AS "lastName",
-                       is_pm AS "isPm"`,
+                       is_pm AS "isPm",
+                       is_admin AS "isAdmin"`,
             [userId]
         );
         const user = result.rows[0];
         return user;
     }
+
+    /** Make user an administrator, admins are also PMs
+     * { userId } => { updatedUser }
+     * Used to bootstrap the first administrator, see scripts/createAdmin.js
+     * Invalidates previously issued tokens.
+     * 
+     * WARNING: This function can grant admin status
+     * Ensure calling function validates authorization.
+     */
+    static async makeAdmin(userId) {
+        const result = await db.query(
+            `UPDATE users
+             SET is_admin=TRUE, is_pm=TRUE, token_version=token_version + 1
+             WHERE id=$1
+             RETURNING id,
+                       email,
+                       first_name AS "firstName",
+                       last_name AS "lastName",
+                       is_pm AS "isPm",
+                       is_admin AS "isAdmin"`,
+            [userId]
+        );
+        const user = result.rows[0];
+        if (!user) throw new NotFoundError("no user found");
+        return user;
+    }
 }
 module.exports = User;
\ No newline at end of file
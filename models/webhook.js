@@ -0,0 +1,369 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPartialUpdate, sqlForListQuery } = require("../helpers/sql");
+const { createWebhookSecret, backoffDelay, resolveWebhookUrl, postWebhook } = require("../helpers/webhooks");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Activity = require("./activity");
+
+/** Events a webhook can subscribe to */
+const EVENT_TYPES = [
+    "project.created",
+    "project.stage_changed",
+    "session.started",
+    "session.stopped",
+    "user.added",
+    "user.removed"
+];
+
+/** Attempts made before a delivery is marked failed */
+const MAX_ATTEMPTS = 6;
+
+/** Seconds a delivery is held by the attempt sending it, so the retry loop doesn't send it twice */
+const ATTEMPT_LEASE = 60;
+
+/** Columns returned for a webhook, the secret is only returned on create */
+const WEBHOOK_COLUMNS = `id,
+                         board_id AS "boardId",
+                         url,
+                         event_types AS "eventTypes",
+                         is_active AS "isActive",
+                         created_at AS "createdAt"`;
+
+/** Columns returned for a delivery */
+const DELIVERY_COLUMNS = `d.id,
+                          d.webhook_id AS "webhookId",
+                          d.event_type AS "eventType",
+                          d.payload,
+                          d.status,
+                          d.attempts,
+                          d.next_attempt_at AS "nextAttemptAt",
+                          d.last_status_code AS "lastStatusCode",
+                          d.last_error AS "lastError",
+                          d.replay_of AS "replayOf",
+                          d.created_at AS "createdAt",
+                          d.delivered_at AS "deliveredAt"`;
+
+/** Filters and sort keys accepted when listing deliveries, see sqlForListQuery */
+const DELIVERY_LIST_OPTIONS = {
+    filters: {
+        status: { column: "d.status" },
+        eventType: { column: "d.event_type" }
+    },
+    sortKeys: {
+        createdAt: "d.created_at"
+    },
+    defaultSort: "createdAt",
+    defaultOrder: "desc",
+    idColumn: "d.id"
+};
+
+/** SQL/JS abstraction functions for a board's outgoing webhooks.
+ *
+ * Models call dispatch after their changes; each matching webhook gets a delivery,
+ * sent right away and retried with backoff by processDue until it succeeds
+ * or MAX_ATTEMPTS is reached.
+ */
+
+class Webhook {
+    /** Register a webhook on a board
+     * { boardId, { url, eventTypes, secret }, actorId } => { id, boardId, url, eventTypes, isActive, createdAt, secret }
+     * A secret is generated when none is given, this is the only time it is returned.
+     * Raises BadRequestError if the url's host isn't a public address, see helpers/webhooks.
+     */
+    static async create(boardId, { url, eventTypes, secret = createWebhookSecret() }, actorId = null) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+        await Webhook._ensureCallable(url);
+
+        const result = await db.query(
+            `INSERT INTO webhooks (board_id, url, secret, event_types)
+             VALUES ($1, $2, $3, $4)
+             RETURNING ${WEBHOOK_COLUMNS}`,
+            [boardId, url, secret, eventTypes]
+        );
+        const webhook = result.rows[0];
+        // the secret stays out of the log
+        await Activity.record({
+            actorId, boardId: webhook.boardId, entityType: "webhook", entityId: webhook.id, action: "create",
+            after: webhook
+        });
+        return { ...webhook, secret };
+    }
+
+    /** Get a board's webhooks
+     * { boardId } => [ { id, boardId, url, eventTypes, isActive, createdAt }, ... ]
+     */
+    static async getBoardWebhooks(boardId) {
+        // ensure board exists
+        const boardCheck = await db.query(
+            `SELECT id
+             FROM boards
+             WHERE id=$1`,
+            [boardId]
+        );
+        const board = boardCheck.rows[0];
+        if (!board) throw new NotFoundError("no board found");
+
+        const result = await db.query(
+            `SELECT ${WEBHOOK_COLUMNS}
+             FROM webhooks
+             WHERE board_id=$1
+             ORDER BY id`,
+            [boardId]
+        );
+        return result.rows;
+    }
+
+    /** Get a board's webhook by ID
+     * { webhookId, boardId } => { id, boardId, url, eventTypes, isActive, createdAt }
+     */
+    static async get(webhookId, boardId) {
+        const result = await db.query(
+            `SELECT ${WEBHOOK_COLUMNS}
+             FROM webhooks
+             WHERE id=$1 AND board_id=$2`,
+            [webhookId, boardId]
+        );
+        const webhook = result.rows[0];
+        if (!webhook) throw new NotFoundError("no webhook found");
+        return webhook;
+    }
+
+    /** Update a board's webhook, data can include { url, eventTypes, isActive }
+     * { webhookId, boardId, data, actorId } => { id, boardId, url, eventTypes, isActive, createdAt }
+     * Raises BadRequestError if a new url's host isn't a public address.
+     */
+    static async update(webhookId, boardId, data, actorId = null) {
+        const before = await Webhook.get(webhookId, boardId);
+        if (data.url !== undefined) await Webhook._ensureCallable(data.url);
+        const { sqlSetCols, values } = sqlForPartialUpdate(
+            data,
+            { eventTypes: "event_types", isActive: "is_active" }
+        );
+        const idSqlIndex = "$" + (values.length + 1);
+        const boardIdSqlIndex = "$" + (values.length + 2);
+        const query = `UPDATE webhooks
+                       SET ${sqlSetCols}
+                       WHERE id=${idSqlIndex} AND board_id=${boardIdSqlIndex}
+                       RETURNING ${WEBHOOK_COLUMNS}`;
+        const result = await db.query(query, [...values, webhookId, boardId]);
+        const webhook = result.rows[0];
+        if (!webhook) throw new NotFoundError("no webhook found");
+        await Activity.record({
+            actorId, boardId: webhook.boardId, entityType: "webhook", entityId: webhook.id, action: "update",
+            before, after: webhook
+        });
+        return webhook;
+    }
+
+    /** Delete a board's webhook along with its delivery log
+     * { webhookId, boardId, actorId } => { id, boardId, url, eventTypes, isActive, createdAt }
+     */
+    static async remove(webhookId, boardId, actorId = null) {
+        const result = await db.query(
+            `DELETE FROM webhooks
+             WHERE id=$1 AND board_id=$2
+             RETURNING ${WEBHOOK_COLUMNS}`,
+            [webhookId, boardId]
+        );
+        const webhook = result.rows[0];
+        if (!webhook) throw new NotFoundError("no webhook found");
+        await Activity.record({
+            actorId, boardId: webhook.boardId, entityType: "webhook", entityId: webhook.id, action: "delete",
+            before: webhook
+        });
+        return webhook;
+    }
+
+    /** Get a page of a webhook's deliveries, newest first
+     * { webhookId, boardId, query } => { deliveries: [ { delivery }, ... ], total, limit, offset }
+     *      where delivery is { id, webhookId, eventType, payload, status, attempts, nextAttemptAt,
+     *                          lastStatusCode, lastError, replayOf, createdAt, deliveredAt }
+     * query can include { status, eventType, limit, offset }
+     */
+    static async getDeliveries(webhookId, boardId, query = {}) {
+        await Webhook.get(webhookId, boardId);
+
+        const { whereClauses, values, orderBy, limit, offset } = sqlForListQuery(
+            query,
+            { ...DELIVERY_LIST_OPTIONS, startIdx: 1 }
+        );
+        const where = ["d.webhook_id=$1", ...whereClauses].join(" AND ");
+        const countResult = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM webhook_deliveries d
+             WHERE ${where}`,
+            [webhookId, ...values]
+        );
+        const result = await db.query(
+            `SELECT ${DELIVERY_COLUMNS}
+             FROM webhook_deliveries d
+             WHERE ${where}
+             ORDER BY ${orderBy}
+             LIMIT ${limit} OFFSET ${offset}`,
+            [webhookId, ...values]
+        );
+        return { deliveries: result.rows, total: countResult.rows[0].total, limit, offset };
+    }
+
+    /** Send a logged delivery again, as a new delivery with the same payload
+     * { deliveryId, webhookId, boardId } => { delivery }, see getDeliveries
+     * The new delivery is attempted right away and retried like any other.
+     */
+    static async replay(deliveryId, webhookId, boardId) {
+        await Webhook.get(webhookId, boardId);
+
+        const result = await db.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at, replay_of)
+             SELECT webhook_id, event_type, payload, CURRENT_TIMESTAMP, id
+             FROM webhook_deliveries
+             WHERE id=$1 AND webhook_id=$2
+             RETURNING id`,
+            [deliveryId, webhookId]
+        );
+        const replayed = result.rows[0];
+        if (!replayed) throw new NotFoundError("no delivery found");
+
+        await Webhook._attempt(replayed.id);
+        return Webhook._getDelivery(replayed.id);
+    }
+
+    /** Queue an event for the active webhooks subscribed to it, and start sending
+     * { eventType, { boardId, projectId }, data } => [ deliveryId, ... ]
+     * The board is looked up from projectId when boardId isn't known.
+     * Never throws: a failure here must not undo the change the event describes.
+     */
+    static async dispatch(eventType, { boardId, projectId }, data) {
+        try {
+            if (!boardId) {
+                const projRes = await db.query(
+                    `SELECT board_id AS "boardId"
+                     FROM projects
+                     WHERE id=$1`,
+                    [projectId]
+                );
+                if (!projRes.rows[0]) return [];
+                boardId = projRes.rows[0].boardId;
+            }
+            const payload = {
+                event: eventType,
+                boardId,
+                occurredAt: new Date().toISOString(),
+                data
+            };
+            const result = await db.query(
+                `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at)
+                 SELECT id, $2, $3, CURRENT_TIMESTAMP
+                 FROM webhooks
+                 WHERE board_id=$1 AND is_active AND $2 = ANY(event_types)
+                 RETURNING id`,
+                [boardId, eventType, JSON.stringify(payload)]
+            );
+            const deliveryIds = result.rows.map(r => r.id);
+            // send after the caller's change is done, retries are left to processDue
+            setImmediate(() => {
+                for (const id of deliveryIds) Webhook._attempt(id).catch(Webhook._logError);
+            });
+            return deliveryIds;
+        } catch (err) {
+            Webhook._logError(err);
+            return [];
+        }
+    }
+
+    /** Attempt every pending delivery whose retry is due
+     * => number of deliveries attempted
+     * Called on an interval by the server, at most 50 deliveries per call.
+     */
+    static async processDue() {
+        const result = await db.query(
+            `SELECT id
+             FROM webhook_deliveries
+             WHERE status='pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+             ORDER BY next_attempt_at
+             LIMIT 50`
+        );
+        for (const { id } of result.rows) await Webhook._attempt(id);
+        return result.rows.length;
+    }
+
+    /** Send a pending delivery once and log the outcome.
+     * Skipped when the delivery is no longer due, ex: already being sent.
+     */
+    static async _attempt(deliveryId) {
+        // hold the delivery while the call is in flight
+        const claim = await db.query(
+            `UPDATE webhook_deliveries AS d
+             SET next_attempt_at=CURRENT_TIMESTAMP + make_interval(secs => $2)
+             FROM webhooks AS w
+             WHERE d.id=$1 AND d.webhook_id=w.id
+                AND d.status='pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+             RETURNING d.id, d.event_type AS "eventType", d.payload, d.attempts, w.url, w.secret`,
+            [deliveryId, ATTEMPT_LEASE]
+        );
+        const delivery = claim.rows[0];
+        if (!delivery) return;
+
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const { ok, statusCode, error } = await postWebhook({
+            url: delivery.url,
+            secret: delivery.secret,
+            deliveryId: delivery.id,
+            eventType: delivery.eventType,
+            body
+        });
+
+        const attempts = delivery.attempts + 1;
+        const status = ok ? "succeeded" : attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+        const retryIn = status === "pending" ? backoffDelay(attempts) / 1000 : null;
+        await db.query(
+            `UPDATE webhook_deliveries
+             SET status=$2,
+                 attempts=$3,
+                 last_status_code=$4,
+                 last_error=$5,
+                 next_attempt_at=CASE WHEN $6::float IS NULL THEN NULL
+                                      ELSE CURRENT_TIMESTAMP + make_interval(secs => $6::float) END,
+                 delivered_at=CASE WHEN $2='succeeded' THEN CURRENT_TIMESTAMP END
+             WHERE id=$1`,
+            [delivery.id, status, attempts, statusCode, error, retryIn]
+        );
+    }
+
+    /** Raises BadRequestError unless deliveries could be sent to url.
+     * Deliveries check again on every call, the host may resolve differently by then.
+     */
+    static async _ensureCallable(url) {
+        const { error } = await resolveWebhookUrl(url);
+        if (error) throw new BadRequestError(`webhook url not allowed: ${error}`);
+    }
+
+    /** Get a delivery by ID, see getDeliveries */
+    static async _getDelivery(deliveryId) {
+        const result = await db.query(
+            `SELECT ${DELIVERY_COLUMNS}
+             FROM webhook_deliveries d
+             WHERE d.id=$1`,
+            [deliveryId]
+        );
+        return result.rows[0];
+    }
+
+    /** Log a failure to queue or send a delivery, these never reach a response */
+    static _logError(err) {
+        if (process.env.NODE_ENV !== "test") console.error(err.stack);
+    }
+}
+
+Webhook.EVENT_TYPES = EVENT_TYPES;
+Webhook.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = Webhook;
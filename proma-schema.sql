@@ -5,12 +5,16 @@ CREATE TABLE users (
     first_name TEXT NOT NULL,
     last_name TEXT NOT NULL,
     password TEXT NOT NULL,
-    is_pm BOOLEAN NOT NULL DEFAULT FALSE
+    is_pm BOOLEAN NOT NULL DEFAULT FALSE,
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+    -- bumped to invalidate previously issued tokens
+    token_version INTEGER NOT NULL DEFAULT 0
 );
 
 CREATE TABLE boards (
     id SERIAL PRIMARY KEY,
-    title VARCHAR(35) NOT NULL
+    title VARCHAR(35) NOT NULL,
+    archived_at TIMESTAMPTZ
 );
 
 CREATE TABLE boards_users (
@@ -18,16 +22,39 @@ CREATE TABLE boards_users (
         REFERENCES boards ON DELETE CASCADE,
     user_id INTEGER NOT NULL
         REFERENCES users ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'pm', 'member', 'viewer')),
+    -- default rate of the user's time on the board, see categories and projects for overrides
+    hourly_rate NUMERIC(10,2) CHECK (hourly_rate >= 0),
     PRIMARY KEY (board_id, user_id)
 );
 
+-- kanban columns of a board, projects sit in one of them by name
+CREATE TABLE board_stages (
+    id SERIAL PRIMARY KEY,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    name VARCHAR(35) NOT NULL,
+    position INTEGER NOT NULL,
+    is_done BOOLEAN NOT NULL DEFAULT FALSE,
+    UNIQUE (board_id, name)
+);
+
 CREATE TABLE projects (
     id SERIAL PRIMARY KEY,
     name VARCHAR(35) NOT NULL,
     priority INTEGER NOT NULL CHECK (priority BETWEEN 1 AND 5),
-    stage TEXT NOT NULL DEFAULT 'pending' CHECK (stage IN ('pending', 'in_progress', 'complete')),
+    stage VARCHAR(35) NOT NULL,
+    -- order of the project within its stage on the board
+    position INTEGER NOT NULL DEFAULT 0,
     board_id INTEGER NOT NULL 
-        REFERENCES boards ON DELETE CASCADE
+        REFERENCES boards ON DELETE CASCADE,
+    archived_at TIMESTAMPTZ,
+    estimated_hours NUMERIC(8,2) CHECK (estimated_hours >= 0),
+    budget_hours NUMERIC(8,2) CHECK (budget_hours >= 0),
+    hourly_rate NUMERIC(10,2) CHECK (hourly_rate >= 0),
+    FOREIGN KEY (board_id, stage)
+        REFERENCES board_stages (board_id, name) ON UPDATE CASCADE
 );
 
 CREATE TABLE projects_users (
@@ -38,24 +65,46 @@ CREATE TABLE projects_users (
     PRIMARY KEY (project_id, user_id)
 );
 
+CREATE TABLE tasks (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    title VARCHAR(100) NOT NULL,
+    description TEXT,
+    assignee_id INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    due_date DATE,
+    status TEXT NOT NULL DEFAULT 'todo' CHECK (status IN ('todo', 'in_progress', 'done')),
+    position INTEGER NOT NULL DEFAULT 0
+);
+
+-- global categories have no board, a board's own sit alongside them
 CREATE TABLE categories (
     id SERIAL PRIMARY KEY,
-    name TEXT NOT NULL UNIQUE
+    board_id INTEGER
+        REFERENCES boards ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    billable BOOLEAN NOT NULL DEFAULT TRUE,
+    hourly_rate NUMERIC(10,2) CHECK (hourly_rate >= 0),
+    archived_at TIMESTAMPTZ
 );
 
-INSERT INTO categories (name) VALUES
-    ('internal_meeting'),
-    ('external_meeting'),
-    ('data_entry'),
-    ('pulling_data'),
-    ('research'),
-    ('outreach'),
-    ('preparation'),
-    ('development'),
-    ('review'),
-    ('analytics'),
-    ('other'),
-    ('available');
+CREATE UNIQUE INDEX categories_board_name
+    ON categories (COALESCE(board_id, 0), lower(name));
+
+INSERT INTO categories (name, billable) VALUES
+    ('internal_meeting', FALSE),
+    ('external_meeting', TRUE),
+    ('data_entry', TRUE),
+    ('pulling_data', TRUE),
+    ('research', TRUE),
+    ('outreach', TRUE),
+    ('preparation', TRUE),
+    ('development', TRUE),
+    ('review', TRUE),
+    ('analytics', TRUE),
+    ('other', TRUE),
+    ('available', FALSE);
 
 CREATE TABLE sessions (
     id SERIAL PRIMARY KEY,
@@ -67,6 +116,225 @@ CREATE TABLE sessions (
     end_datetime TIMESTAMPTZ,
     category_id INTEGER NOT NULL
         REFERENCES categories(id),
+    task_id INTEGER
+        REFERENCES tasks ON DELETE SET NULL,
     comment TEXT,
     CHECK (end_datetime IS NULL OR start_datetime <= end_datetime)
-);
\ No newline at end of file
+);
+
+-- a user can only have one running (open-ended) session at a time
+CREATE UNIQUE INDEX sessions_one_active_per_user
+    ON sessions (user_id)
+    WHERE end_datetime IS NULL;
+
+-- IDs of tokens revoked before their expiry (logout, refresh rotation)
+CREATE TABLE revoked_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE board_invitations (
+    id SERIAL PRIMARY KEY,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    email TEXT NOT NULL
+        CHECK (position('@' IN email) > 1),
+    role TEXT NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'pm', 'member', 'viewer')),
+    invited_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_at TIMESTAMPTZ,
+    accepted_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    revoked_at TIMESTAMPTZ
+);
+
+-- blocks of a user's time planned on a project ahead of time
+CREATE TABLE planned_sessions (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    start_datetime TIMESTAMPTZ NOT NULL,
+    end_datetime TIMESTAMPTZ NOT NULL,
+    category_id INTEGER
+        REFERENCES categories ON DELETE SET NULL,
+    comment TEXT,
+    created_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    CHECK (start_datetime < end_datetime)
+);
+
+CREATE INDEX planned_sessions_user_time
+    ON planned_sessions (user_id, start_datetime);
+
+-- a user's week of sessions on a board, submitted for PM approval
+CREATE TABLE timesheets (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    -- Monday of the ISO week, sessions belong to the week they start in (UTC)
+    week_start DATE NOT NULL CHECK (EXTRACT(ISODOW FROM week_start) = 1),
+    status TEXT NOT NULL DEFAULT 'submitted'
+        CHECK (status IN ('submitted', 'approved', 'rejected', 'reopened')),
+    submitted_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_comment TEXT,
+    UNIQUE (user_id, board_id, week_start)
+);
+
+-- URLs called when subscribed events happen on a board
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    board_id INTEGER NOT NULL
+        REFERENCES boards ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    -- HMAC-SHA256 key for the X-Proma-Signature header
+    secret TEXT NOT NULL,
+    event_types TEXT[] NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- one call of a webhook for one event, retried with backoff until it succeeds or fails for good
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL
+        REFERENCES webhooks ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    last_status_code INTEGER,
+    last_error TEXT,
+    -- delivery this one re-sends, when replayed from the log
+    replay_of INTEGER
+        REFERENCES webhook_deliveries ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+CREATE INDEX webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+
+-- one change a user is told about, read once read_at is set
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    actor_id INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    board_id INTEGER
+        REFERENCES boards ON DELETE CASCADE,
+    project_id INTEGER
+        REFERENCES projects ON DELETE CASCADE,
+    entity_id INTEGER,
+    data JSONB,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX notifications_user ON notifications (user_id, created_at);
+CREATE INDEX notifications_unread ON notifications (user_id) WHERE read_at IS NULL;
+
+-- event types are on unless a row turns them off
+CREATE TABLE notification_preferences (
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    enabled BOOLEAN NOT NULL,
+    PRIMARY KEY (user_id, event_type)
+);
+
+-- a comment on a project, replies point at the top-level comment of their thread
+CREATE TABLE project_comments (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    parent_id INTEGER
+        REFERENCES project_comments ON DELETE CASCADE,
+    author_id INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ,
+    -- deleted comments stay in their thread with the body hidden
+    deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX project_comments_project ON project_comments (project_id, created_at);
+
+-- the body a comment had before each edit
+CREATE TABLE project_comment_edits (
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL
+        REFERENCES project_comments ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    edited_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    edited_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- board members mentioned in the current body of a comment
+CREATE TABLE project_comment_mentions (
+    comment_id INTEGER NOT NULL
+        REFERENCES project_comments ON DELETE CASCADE,
+    user_id INTEGER NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+-- a file on a project, or on one of its sessions when session_id is set
+CREATE TABLE attachments (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL
+        REFERENCES projects ON DELETE CASCADE,
+    session_id INTEGER
+        REFERENCES sessions ON DELETE CASCADE,
+    uploaded_by INTEGER
+        REFERENCES users ON DELETE SET NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+    storage_key TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX attachments_project ON attachments (project_id, session_id);
+
+-- append-only audit trail, rows outlive the users, boards and projects they mention
+CREATE TABLE activity_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER,
+    board_id INTEGER NOT NULL,
+    project_id INTEGER,
+    entity_type TEXT NOT NULL,
+    entity_id INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX activity_log_board ON activity_log (board_id, created_at);
+CREATE INDEX activity_log_project ON activity_log (project_id, created_at);
+
+CREATE FUNCTION activity_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'activity_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER activity_log_no_changes
+    BEFORE UPDATE OR DELETE ON activity_log
+    FOR EACH ROW EXECUTE FUNCTION activity_log_append_only();
@@ -4,17 +4,23 @@
 
 const jsonschema = require("jsonschema");
 
+const jwt = require("jsonwebtoken");
 const User = require("../models/user");
+const RevokedToken = require("../models/revokedToken");
+const Invitation = require("../models/invitation");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const { SECRET_KEY, REGISTRATION_EMAIL_DOMAINS } = require("../config");
+const { createToken, createRefreshToken, verifyInvitationToken } = require("../helpers/tokens");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const { BadRequestError, UnauthorizedError, ForbiddenError } = require("../expressError");
 
-/** POST /auth/token: { username, password } => { JWT token }
+/** POST /auth/token: { username, password } => { token, refreshToken, user }
  * 
- * Returns a JWT token
+ * Returns a short-lived access JWT and a refresh JWT
 */
 
 router.post("/token", async function(req, res, next) {
@@ -26,16 +32,26 @@ router.post("/token", async function(req, res, next) {
         }
         const { email, password } = req.body;
         const user = await User.authenticate(email, password);
-        const token = createToken(user);
-        return res.json({ token, user });
+        const tokenVersion = await User.getTokenVersion(user.id);
+        const token = createToken(user, tokenVersion);
+        const refreshToken = createRefreshToken(user, tokenVersion);
+        return res.json({ token, refreshToken, user });
     } catch(err) {
         return next(err);
     }
 });
 
-/** POST /auth/register: { user } => { token, user } 
+/** POST /auth/register: { user } => { token, refreshToken, user } 
  * 
- * Returns JWT token
+ * Returns a short-lived access JWT and a refresh JWT
+ * 
+ * New users are never PMs, PM status is granted by an admin.
+ * When REGISTRATION_EMAIL_DOMAINS is set, only those email domains may register
+ * unless the user was invited.
+ * 
+ * With an invitationToken the email must match the invitation, the new
+ * user is added to the invited board and { boardUser } is also returned.
+ * No account is created if the invitation cannot be accepted.
 */
 
 router.post("/register", async function(req, res, next) {
@@ -45,9 +61,96 @@ router.post("/register", async function(req, res, next) {
             const errs = validator.errors.map(e => e.stack);
             throw new BadRequestError(errs);
         }
-        const newUser = await User.register({ ...req.body });
+        const { invitationToken, ...data } = req.body;
+        if (invitationToken) {
+            // the account and the board membership are created together
+            const { user: newUser, boardUser } = await Invitation.register(
+                verifyInvitationToken(invitationToken), data);
+            const token = createToken(newUser);
+            const refreshToken = createRefreshToken(newUser);
+            return res.status(201).json({ token, refreshToken, user: newUser, boardUser });
+        }
+        if (REGISTRATION_EMAIL_DOMAINS.length) {
+            const domain = data.email.split("@").pop().toLowerCase();
+            if (!REGISTRATION_EMAIL_DOMAINS.includes(domain)) {
+                throw new ForbiddenError("registration is not open for this email domain");
+            }
+        }
+        const newUser = await User.register(data);
         const token = createToken(newUser);
-        return res.status(201).json({ token, user: newUser  });
+        const refreshToken = createRefreshToken(newUser);
+        return res.status(201).json({ token, refreshToken, user: newUser  });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /auth/refresh: { refreshToken } => { token, refreshToken }
+ * 
+ * Exchanges a refresh token for a new access token and refresh token.
+ * The old refresh token is revoked, tokens issued before a password
+ * or PM status change are refused.
+*/
+
+router.post("/refresh", async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, authRefreshSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        let payload;
+        try {
+            payload = jwt.verify(req.body.refreshToken, SECRET_KEY);
+        } catch(err) {
+            throw new UnauthorizedError("invalid refresh token");
+        }
+        if (payload.type !== "refresh") throw new UnauthorizedError("invalid refresh token");
+        if (await RevokedToken.isRevoked(payload.jti)) throw new UnauthorizedError("refresh token revoked");
+        const tokenVersion = await User.getTokenVersion(payload.id);
+        if (payload.ver !== tokenVersion) throw new UnauthorizedError("refresh token revoked");
+
+        await RevokedToken.revoke(payload.jti, new Date(payload.exp * 1000));
+        const user = await User.getById(payload.id);
+        const token = createToken(user, tokenVersion);
+        const refreshToken = createRefreshToken(user, tokenVersion);
+        return res.json({ token, refreshToken });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /auth/logout: { refreshToken } => { loggedOut: true }
+ * 
+ * Revokes the access token sent in the Authorization header and,
+ * if given, the refresh token. At least one of them is required.
+*/
+
+router.post("/logout", async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, authLogoutSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const { refreshToken } = req.body;
+        if (!user && !refreshToken) throw new UnauthorizedError();
+
+        if (user && user.jti) {
+            await RevokedToken.revoke(user.jti, new Date(user.exp * 1000));
+        }
+        if (refreshToken) {
+            let payload;
+            try {
+                payload = jwt.verify(refreshToken, SECRET_KEY);
+            } catch(err) {
+                throw new UnauthorizedError("invalid refresh token");
+            }
+            if (payload.type !== "refresh") throw new UnauthorizedError("invalid refresh token");
+            await RevokedToken.revoke(payload.jti, new Date(payload.exp * 1000));
+        }
+        return res.json({ loggedOut: true });
     } catch(err) {
         return next(err);
     }
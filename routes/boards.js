@@ -5,28 +5,78 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureUserOnBoard, ensurePm, ensureLoggedIn } = require("../middleware/auth");
+const { ensureUserOnBoard, ensurePmOnBoard, ensurePm, ensureLoggedIn, isTokenCurrent } = require("../middleware/auth");
 const { BadRequestError, UnauthorizedError } = require("../expressError");
 const Board = require("../models/board");
 const Project = require("../models/project");
+const Session = require("../models/session");
+const Invitation = require("../models/invitation");
+const Stage = require("../models/stage");
+const Category = require("../models/category");
+const Activity = require("../models/activity");
+const Timesheet = require("../models/timesheet");
+const PlannedSession = require("../models/plannedSession");
+const Webhook = require("../models/webhook");
 const boardNewSchema = require("../schemas/boardNew.json");
 const boardUpdateSchema = require("../schemas/boardUpdate.json");
 const boardUserAddSchema = require("../schemas/boardUserAdd.json");
+const boardUserRoleSchema = require("../schemas/boardUserRole.json");
+const boardUserRateSchema = require("../schemas/boardUserRate.json");
+const boardInvitationNewSchema = require("../schemas/boardInvitationNew.json");
+const listArchivedSchema = require("../schemas/listArchived.json");
+const deleteConfirmSchema = require("../schemas/deleteConfirm.json");
+const projectListSchema = require("../schemas/projectList.json");
+const activityListSchema = require("../schemas/activityList.json");
+const timesheetNewSchema = require("../schemas/timesheetNew.json");
+const timesheetListSchema = require("../schemas/timesheetList.json");
+const boardCalendarSchema = require("../schemas/boardCalendar.json");
+const projectAtRiskSchema = require("../schemas/projectAtRisk.json");
 const boardProjectNewSchema = require("../schemas/boardProjectNew.json");
+const stageNewSchema = require("../schemas/stageNew.json");
+const stageUpdateSchema = require("../schemas/stageUpdate.json");
+const stageOrderSchema = require("../schemas/stageOrder.json");
+const stageDeleteSchema = require("../schemas/stageDelete.json");
+const boardCategoryNewSchema = require("../schemas/boardCategoryNew.json");
+const boardCategoryUpdateSchema = require("../schemas/boardCategoryUpdate.json");
+const sessionExportSchema = require("../schemas/sessionExport.json");
+const sessionImportSchema = require("../schemas/sessionImport.json");
+const sessionUpdateSchema = require("../schemas/sessionUpdate.json");
+const webhookNewSchema = require("../schemas/webhookNew.json");
+const webhookUpdateSchema = require("../schemas/webhookUpdate.json");
+const webhookDeliveryListSchema = require("../schemas/webhookDeliveryList.json");
+const { sendSessionExport } = require("../helpers/export");
+const { subscribe, activityToEvent } = require("../helpers/boardEvents");
+const { parseCsvRecords } = require("../helpers/csv");
+const { createInvitationToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { FRONTEND_URL } = require("../config");
 
 
 const router = express.Router();
 
-/** GET / => { boards: [ { id, title }, ... ]
+/** Raises UnauthorizedError unless the user owns the board */
+async function ensureOwner(userId, boardId) {
+    const role = await Board.getUserRole(userId, boardId);
+    if (role !== "owner") throw new UnauthorizedError();
+}
+
+/** GET / => { boards: [ { id, title, archivedAt, role }, ... ]
  * 
  * Returns list of all boards user is a part of.
+ * Archived boards are left out unless ?includeArchived=true
  * 
  * Authorization required: user.
 */
 router.get("/", ensureLoggedIn, async function(req, res, next) {
     try {
+        const validator = jsonschema.validate(req.query, listArchivedSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
         const { user } = res.locals;
-        const boards = await Board.findAllForUser(user.id);
+        const includeArchived = req.query.includeArchived === "true";
+        const boards = await Board.findAllForUser(user.id, includeArchived);
         return res.json({ boards });
     } catch(err) {
         return next(err);
@@ -34,7 +84,7 @@ router.get("/", ensureLoggedIn, async function(req, res, next) {
 });
 
 /** POST / { board } => { board } 
- * Creates a board and adds current user to board.
+ * Creates a board and adds current user to board as its owner.
  * Board must be { title }
  * Returns { id, title }
  * 
@@ -48,8 +98,8 @@ router.post("/", ensurePm, async function(req, res, next) {
             const errs = validator.errors.map(e => e.stack);
             throw new BadRequestError(errs);
         }
-        const board = await Board.create(req.body);
-        await Board.addUserToBoard({userId: user.id, boardId: board.id});
+        const board = await Board.create({ title: req.body.title, actorId: user.id });
+        await Board.addUserToBoard({ userId: user.id, boardId: board.id, role: "owner", actorId: user.id });
         return res.status(201).json({ board })
     } catch(err) {
         return next(err);
@@ -77,7 +127,7 @@ router.get("/:boardId", ensureLoggedIn, ensureUserOnBoard, async function(req, r
  * 
  * Authorization required: PM on board
 */
-router.patch("/:boardId", ensurePm, ensureUserOnBoard, async function(req, res, next) {
+router.patch("/:boardId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
     try {
         const validator = jsonschema.validate(req.body, boardUpdateSchema);
         if (!validator.valid) {
@@ -86,16 +136,69 @@ router.patch("/:boardId", ensurePm, ensureUserOnBoard, async function(req, res,
         }
         const { title } = req.body;
         const { boardId } = req.params;
-        const board = await Board.update({ boardId, title});
+        const board = await Board.update({ boardId, title, actorId: res.locals.user.id });
         return res.json({ board })
     } catch(err) {
         return next(err);
     }
 });
 
+/** POST /[boardId]/archive => { board }
+ * Archives the board, hiding it and its projects from default listings.
+ * Sessions are kept and still count in reports.
+ * Returns { id, title, archivedAt }
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/archive", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const board = await Board.archive(req.params.boardId, res.locals.user.id);
+        return res.json({ board });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/restore => { board }
+ * Restores an archived board.
+ * Returns { id, title, archivedAt }
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/restore", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const board = await Board.restore(req.params.boardId, res.locals.user.id);
+        return res.json({ board });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[boardId]?confirm=true => { deleted: id }
+ * Permanently deletes the board with all of its projects and their sessions.
+ * Without confirm=true responds 409 with a warning counting the projects
+ * and sessions that would be lost, nothing is deleted.
+ * 
+ * Authorization required: PM on board
+*/
+router.delete("/:boardId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, deleteConfirmSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId } = req.params;
+        await Board.remove(boardId, req.query.confirm === "true", res.locals.user.id);
+        return res.json({ deleted: +boardId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
 /** GET /[boardId]/users => { boardUsers }
  * Gets all users on a board.
- * Returns [ { id, email, firstName, lastName, isPm }, ... ]
+ * Returns [ { id, email, firstName, lastName, isPm, role }, ... ]
  * 
  * Authorization required: user on board
 */
@@ -109,13 +212,13 @@ router.get("/:boardId/users", ensureLoggedIn, ensureUserOnBoard, async function(
     }
 });
 
-/** POST /[boardId]/users { userId } => { newBoardUser }
- * Adds a user to the board.
- * Returns { id, email, firstName, lastName, isPm }
+/** POST /[boardId]/users { userId, role } => { newBoardUser }
+ * Adds a user to the board, role defaults to member.
+ * Returns { userId, boardId, role }
  * 
- * Authorization required: PM on board
+ * Authorization required: PM on board, owner to add an owner or PM
 */
-router.post("/:boardId/users", ensurePm, ensureUserOnBoard, async function(req, res, next) {
+router.post("/:boardId/users", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
     try {
         const validator = jsonschema.validate(req.body, boardUserAddSchema);
         if (!validator.valid) {
@@ -123,66 +226,790 @@ router.post("/:boardId/users", ensurePm, ensureUserOnBoard, async function(req,
             throw new BadRequestError(errs);
         }
         const { boardId } = req.params;
-        const { userId } = req.body;
-        const newBoardUser = await Board.addUserToBoard({userId, boardId});
+        const { userId, role } = req.body;
+        if (Board.PM_ROLES.includes(role)) await ensureOwner(res.locals.user.id, boardId);
+        const newBoardUser = await Board.addUserToBoard({ userId, boardId, role, actorId: res.locals.user.id });
         return res.status(201).json({ newBoardUser });
     } catch(err) {
         return next(err);
     }
 });
 
+/** PATCH /[boardId]/users/[userId] { role } => { boardUser }
+ * Changes a board member's role, the board always keeps at least one owner.
+ * Returns { userId, boardId, role }
+ * 
+ * Authorization required: PM on board, owner to grant or take away owner or PM
+*/
+router.patch("/:boardId/users/:userId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, boardUserRoleSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId, userId } = req.params;
+        const { role } = req.body;
+        const currentRole = await Board.getUserRole(userId, boardId);
+        if (Board.PM_ROLES.includes(role) || Board.PM_ROLES.includes(currentRole)) {
+            await ensureOwner(res.locals.user.id, boardId);
+        }
+        const boardUser = await Board.updateUserRole({ userId, boardId, role, actorId: res.locals.user.id });
+        return res.json({ boardUser });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/rates => { rates: [ { userId, firstName, lastName, role, hourlyRate }, ... ] }
+ * Gets the default hourly rate of every member of the board, null when not set.
+ * 
+ * Authorization required: PM on board
+*/
+router.get("/:boardId/rates", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const rates = await Board.getUserRates(req.params.boardId);
+        return res.json({ rates });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PUT /[boardId]/users/[userId]/rate { hourlyRate } => { boardUser }
+ * Sets a board member's default hourly rate for cost reports, null clears it.
+ * Returns { userId, boardId, hourlyRate }
+ * 
+ * Authorization required: PM on board
+*/
+router.put("/:boardId/users/:userId/rate", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, boardUserRateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId, userId } = req.params;
+        const boardUser = await Board.updateUserRate({
+            userId, boardId, hourlyRate: req.body.hourlyRate, actorId: res.locals.user.id
+        });
+        return res.json({ boardUser });
+    } catch(err) {
+        return next(err);
+    }
+});
+
 /** DELETE /[boardId]/users { userId } => { removed: id }
  * Removes a user from the board and returns { removed: id }
  * 
- * Authorization required: PM on board
+ * Authorization required: PM on board, owner to remove an owner or PM
 */
-router.delete("/:boardId/users", ensurePm, ensureUserOnBoard, async function(req, res, next) {
+router.delete("/:boardId/users", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
     try {
         const { boardId } = req.params;
         const { userId } = req.body;
-        await Board.removeUserFromBoard(userId, boardId);
+        const role = await Board.getUserRole(userId, boardId);
+        if (Board.PM_ROLES.includes(role)) await ensureOwner(res.locals.user.id, boardId);
+        await Board.removeUserFromBoard(userId, boardId, res.locals.user.id);
         return res.json({ removed: +userId })
     } catch(err) {
         return next(err);
     }
 });
 
-/** GET /[boardId]/projects => [ { project }, ... ] 
- *      where project is { id, name, priority, stage, boardId }
- * Returns a list of all projects on the board
+/** GET /[boardId]/invitations => { invitations }
+ * Lists all invitations to the board, newest first.
+ * Returns [ { id, boardId, email, role, invitedBy, createdAt, expiresAt, acceptedAt, acceptedBy, revokedAt, status }, ... ]
+ *      where status is one of pending, accepted, revoked, expired
+ * 
+ * Authorization required: PM on board
+*/
+router.get("/:boardId/invitations", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const { boardId } = req.params;
+        const invitations = await Invitation.getBoardInvitations(boardId);
+        return res.json({ invitations });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/invitations { email, role } => { invitation, token, mailed }
+ * Invites an email address to the board, role defaults to member.
+ * Emails a link with a signed single-use token, which is also returned.
+ * The token can be accepted at POST /invitations/accept or used to register at POST /auth/register.
+ * If the email could not be sent the invitation is kept and mailed is false,
+ * the token can then be shared another way.
+ * Returns { invitation: { id, boardId, email, role, invitedBy, createdAt, expiresAt, status }, token, mailed }
+ * 
+ * Authorization required: PM on board, owner to invite an owner or PM
+*/
+router.post("/:boardId/invitations", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, boardInvitationNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const { boardId } = req.params;
+        const { email, role } = req.body;
+        if (Board.PM_ROLES.includes(role)) await ensureOwner(user.id, boardId);
+
+        const board = await Board.get(boardId);
+        const invitation = await Invitation.create({ boardId, email, role, invitedBy: user.id });
+        const token = createInvitationToken(invitation);
+        // the invitation is saved, a mail failure must not fail the request
+        let mailed = true;
+        try {
+            await sendMail({
+                to: email,
+                subject: `You're invited to ${board.title} on proma`,
+                text: `${user.email} invited you to join the board "${board.title}".\n\n` +
+                      `Accept the invitation: ${FRONTEND_URL}/invitations/${token}\n\n` +
+                      `This invitation expires ${new Date(invitation.expiresAt).toUTCString()}.`
+            });
+        } catch(err) {
+            if (process.env.NODE_ENV !== "test") console.error(err.stack);
+            mailed = false;
+        }
+        return res.status(201).json({ invitation, token, mailed });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[boardId]/invitations/[invitationId] => { revoked: id }
+ * Revokes a pending invitation so its token can no longer be used.
+ * 
+ * Authorization required: PM on board
+*/
+router.delete("/:boardId/invitations/:invitationId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const { boardId, invitationId } = req.params;
+        await Invitation.revoke(invitationId, boardId, res.locals.user.id);
+        return res.json({ revoked: +invitationId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/activity => { activity: [ { entry }, ... ], total, limit, offset }
+ *      where entry is { id, actorId, actorFirstName, actorLastName, boardId, projectId,
+ *                       entityType, entityId, action, before, after, createdAt }
+ * Returns a page of the board's audit trail, newest first, covering the board, its members,
+ * invitations, stages, projects, tasks and sessions.
+ * Query can include { entityType, action, actorId, limit, offset }
+ * 
+ * Authorization required: user on board
+*/
+router.get("/:boardId/activity", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, activityListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const page = await Activity.getBoardActivity(req.params.boardId, req.query);
+        return res.json(page);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/events => Server-Sent Events stream
+ * Pushes changes to the board's projects, stages, tasks, members and sessions as they happen.
+ * Each event is named entityType.action, ex: project.move or session.create, with an
+ * activity entry as data (see GET /[boardId]/activity) and its ID as the event ID.
+ * A reconnecting client sending Last-Event-ID first gets the events it missed.
+ * Browsers can pass the access token as ?token= since EventSource can't set headers.
+ * The stream sends token_expired and closes when the token expires, and closes
+ * once the user is no longer on the board or the token is revoked, ex: on logout.
+ * 
+ * Authorization required: user on board
+*/
+router.get("/:boardId/events", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const { boardId } = req.params;
+        const { user } = res.locals;
+        const lastEventId = parseInt(req.get("Last-Event-ID"), 10);
+        const backlog = Number.isInteger(lastEventId)
+            ? (await Activity.getBoardEventsSince(boardId, lastEventId)).map(activityToEvent)
+            : [];
+        return subscribe(res, {
+            boardId,
+            userId: user.id,
+            canReceive: async () => await isTokenCurrent(user) && Board.isUserOnBoard(user.id, boardId),
+            expiresAt: user.exp ? user.exp * 1000 : undefined,
+            backlog
+        });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/stages => { stages: [ { stage }, ... ] }
+ *      where stage is { id, boardId, name, position, isDone, projectCount }
+ * Returns the board's kanban stages in order
+ * 
+ * Authorization required: user on board
+*/
+router.get("/:boardId/stages", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const stages = await Stage.getBoardStages(req.params.boardId);
+        return res.json({ stages });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/stages { name, isDone, position } => { stage }
+ *      where stage is { id, boardId, name, position, isDone }
+ * Adds a stage, last unless a position is given. isDone marks the stage as finished work.
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/stages", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, stageNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const stage = await Stage.create(req.params.boardId, req.body, res.locals.user.id);
+        return res.status(201).json({ stage });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PUT /[boardId]/stages/order { stageIds } => { stages: [ { stage }, ... ] }
+ * Reorders the board's stages, stageIds must list every stage exactly once.
+ * 
+ * Authorization required: PM on board
+*/
+router.put("/:boardId/stages/order", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, stageOrderSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId } = req.params;
+        const stages = await Stage.reorder(boardId, req.body.stageIds, res.locals.user.id);
+        return res.json({ stages });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[boardId]/stages/[stageId] { name, isDone } => { stage }
+ * Renames a stage or changes its done flag, projects in the stage follow a rename.
+ * 
+ * Authorization required: PM on board
+*/
+router.patch("/:boardId/stages/:stageId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, stageUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId, stageId } = req.params;
+        const stage = await Stage.update(stageId, boardId, req.body, res.locals.user.id);
+        return res.json({ stage });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[boardId]/stages/[stageId]?targetStageId=id => { deleted: id }
+ * Removes a stage. Projects still in it are moved to targetStageId,
+ * which is required when the stage has any projects.
+ * 
+ * Authorization required: PM on board
+*/
+router.delete("/:boardId/stages/:stageId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, stageDeleteSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId, stageId } = req.params;
+        await Stage.remove(stageId, boardId, req.query.targetStageId, res.locals.user.id);
+        return res.json({ deleted: +stageId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/categories => { categories: [ { category }, ... ] }
+ *      where category is { id, boardId, name, billable, hourlyRate, archivedAt }
+ * Returns the categories sessions on the board can use, the global ones (boardId null) first.
+ * hourlyRate is only included for PMs on the board.
+ * The board's archived categories are left out unless ?includeArchived=true
+ * 
+ * Authorization required: user on board
+*/
+router.get("/:boardId/categories", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, listArchivedSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const includeArchived = req.query.includeArchived === "true";
+        const { boardId } = req.params;
+        const categories = await Category.getBoardCategories(boardId, includeArchived);
+        if (!(await Board.isPmOnBoard(res.locals.user.id, boardId))) {
+            return res.json({ categories: categories.map(Category.withoutRate) });
+        }
+        return res.json({ categories });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/categories { name, billable, hourlyRate } => { category }
+ * Adds a category to the board, billable defaults to true.
+ * The name can't match a global category or another of the board's.
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/categories", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, boardCategoryNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId } = req.params;
+        const category = await Category.create(boardId, req.body, res.locals.user.id);
+        return res.status(201).json({ category });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[boardId]/categories/[categoryId] { name, billable, hourlyRate } => { category }
+ * Renames one of the board's categories or changes how it is billed.
+ * Global categories can't be changed here.
+ * 
+ * Authorization required: PM on board
+*/
+router.patch("/:boardId/categories/:categoryId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, boardCategoryUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId, categoryId } = req.params;
+        const category = await Category.update(categoryId, req.body, boardId, res.locals.user.id);
+        return res.json({ category });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/categories/[categoryId]/archive => { category }
+ * Archives one of the board's categories, new sessions can't use it
+ * but sessions already in it keep it.
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/categories/:categoryId/archive", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const { boardId, categoryId } = req.params;
+        const category = await Category.archive(categoryId, boardId, res.locals.user.id);
+        return res.json({ category });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/categories/[categoryId]/restore => { category }
+ * Restores an archived category of the board.
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/categories/:categoryId/restore", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const { boardId, categoryId } = req.params;
+        const category = await Category.restore(categoryId, boardId, res.locals.user.id);
+        return res.json({ category });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/webhooks => { webhooks: [ { webhook }, ... ] }
+ *      where webhook is { id, boardId, url, eventTypes, isActive, createdAt }
+ * Secrets are never listed, they are only returned when a webhook is created.
+ * 
+ * Authorization required: PM on board
+*/
+router.get("/:boardId/webhooks", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const webhooks = await Webhook.getBoardWebhooks(req.params.boardId);
+        return res.json({ webhooks });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/webhooks { url, eventTypes, secret } => { webhook }
+ *      where webhook is { id, boardId, url, eventTypes, isActive, createdAt, secret }
+ * Registers a URL to be called when any of eventTypes happens on the board:
+ * project.created, project.stage_changed, session.started, session.stopped, user.added, user.removed
+ * Calls are POSTed as JSON, signed with the secret in the X-Proma-Signature header,
+ * see helpers/webhooks. A secret is generated when none is given.
+ * The URL's host must resolve to public addresses, redirects are not followed.
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/webhooks", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, webhookNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId } = req.params;
+        const webhook = await Webhook.create(boardId, req.body, res.locals.user.id);
+        return res.status(201).json({ webhook });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[boardId]/webhooks/[webhookId] { url, eventTypes, isActive } => { webhook }
+ * Changes a webhook's URL or events, isActive false pauses it without losing its log.
+ * 
+ * Authorization required: PM on board
+*/
+router.patch("/:boardId/webhooks/:webhookId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, webhookUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId, webhookId } = req.params;
+        const webhook = await Webhook.update(webhookId, boardId, req.body, res.locals.user.id);
+        return res.json({ webhook });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[boardId]/webhooks/[webhookId] => { deleted: id }
+ * Deletes a webhook along with its delivery log.
+ * 
+ * Authorization required: PM on board
+*/
+router.delete("/:boardId/webhooks/:webhookId", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const { boardId, webhookId } = req.params;
+        await Webhook.remove(webhookId, boardId, res.locals.user.id);
+        return res.json({ deleted: +webhookId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/webhooks/[webhookId]/deliveries => { deliveries: [ { delivery }, ... ], total, limit, offset }
+ *      where delivery is { id, webhookId, eventType, payload, status, attempts, nextAttemptAt,
+ *                          lastStatusCode, lastError, replayOf, createdAt, deliveredAt }
+ * Returns a page of the webhook's delivery log, newest first.
+ * status is pending while attempts are left, then succeeded or failed.
+ * Query can include { status, eventType, limit, offset }
+ * 
+ * Authorization required: PM on board
+*/
+router.get("/:boardId/webhooks/:webhookId/deliveries", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, webhookDeliveryListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId, webhookId } = req.params;
+        const page = await Webhook.getDeliveries(webhookId, boardId, req.query);
+        return res.json(page);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/webhooks/[webhookId]/deliveries/[deliveryId]/replay => { delivery }
+ * Sends a logged delivery again as a new delivery, with replayOf set to the original.
+ * The first attempt is made before responding, later ones follow the usual retries.
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/webhooks/:webhookId/deliveries/:deliveryId/replay", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const { boardId, webhookId, deliveryId } = req.params;
+        const delivery = await Webhook.replay(deliveryId, webhookId, boardId);
+        return res.status(201).json({ delivery });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/projects => { boardProjects: [ { project }, ... ], total, limit, offset }
+ *      where project is { id, name, priority, stage, position, boardId, archivedAt, hourlyRate,
+ *                         estimatedHours, budgetHours, actualHours, remainingHours, percentBurned }
+ * Returns a page of projects on the board, hourlyRate is only included for PMs on the board
+ * Archived projects are left out unless ?includeArchived=true
+ * Query can include { stage, priority, includeArchived, sort, order, limit, offset }
  * 
  * Authorization required: user on board
 */
 router.get("/:boardId/projects", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
     try {
+        const validator = jsonschema.validate(req.query, projectListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
         const { boardId } = req.params;
-        const boardProjects = await Project.getBoardProjects(boardId);
-        return res.json({ boardProjects });
+        const includeArchived = req.query.includeArchived === "true";
+        const { projects, total, limit, offset } = await Project.getBoardProjects(boardId, includeArchived, req.query);
+        const isPm = await Board.isPmOnBoard(res.locals.user.id, boardId);
+        const boardProjects = isPm ? projects : projects.map(Project.withoutRate);
+        return res.json({ boardProjects, total, limit, offset });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/projects/at-risk => { projects: [ { project }, ... ] }
+ *      where project is as in GET /[boardId]/projects, plus status, "over" or "near"
+ * Returns the active projects that have passed their estimate or budget, or burned
+ * threshold percent of it, most burned first. Query can include { threshold }, default 90
+ *
+ * Authorization required: user on board
+*/
+router.get("/:boardId/projects/at-risk", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, projectAtRiskSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const threshold = req.query.threshold === undefined ? undefined : +req.query.threshold;
+        const { boardId } = req.params;
+        const projects = await Project.getBoardBurn(boardId, threshold);
+        if (!(await Board.isPmOnBoard(res.locals.user.id, boardId))) {
+            return res.json({ projects: projects.map(Project.withoutRate) });
+        }
+        return res.json({ projects });
     } catch(err) {
         return next(err);
     }
 });
 
 /** POST /[boardId]/projects { newProject } => { project } 
- *      where project is { id, name, priority, stage, boardId }
+ *      where project is { id, name, priority, stage, position, boardId, hourlyRate, estimatedHours,
+ *                         budgetHours, actualHours, remainingHours, percentBurned }
+ * newProject is { name, priority } with an optional stage, defaulting to the board's first stage,
+ * and optional estimatedHours, budgetHours and hourlyRate
  * Returns the newly created project
  * 
  * Authorization required: PM on board
 */
-router.post("/:boardId/projects", ensurePm, ensureUserOnBoard, async function(req, res, next) {
+router.post("/:boardId/projects", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
     try {
         const validator = jsonschema.validate(req.body, boardProjectNewSchema);
         if (!validator.valid) {
             const errs = validator.errors.map(e => e.stack);
             throw new BadRequestError(errs);
         }
-        const { name, priority } = req.body;
+        const { name, priority, stage, estimatedHours, budgetHours, hourlyRate } = req.body;
         const { boardId } = req.params;
-        const project = await Project.create({name, priority, boardId});
+        const project = await Project.create({
+            name, priority, boardId, stage, estimatedHours, budgetHours, hourlyRate, actorId: res.locals.user.id
+        });
         return res.status(201).json({ project });
     } catch(err) {
         return next(err);
     }
 });
 
+/** GET /[boardId]/sessions/export => CSV or iCalendar file
+ * Exports sessions on the board with user, project name, category name, comment, start/end and duration.
+ * Owners and PMs get every session on the board, other users only their own.
+ * Query can include { format, startDate, endDate }, format is csv (default) or ics
+ * 
+ * Authorization required: user on board
+*/
+router.get("/:boardId/sessions/export", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, sessionExportSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const { boardId } = req.params;
+        const { format, startDate, endDate } = req.query;
+        const userId = await Board.isPmOnBoard(user.id, boardId) ? undefined : user.id;
+        const sessions = await Session.getForExport({ userId, boardId, startDate, endDate });
+        return sendSessionExport(res, sessions, format, `sessions-board-${boardId}`);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/sessions/import { csv, dryRun } => { sessions }
+ * Imports historical sessions from CSV text with the header line
+ *      project,email,category,start,end,comment
+ * Projects are matched by name on the board, users by email among board members,
+ * categories by name. start/end are ISO date-times, comment is optional.
+ * 
+ * Every row is validated first, if any row fails a BadRequestError lists each
+ * error by row and nothing is written. Rows overlapping another session of the same
+ * user fail with a ConflictError listing each conflict by row.
+ * Otherwise all rows are inserted in one transaction.
+ * With dryRun: true every check runs but nothing is kept.
+ * 
+ * Returns { sessions: [ { session }, ... ] } or { dryRun: true, sessions: [ { session }, ... ] }
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:boardId/sessions/import", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, sessionImportSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { boardId } = req.params;
+        const { csv, dryRun } = req.body;
+        const { headers, records } = parseCsvRecords(csv);
+        const missing = ["project", "email", "category", "start", "end"].filter(h => !headers.includes(h));
+        if (missing.length) throw new BadRequestError(`missing CSV columns: ${missing.join(", ")}`);
+        if (!records.length) throw new BadRequestError("no rows to import");
+
+        // validate each row against the session update rules, header is row 1
+        const errors = [];
+        const rows = records.map((record, idx) => {
+            const row = idx + 2;
+            const data = { startDatetime: record.start, endDatetime: record.end };
+            if (record.comment) data.comment = record.comment;
+            const rowValidator = jsonschema.validate(data, sessionUpdateSchema);
+            if (!rowValidator.valid) {
+                errors.push(...rowValidator.errors.map(e => `row ${row}: ${e.stack}`));
+            } else if (new Date(data.startDatetime) > new Date(data.endDatetime)) {
+                errors.push(`row ${row}: start must not be after end`);
+            }
+            return { row, ...data, project: record.project, email: record.email, category: record.category };
+        });
+
+        const resolved = await Session.resolveImportRows(boardId, rows);
+        errors.push(...resolved.errors);
+        if (errors.length) {
+            const rowNumber = e => parseInt(e.slice("row ".length), 10);
+            throw new BadRequestError(errors.sort((a, b) => rowNumber(a) - rowNumber(b)));
+        }
+
+        const sessions = await Session.bulkCreate(resolved.sessions, { dryRun, actorId: res.locals.user.id });
+        if (dryRun) return res.json({ dryRun: true, sessions });
+        return res.status(201).json({ sessions });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/timesheets => { timesheets: [ { timesheet }, ... ] }
+ *      where timesheet is { id, userId, firstName, lastName, email, boardId, weekStart, status,
+ *                           submittedAt, reviewedBy, reviewedAt, reviewComment, sessionCount, totalSeconds }
+ * Lists the board's timesheets waiting for review, or those with ?status=approved|rejected|reopened
+ * 
+ * Authorization required: PM on board
+*/
+router.get("/:boardId/timesheets", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, timesheetListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const timesheets = await Timesheet.getBoardTimesheets(req.params.boardId, req.query.status);
+        return res.json({ timesheets });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[boardId]/timesheets { weekStart } => { timesheet }
+ *      where timesheet is { id, userId, boardId, weekStart, status, submittedAt, reviewedBy,
+ *                           reviewedAt, reviewComment, sessionCount, totalSeconds, sessions }
+ * Submits the logged in user's sessions on the board for the week starting weekStart (a Monday)
+ * for approval by a PM. The week's sessions are locked from then on, until a PM rejects it,
+ * or reopens it once approved. A rejected or reopened week can be submitted again.
+ * 
+ * Authorization required: user on board
+*/
+router.post("/:boardId/timesheets", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, timesheetNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const { boardId } = req.params;
+        const timesheet = await Timesheet.submit({ userId: user.id, boardId, weekStart: req.body.weekStart });
+        return res.status(201).json({ timesheet });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/calendar?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD => { members: [ { member }, ... ] }
+ *      Where member is { userId, firstName, lastName, role, planned, busyElsewhere, free, freeSeconds }
+ *      planned is [ { id, projectId, projectName, startDatetime, endDatetime, categoryId, comment }, ... ]
+ *      busyElsewhere is [ { startDatetime, endDatetime }, ... ] planned on other boards
+ *      free is [ { start, end }, ... ] working time not planned anywhere
+ * Shows each board member's planned and free time over the days from startDate to endDate,
+ * both included, at most 62 days. Working time is Monday to Friday between WORKDAY_START_HOUR
+ * and WORKDAY_END_HOUR, UTC.
+ * 
+ * Authorization required: user on board
+*/
+router.get("/:boardId/calendar", ensureLoggedIn, ensureUserOnBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, boardCalendarSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { startDate, endDate } = req.query;
+        const members = await PlannedSession.getBoardCalendar(req.params.boardId, { startDate, endDate });
+        return res.json({ members });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[boardId]/sessions/overlaps => { overlaps }
+ * Lists pairs of sessions by the same user whose times overlap, where both sessions are on the board.
+ * Returns [ { userId, firstSessionId, firstProjectId, firstStartDatetime, firstEndDatetime,
+ *             secondSessionId, secondProjectId, secondStartDatetime, secondEndDatetime }, ... ]
+ * 
+ * Authorization required: PM on board
+*/
+router.get("/:boardId/sessions/overlaps", ensureLoggedIn, ensurePmOnBoard, async function(req, res, next) {
+    try {
+        const { boardId } = req.params;
+        const overlaps = await Session.getBoardOverlaps(boardId);
+        return res.json({ overlaps });
+    } catch(err) {
+        return next(err);
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,45 @@
+"use strict";
+
+const request = require("supertest");
+const express = require("express");
+const boardRoutes = require("./boards");
+const Board = require("../models/board");
+const Session = require("../models/session");
+
+/** App with the board routes, logged in as a user on every board */
+const app = express();
+app.use(function(req, res, next) {
+    res.locals.user = { id: 7, email: "user@test.com" };
+    return next();
+});
+app.use("/boards", boardRoutes);
+app.use(function(err, req, res, next) {
+    return res.status(err.status || 500).json({ error: { message: err.message } });
+});
+
+afterEach(function() {
+    jest.restoreAllMocks();
+});
+
+describe("GET /boards/:boardId/sessions/export", function() {
+    beforeEach(function() {
+        jest.spyOn(Board, "isUserOnBoard").mockResolvedValue(true);
+        jest.spyOn(Session, "getForExport").mockResolvedValue([]);
+    });
+
+    test("works: PM exports every session on the board", async function() {
+        jest.spyOn(Board, "isPmOnBoard").mockResolvedValue(true);
+        const resp = await request(app).get("/boards/3/sessions/export");
+        expect(resp.statusCode).toEqual(200);
+        expect(Session.getForExport).toHaveBeenCalledWith(
+            { userId: undefined, boardId: "3", startDate: undefined, endDate: undefined });
+    });
+
+    test("works: other users export only their own sessions", async function() {
+        jest.spyOn(Board, "isPmOnBoard").mockResolvedValue(false);
+        const resp = await request(app).get("/boards/3/sessions/export?format=ics");
+        expect(resp.statusCode).toEqual(200);
+        expect(Session.getForExport).toHaveBeenCalledWith(
+            { userId: 7, boardId: "3", startDate: undefined, endDate: undefined });
+    });
+});
@@ -2,25 +2,54 @@
 
 /** User routes */
 
+const jsonschema = require("jsonschema");
+
 const express = require("express");
-const { ensureLoggedIn } = require("../middleware/auth");
+const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
 const Category = require("../models/category");
+const categoryUpdateSchema = require("../schemas/categoryUpdate.json");
 
 
 const router = express.Router();
 
 /** GET / => [ { category } ]
- *  Returns a list of all categories and IDs
+ *      Where category is { id, boardId, name, billable, hourlyRate, archivedAt }
+ *  Returns a list of the global categories and IDs, see GET /boards/[boardId]/categories
+ *  for the ones available on a board. hourlyRate is only included for PMs and admins.
  * 
  * Authorization required: user
 */
 router.get("/", ensureLoggedIn, async function(req, res, next) {
     try {
+        const { user } = res.locals;
         const categories = await Category.getAll();
+        if (!(user.isPm || user.isAdmin)) return res.json({ categories: categories.map(Category.withoutRate) });
         return res.json({ categories });
     } catch(err) {
         return next(err);
     }
 })
 
+/** PATCH /[categoryId] { billable, hourlyRate } => { category }
+ * Updates how time in a global category is billed, hourlyRate overrides the user's rate
+ * and null clears it.
+ * Returns { id, boardId, name, billable, hourlyRate, archivedAt }
+ * 
+ * Authorization required: admin
+*/
+router.patch("/:categoryId", ensureLoggedIn, ensureAdmin, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, categoryUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const category = await Category.update(req.params.categoryId, req.body);
+        return res.json({ category });
+    } catch(err) {
+        return next(err);
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+"use strict";
+
+/** Invitation routes */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
+const Invitation = require("../models/invitation");
+const { verifyInvitationToken } = require("../helpers/tokens");
+const invitationAcceptSchema = require("../schemas/invitationAccept.json");
+
+const router = express.Router();
+
+/** GET /[token] => { invitation }
+ *      Where invitation is { id, boardId, boardTitle, email, role, expiresAt }
+ * Returns details of a pending invitation so the invitee can decide to accept or register.
+ * 
+ * Authorization required: none, the token is the credential
+*/
+router.get("/:token", async function(req, res, next) {
+    try {
+        const invitationId = verifyInvitationToken(req.params.token);
+        const invitation = await Invitation.getPending(invitationId);
+        return res.json({ invitation });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /accept { token } => { boardUser }
+ *      Where boardUser is { userId, boardId, role }
+ * Accepts an invitation with an existing account, the account email must match the invitation.
+ * 
+ * Authorization required: user
+*/
+router.post("/accept", ensureLoggedIn, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, invitationAcceptSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const invitationId = verifyInvitationToken(req.body.token);
+        const boardUser = await Invitation.accept(invitationId, user.id);
+        return res.status(201).json({ boardUser });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+module.exports = router;
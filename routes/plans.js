@@ -0,0 +1,62 @@
+"use strict";
+
+/** Planned session routes */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { ensureLoggedIn, ensureUserOnPlanOrPm } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
+const PlannedSession = require("../models/plannedSession");
+const planUpdateSchema = require("../schemas/planUpdate.json");
+
+const router = express.Router();
+
+/** GET /[planId] => { plan }
+ *      Where plan is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+ * 
+ * Authorization required: planned user or PM on board
+*/
+router.get("/:planId", ensureLoggedIn, ensureUserOnPlanOrPm, async function(req, res, next) {
+    try {
+        const plan = await PlannedSession.getById(req.params.planId);
+        return res.json({ plan });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[planId] { fieldsToUpdate } => { plan }
+ * Fields can include { startDatetime, endDatetime, categoryId, comment }, null clears categoryId
+ * Returns { id, projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+ * 
+ * Authorization required: planned user or PM on board
+*/
+router.patch("/:planId", ensureLoggedIn, ensureUserOnPlanOrPm, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, planUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const plan = await PlannedSession.update(req.params.planId, req.body, res.locals.user.id);
+        return res.json({ plan });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[planId] => { deleted: id }
+ * 
+ * Authorization required: planned user or PM on board
+*/
+router.delete("/:planId", ensureLoggedIn, ensureUserOnPlanOrPm, async function(req, res, next) {
+    try {
+        await PlannedSession.remove(req.params.planId, res.locals.user.id);
+        return res.json({ deleted: +req.params.planId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+module.exports = router;
@@ -5,41 +5,71 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureUserOnBoardOfProject, ensureUserOnProjectOrPm, ensurePm, ensureLoggedIn } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const { ensureUserOnBoardOfProject, ensurePmOnBoardOfProject, ensureUserOnProjectOrPm, ensureLoggedIn } = require("../middleware/auth");
+const { uploadAttachment } = require("../middleware/upload");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const Board = require("../models/board");
 const Project = require("../models/project");
 const Session = require("../models/session");
+const Task = require("../models/task");
+const PlannedSession = require("../models/plannedSession");
+const Comment = require("../models/comment");
+const Attachment = require("../models/attachment");
+const Activity = require("../models/activity");
+const Notification = require("../models/notification");
 const projectUpdateSchema = require("../schemas/projectUpdate.json");
+const projectMoveSchema = require("../schemas/projectMove.json");
 const projectUserAddSchema = require("../schemas/projectUserAdd.json");
 const sessionNewSchema = require("../schemas/sessionNew.json");
+const deleteConfirmSchema = require("../schemas/deleteConfirm.json");
+const projectListSchema = require("../schemas/projectList.json");
+const sessionListSchema = require("../schemas/sessionList.json");
+const taskNewSchema = require("../schemas/taskNew.json");
+const taskUpdateSchema = require("../schemas/taskUpdate.json");
+const activityListSchema = require("../schemas/activityList.json");
+const planNewSchema = require("../schemas/planNew.json");
+const planListSchema = require("../schemas/planList.json");
+const planComparisonSchema = require("../schemas/planComparison.json");
+const commentNewSchema = require("../schemas/commentNew.json");
+const commentUpdateSchema = require("../schemas/commentUpdate.json");
+const { sendStoredFile } = require("../helpers/storage");
 
 const router = express.Router();
 
-/** GET / => [ { project }, ... ] 
- *      Where project is { id, name, priority, stage, boardId }
- *  returns a list of all projects assigned to user, or if PM all projects under the PM's domain
+/** GET / => { projects: [ { project }, ... ], total, limit, offset }
+ *      Where project is { id, name, priority, stage, position, boardId, hourlyRate, estimatedHours,
+ *                         budgetHours, actualHours, remainingHours, percentBurned }
+ *  returns a page of projects assigned to user, plus projects on boards where the user is owner or PM
+ *  hourlyRate is only included on boards where the user is owner or PM
+ *  Query can include { stage, priority, includeArchived, sort, order, limit, offset }
+ *      sort is one of stage (default, board order then position), name, priority, id
  * 
  * Authorization required: user
 */
 router.get("/", ensureLoggedIn, async function(req, res, next) {
     try {
-        const { user } = res.locals;
-        if (user.isPm) {
-            // return all projects on PM's boards
-            const projects = await Project.getAllProjectsFromUsersBoards(user.id);
-            return res.json({ projects });
-        } else {
-            // return all projects assigned to user
-            const projects = await Project.getUserProjects(user.id);
-            return res.json({ projects });
+        const validator = jsonschema.validate(req.query, projectListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
         }
+        const { user } = res.locals;
+        const includeArchived = req.query.includeArchived === "true";
+        const page = await Project.getAllProjectsFromUsersBoards(user.id, includeArchived, req.query);
+        const boards = await Board.findAllForUser(user.id, true);
+        const pmBoardIds = boards.filter(b => Board.PM_ROLES.includes(b.role)).map(b => b.id);
+        const projects = page.projects.map(p => pmBoardIds.includes(p.boardId) ? p : Project.withoutRate(p));
+        return res.json({ ...page, projects });
     } catch(err) {
         return next(err);
     }
 });
 
 /** GET /[projectId] => { project } 
- *      Where project is { id, name, priority, stage, boardId }
+ *      Where project is { id, name, priority, stage, position, boardId, archivedAt, hourlyRate,
+ *                         estimatedHours, budgetHours, actualHours, remainingHours, percentBurned }
+ * actualHours are logged on the project's sessions, remainingHours and percentBurned
+ * are against the estimate and null without one. hourlyRate is only included for PMs on the board.
  * Returns project data
  * 
  * Authorization required: user on board
@@ -48,6 +78,9 @@ router.get("/:projectId", ensureLoggedIn, ensureUserOnBoardOfProject, async func
     try {
         const { projectId } = req.params;
         const project = await Project.getById(projectId);
+        if (!(await Board.isPmOnBoard(res.locals.user.id, project.boardId))) {
+            return res.json({ project: Project.withoutRate(project) });
+        }
         return res.json({ project })
     } catch(err) {
         return next(err);
@@ -56,12 +89,15 @@ router.get("/:projectId", ensureLoggedIn, ensureUserOnBoardOfProject, async func
 
 /** PATCH /[projectId] { fieldsToUpdate } => { updatedBoard } 
  * Update project.
- * Fields can include { name, priority, stage }
- * Returns { id, name, priority, stage, boardId }
+ * Fields can include { name, priority, stage, estimatedHours, budgetHours, hourlyRate },
+ * null clears an hours field or the rate
+ * Returns { id, name, priority, stage, position, boardId, hourlyRate, estimatedHours, budgetHours,
+ *           actualHours, remainingHours, percentBurned }
+ * Users on the project are notified of a stage change.
  * 
  * Authorization required: PM on board
 */
-router.patch("/:projectId", ensurePm, ensureUserOnBoardOfProject, async function(req, res, next) {
+router.patch("/:projectId", ensureLoggedIn, ensurePmOnBoardOfProject, async function(req, res, next) {
     try {
         const validator = jsonschema.validate(req.body, projectUpdateSchema);
         if (!validator.valid) {
@@ -69,13 +105,118 @@ router.patch("/:projectId", ensurePm, ensureUserOnBoardOfProject, async function
             throw new BadRequestError(errs);
         }
 
-        const project = await Project.update(req.params.projectId, req.body)
+        const before = await Project.getById(req.params.projectId);
+        const project = await Project.update(req.params.projectId, req.body, res.locals.user.id);
+        if (project.stage !== before.stage) {
+            await Notification.notifyStageChange({ actorId: res.locals.user.id, project, fromStage: before.stage });
+        }
+        return res.json({ project });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[projectId]/move { stage, beforeId | afterId } => { project }
+ * Moves the project to a stage of its board, placed just before beforeId or
+ * just after afterId, or last in the stage when neither is given.
+ * Returns { id, name, priority, stage, position, boardId, archivedAt }
+ * Users on the project are notified of a stage change.
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:projectId/move", ensureLoggedIn, ensurePmOnBoardOfProject, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, projectMoveSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const before = await Project.getById(req.params.projectId);
+        const project = await Project.move(req.params.projectId, req.body, res.locals.user.id);
+        if (project.stage !== before.stage) {
+            await Notification.notifyStageChange({ actorId: res.locals.user.id, project, fromStage: before.stage });
+        }
+        return res.json({ project });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[projectId]/archive => { project }
+ * Archives the project, hiding it from default listings. Sessions are kept
+ * and still count in reports, new sessions can't be started on it.
+ * Returns { id, name, priority, stage, position, boardId, archivedAt }
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:projectId/archive", ensureLoggedIn, ensurePmOnBoardOfProject, async function(req, res, next) {
+    try {
+        const project = await Project.archive(req.params.projectId, res.locals.user.id);
+        return res.json({ project });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[projectId]/restore => { project }
+ * Restores an archived project.
+ * Returns { id, name, priority, stage, position, boardId, archivedAt }
+ * 
+ * Authorization required: PM on board
+*/
+router.post("/:projectId/restore", ensureLoggedIn, ensurePmOnBoardOfProject, async function(req, res, next) {
+    try {
+        const project = await Project.restore(req.params.projectId, res.locals.user.id);
         return res.json({ project });
     } catch(err) {
         return next(err);
     }
 });
 
+/** DELETE /[projectId]?confirm=true => { deleted: id }
+ * Permanently deletes the project and every session recorded on it.
+ * Without confirm=true responds 409 with a warning counting the sessions
+ * that would be lost, nothing is deleted.
+ * 
+ * Authorization required: PM on board
+*/
+router.delete("/:projectId", ensureLoggedIn, ensurePmOnBoardOfProject, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, deleteConfirmSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { projectId } = req.params;
+        await Project.remove(projectId, req.query.confirm === "true", res.locals.user.id);
+        return res.json({ deleted: +projectId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/activity => { activity: [ { entry }, ... ], total, limit, offset }
+ *      where entry is { id, actorId, actorFirstName, actorLastName, boardId, projectId,
+ *                       entityType, entityId, action, before, after, createdAt }
+ * Returns a page of the project's audit trail, newest first, including its members, tasks and sessions.
+ * Query can include { entityType, action, actorId, limit, offset }
+ * 
+ * Authorization required: user on board
+*/
+router.get("/:projectId/activity", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, activityListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const page = await Activity.getProjectActivity(req.params.projectId, req.query);
+        return res.json(page);
+    } catch(err) {
+        return next(err);
+    }
+});
+
 /** GET /[projectId]/users => [ { user }, ... ]
  *      Where user is { id, email, firstName, lastName, isPm }
  * Returns list of users on a project.
@@ -95,10 +236,11 @@ router.get("/:projectId/users", ensureLoggedIn, ensureUserOnBoardOfProject, asyn
 /** POST /[projectId]/users { userId } => { user } 
  *      Where user is { id, email, firstName, lastName, isPm }
  * Adds user to project, updates DB and returns user.
+ * The user is notified unless they added themselves.
  * 
  * Authorization required: PM on board
 */
-router.post("/:projectId/users", ensurePm, ensureUserOnBoardOfProject, async function(req, res, next) {
+router.post("/:projectId/users", ensureLoggedIn, ensurePmOnBoardOfProject, async function(req, res, next) {
     try {
         const validator = jsonschema.validate(req.body, projectUserAddSchema);
         if (!validator.valid) {
@@ -107,7 +249,12 @@ router.post("/:projectId/users", ensurePm, ensureUserOnBoardOfProject, async fun
         }
         const { projectId } = req.params;
         const { userId } = req.body;
-        const user = await Project.addUserToProject(userId, projectId);
+        const project = await Project.getById(projectId);
+        const user = await Project.addUserToProject(userId, projectId, res.locals.user.id);
+        await Notification.notify({
+            userIds: [user.id], eventType: "project.assigned", actorId: res.locals.user.id,
+            boardId: project.boardId, projectId: project.id, entityId: project.id
+        });
         return res.status(201).json({ user });
     } catch(err) {
         return next(err);
@@ -119,37 +266,45 @@ router.post("/:projectId/users", ensurePm, ensureUserOnBoardOfProject, async fun
  * 
  * Authorization required: PM on board
 */
-router.delete("/:projectId/users", ensurePm, ensureUserOnBoardOfProject, async function(req, res, next) {
+router.delete("/:projectId/users", ensureLoggedIn, ensurePmOnBoardOfProject, async function(req, res, next) {
     try {
         const { projectId } = req.params;
         const { userId } = req.body;
-        await Project.removeUserFromProject(userId, projectId);
+        await Project.removeUserFromProject(userId, projectId, res.locals.user.id);
         return res.json({ removed: +userId });
     } catch(err) {
         return next(err);
     }
 });
 
-/** GET /[projectId]/sessions => [ { session }, ... ]
- *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+/** GET /[projectId]/sessions => { sessions: [ { session }, ... ], total, limit, offset }
+ *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+ * Query can include { startDate, endDate, userId, categoryId, taskId, sort, order, limit, offset }
  * 
  * Authorization required: user on board
  */
 router.get("/:projectId/sessions", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
     try {
+        const validator = jsonschema.validate(req.query, sessionListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
         const { projectId } = req.params;
-        const sessions = await Session.getProjectSessions(projectId);
-        return res.json({ sessions });
+        const page = await Session.getProjectSessions(projectId, req.query);
+        return res.json(page);
     } catch(err) {
         return next(err);
     }
 });
 
 /** POST /[projectId]/sessions { session } => { session }
- *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
- * Creates a session from data, required data { projectId, userId, categoryId }
+ *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+ * Creates a session from data, required data { projectId, userId, categoryId }, optional { taskId }
+ * Any session the user still has running is stopped before the new one starts,
+ * the user is notified when a PM's session start stops theirs.
  * 
- * Authorization required: PM on board or correct user
+ * Authorization required: PM on board, or user on project starting their own session
  */
 router.post("/:projectId/sessions", ensureLoggedIn, ensureUserOnProjectOrPm, async function(req, res, next) {
     try {
@@ -159,12 +314,364 @@ router.post("/:projectId/sessions", ensureLoggedIn, ensureUserOnProjectOrPm, asy
             throw new BadRequestError(errs);
         }
         const { projectId } = req.params;
-        const { userId, categoryId } = req.body;
-        const session = await Session.create({ projectId, userId, categoryId });
+        const { user } = res.locals;
+        const { userId, categoryId, taskId } = req.body;
+        const project = await Project.getById(projectId);
+        if (userId !== user.id && !(await Board.isPmOnBoard(user.id, project.boardId))) {
+            throw new UnauthorizedError();
+        }
+        const session = await Session.create({ projectId, userId, categoryId, taskId, actorId: user.id });
         return res.status(201).json({ session });
     } catch(err) {
         return next(err);
     }
 });
 
+/** GET /[projectId]/plans => { plans: [ { plan }, ... ] }
+ *      Where plan is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+ * Returns the project's planned sessions in time order
+ * Query can include { startDate, endDate, userId }
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/plans", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, planListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const plans = await PlannedSession.getProjectPlans(req.params.projectId, req.query);
+        return res.json({ plans });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[projectId]/plans { plan } => { plan }
+ *      Where plan is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment, createdBy }
+ * Plans a block of a project member's time, required data { userId, startDatetime, endDatetime },
+ * optional { categoryId, comment }. The block must end in the future and can't overlap
+ * another planned block of the user.
+ * 
+ * Authorization required: PM on board, or user on project planning their own time
+ */
+router.post("/:projectId/plans", ensureLoggedIn, ensureUserOnProjectOrPm, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, planNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { projectId } = req.params;
+        const { user } = res.locals;
+        const project = await Project.getById(projectId);
+        if (req.body.userId !== user.id && !(await Board.isPmOnBoard(user.id, project.boardId))) {
+            throw new UnauthorizedError();
+        }
+        const plan = await PlannedSession.create({ ...req.body, projectId, createdBy: user.id });
+        return res.status(201).json({ plan });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/plans/comparison => { plans: [ { plan }, ... ], users: [ { user }, ... ] }
+ *      Where plan is as above plus { plannedSeconds, actualSeconds, status }
+ *      and user is { userId, firstName, lastName, plannedSeconds, matchedSeconds, actualSeconds, unplannedSeconds }
+ * Compares planned blocks with the sessions recorded inside them.
+ * status is one of upcoming, met, partial, missed.
+ * Query can include { startDate, endDate }
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/plans/comparison", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, planComparisonSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { plans, users } = await PlannedSession.compare(req.params.projectId, req.query);
+        return res.json({ plans, users });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/tasks => { tasks: [ { task }, ... ] }
+ *      Where task is { id, projectId, title, description, assigneeId, dueDate, status, position }
+ * Returns the project's tasks in list order
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/tasks", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const { projectId } = req.params;
+        const tasks = await Task.getProjectTasks(projectId);
+        return res.json({ tasks });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[projectId]/tasks { task } => { task }
+ *      Where task is { id, projectId, title, description, assigneeId, dueDate, status, position }
+ * Creates a task, required data { title }, optional { description, assigneeId, dueDate, status, position }
+ * The assignee must be a user on the project. Without a position the task is added last.
+ * 
+ * Authorization required: user on project or PM on board
+ */
+router.post("/:projectId/tasks", ensureLoggedIn, ensureUserOnProjectOrPm, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, taskNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { projectId } = req.params;
+        const task = await Task.create({ ...req.body, projectId, actorId: res.locals.user.id });
+        return res.status(201).json({ task });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/tasks/[taskId] => { task }
+ *      Where task is { id, projectId, title, description, assigneeId, dueDate, status, position }
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/tasks/:taskId", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const { projectId, taskId } = req.params;
+        const task = await Task.get(taskId, projectId);
+        return res.json({ task });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[projectId]/tasks/[taskId] { fieldsToUpdate } => { task }
+ * Update task.
+ * Fields can include { title, description, assigneeId, dueDate, status, position }
+ * null clears description, assigneeId or dueDate
+ * 
+ * Authorization required: user on project or PM on board
+ */
+router.patch("/:projectId/tasks/:taskId", ensureLoggedIn, ensureUserOnProjectOrPm, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, taskUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { projectId, taskId } = req.params;
+        const task = await Task.update(taskId, projectId, req.body, res.locals.user.id);
+        return res.json({ task });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[projectId]/tasks/[taskId] => { deleted: id }
+ * Deletes the task, sessions logged against it stay on the project without a task.
+ * 
+ * Authorization required: user on project or PM on board
+ */
+router.delete("/:projectId/tasks/:taskId", ensureLoggedIn, ensureUserOnProjectOrPm, async function(req, res, next) {
+    try {
+        const { projectId, taskId } = req.params;
+        await Task.remove(taskId, projectId, res.locals.user.id);
+        return res.json({ deleted: +taskId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/comments => { comments: [ { comment, replies: [ { comment }, ... ] }, ... ] }
+ *      Where comment is { id, projectId, parentId, authorId, authorFirstName, authorLastName,
+ *                         body, mentions, createdAt, updatedAt, deletedAt }
+ * Returns the project's discussion threads, oldest first. mentions are the ids of board users
+ * mentioned in the body, updatedAt is set once a comment is edited.
+ * Deleted comments only show, with body null, while they have replies.
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/comments", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const comments = await Comment.getProjectComments(req.params.projectId);
+        return res.json({ comments });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[projectId]/comments { body, parentId } => { comment }
+ * Comments on the project, or replies to the thread of parentId.
+ * Board users can be mentioned as @ followed by their email, or the part before its @,
+ * and are notified unless they turned comment.mentioned off.
+ * 
+ * Authorization required: user on board, other than a viewer
+ */
+router.post("/:projectId/comments", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, commentNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { projectId } = req.params;
+        const { user } = res.locals;
+        const project = await Project.getById(projectId);
+        if (await Board.getUserRole(user.id, project.boardId) === "viewer") throw new UnauthorizedError();
+
+        const comment = await Comment.create(projectId, user.id, req.body);
+        await Notification.notify({
+            userIds: comment.mentions, eventType: "comment.mentioned", actorId: user.id,
+            boardId: project.boardId, projectId: project.id, entityId: comment.id
+        });
+        return res.status(201).json({ comment });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[projectId]/comments/[commentId] { body } => { comment }
+ * Edits a comment, its earlier body is kept in its history.
+ * Users mentioned for the first time are notified.
+ * 
+ * Authorization required: author of the comment
+ */
+router.patch("/:projectId/comments/:commentId", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, commentUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { projectId, commentId } = req.params;
+        const { user } = res.locals;
+        const before = await Comment.get(commentId, projectId);
+        if (before.authorId !== user.id) throw new UnauthorizedError();
+
+        const project = await Project.getById(projectId);
+        const comment = await Comment.update(commentId, projectId, user.id, req.body.body);
+        await Notification.notify({
+            userIds: comment.mentions.filter(id => !before.mentions.includes(id)),
+            eventType: "comment.mentioned", actorId: user.id,
+            boardId: project.boardId, projectId: project.id, entityId: comment.id
+        });
+        return res.json({ comment });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/comments/[commentId]/history => { edits: [ { body, editedBy, editedAt }, ... ] }
+ * Returns the earlier bodies of an edited comment, oldest first. Empty once the comment is deleted.
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/comments/:commentId/history", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const { projectId, commentId } = req.params;
+        const edits = await Comment.getHistory(commentId, projectId);
+        return res.json({ edits });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[projectId]/comments/[commentId] => { deleted: id }
+ * Deletes a comment, replies to it stay in the thread.
+ * 
+ * Authorization required: author of the comment or PM on board
+ */
+router.delete("/:projectId/comments/:commentId", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const { projectId, commentId } = req.params;
+        const { user } = res.locals;
+        const before = await Comment.get(commentId, projectId);
+        const project = await Project.getById(projectId);
+        if (before.authorId !== user.id && !(await Board.isPmOnBoard(user.id, project.boardId))) {
+            throw new UnauthorizedError();
+        }
+
+        await Comment.remove(commentId, projectId, user.id);
+        return res.json({ deleted: +commentId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/attachments => { attachments: [ { attachment }, ... ] }
+ *      Where attachment is { id, projectId, sessionId, uploadedBy, fileName, mimeType, sizeBytes, createdAt }
+ * Returns the files attached to the project, newest first. Files on its sessions are listed per session.
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/attachments", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const attachments = await Attachment.getProjectAttachments(req.params.projectId);
+        return res.json({ attachments });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[projectId]/attachments multipart/form-data { file } => { attachment }
+ * Attaches a file to the project, sent as the "file" field.
+ * Files over ATTACHMENT_MAX_BYTES or of a type not in ATTACHMENT_TYPES are refused.
+ * 
+ * Authorization required: user on project or PM on board
+ */
+router.post("/:projectId/attachments", ensureLoggedIn, ensureUserOnProjectOrPm, uploadAttachment, async function(req, res, next) {
+    try {
+        const { projectId } = req.params;
+        const { user } = res.locals;
+        const attachment = await Attachment.create({ projectId, uploadedBy: user.id, file: req.file });
+        return res.status(201).json({ attachment });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[projectId]/attachments/[attachmentId] => file
+ * Downloads a file attached to the project.
+ * 
+ * Authorization required: user on board
+ */
+router.get("/:projectId/attachments/:attachmentId", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const { projectId, attachmentId } = req.params;
+        const { attachment, stream } = await Attachment.open(attachmentId, { projectId });
+        await sendStoredFile(res, attachment, stream);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[projectId]/attachments/[attachmentId] => { deleted: id }
+ * Deletes a file attached to the project.
+ * 
+ * Authorization required: user who uploaded it or PM on board
+ */
+router.delete("/:projectId/attachments/:attachmentId", ensureLoggedIn, ensureUserOnBoardOfProject, async function(req, res, next) {
+    try {
+        const { projectId, attachmentId } = req.params;
+        const { user } = res.locals;
+        const before = await Attachment.get(attachmentId, { projectId });
+        const project = await Project.getById(projectId);
+        if (before.uploadedBy !== user.id && !(await Board.isPmOnBoard(user.id, project.boardId))) {
+            throw new UnauthorizedError();
+        }
+
+        await Attachment.remove(attachmentId, { projectId }, user.id);
+        return res.json({ deleted: +attachmentId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,84 @@
+"use strict";
+
+/** Report routes */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
+const Report = require("../models/report");
+const reportQuerySchema = require("../schemas/reportQuery.json");
+const reportCostQuerySchema = require("../schemas/reportCostQuery.json");
+const { rowsToCsv } = require("../helpers/export");
+
+const router = express.Router();
+
+/** GET / => { report: [ { row }, ... ] }
+ *      Where row holds the grouped columns plus { totalSeconds, totalHours }
+ * Returns total tracked time.
+ * Query can include { groupBy, period, startDate, endDate }
+ *      groupBy is a comma separated list of any of project, user, board, category
+ *      period is one of day, week, month
+ * Covers all sessions on boards where the user is owner or PM, plus the user's own sessions.
+ * 
+ * Authorization required: user
+*/
+router.get("/", ensureLoggedIn, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, reportQuerySchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const { groupBy, period, startDate, endDate } = req.query;
+        const report = await Report.getDurations({
+            userId: user.id,
+            groupBy: groupBy ? [...new Set(groupBy.split(","))] : [],
+            period,
+            startDate,
+            endDate
+        });
+        return res.json({ report });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /costs => { report: [ { row }, ... ] } or CSV file
+ *      Where row holds the grouped columns plus { totalHours, billableHours, unratedHours, cost }
+ * Returns the billable cost of tracked time, hours times the effective rate: the project's
+ * rate, else the category's, else the user's default rate on the board.
+ * Non-billable categories cost nothing, billable time with no rate is totalled in unratedHours.
+ * Query can include { groupBy, period, startDate, endDate, format }
+ *      groupBy and period as in GET /, format is json (default) or csv
+ * Covers all sessions on boards where the user is owner or PM, rates are hidden
+ * from other members so their own time on other boards is left out.
+ * 
+ * Authorization required: user
+*/
+router.get("/costs", ensureLoggedIn, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, reportCostQuerySchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const { period, startDate, endDate, format } = req.query;
+        const groupBy = req.query.groupBy ? [...new Set(req.query.groupBy.split(","))] : [];
+        const report = await Report.getCosts({ userId: user.id, groupBy, period, startDate, endDate });
+        if (format === "csv") {
+            const columns = Report.columnsFor(groupBy, period, ["totalHours", "billableHours", "unratedHours", "cost"]);
+            res.type("text/csv");
+            res.attachment("costs.csv");
+            return res.send(rowsToCsv(report, columns));
+        }
+        return res.json({ report });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+module.exports = router;
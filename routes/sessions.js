@@ -6,37 +6,83 @@ const jsonschema = require("jsonschema");
 
 const express = require("express");
 const { ensureLoggedIn, ensureUserOnSessionBoard, ensureUserOnSessionOrPm } = require("../middleware/auth");
+const { uploadAttachment } = require("../middleware/upload");
 const { BadRequestError } = require("../expressError");
 const Session = require("../models/session");
+const Attachment = require("../models/attachment");
+const Notification = require("../models/notification");
 const sessionUpdateSchema = require("../schemas/sessionUpdate.json");
+const sessionExportSchema = require("../schemas/sessionExport.json");
+const sessionListSchema = require("../schemas/sessionList.json");
+const { sendSessionExport } = require("../helpers/export");
+const { sendStoredFile } = require("../helpers/storage");
 
 
 const router = express.Router();
 
-/** GET / => [ { session } ] 
- *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+/** GET / => { sessions: [ { session } ], total, limit, offset }
+ *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+ * Returns a page of sessions on boards where the user is owner or PM, plus the user's own sessions
+ * Query can include { startDate, endDate, userId, projectId, categoryId, taskId, sort, order, limit, offset }
+ *      sort is one of startDatetime (default, newest first), endDatetime, userId, projectId, categoryId, id
  * 
  * Authorization required: user
 */
 router.get("/", ensureLoggedIn, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, sessionListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const page = await Session.getAllSessionsFromUsersBoards(user.id, req.query);
+        return res.json(page);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /active => { session }
+ *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+ * Returns the logged in user's running session, or null if none is open.
+ * 
+ * Authorization required: user
+*/
+router.get("/active", ensureLoggedIn, async function(req, res, next) {
     try {
         const { user } = res.locals;
-        if (user.isPm) {
-            // return all sessions on PM's boards
-            const sessions = await Session.getAllSessionsFromUsersBoards(user.id);
-            return res.json({ sessions });
-        } else {
-            // return all sessions recorded by user
-            const sessions = await Session.getSessionsByUserId(user.id);
-            return res.json({ sessions });
+        const session = await Session.getActiveByUserId(user.id);
+        return res.json({ session: session || null });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /export => CSV or iCalendar file
+ * Exports the logged in user's sessions with project name, category name, comment, start/end and duration.
+ * Query can include { format, startDate, endDate }, format is csv (default) or ics
+ * 
+ * Authorization required: user
+*/
+router.get("/export", ensureLoggedIn, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, sessionExportSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
         }
+        const { user } = res.locals;
+        const { format, startDate, endDate } = req.query;
+        const sessions = await Session.getForExport({ userId: user.id, startDate, endDate });
+        return sendSessionExport(res, sessions, format, `sessions-user-${user.id}`);
     } catch(err) {
         return next(err);
     }
 });
 
 /** GET/[sessionId] => { session } 
- *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+ *      Where session is { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
  * 
  * Authorization required: user on board of session
 */
@@ -52,8 +98,11 @@ router.get("/:sessionId", ensureLoggedIn, ensureUserOnSessionBoard, async functi
 
 /** PATCH /[sessionId] { fieldToUpdate } => { updatedSession }
  * Update a session.
- * Fields can include { startDatetime, endDatetime, categoryId, comment }
- * Returns { id, projectId, userId, startDatetime, endDatetime, categoryId, comment }
+ * Fields can include { startDatetime, endDatetime, categoryId, taskId, comment }
+ * Returns { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+ * Responds 409 naming the conflicting session if the new times overlap another of the user's sessions,
+ * and 403 if the session is on a submitted or approved timesheet, until a PM rejects or reopens it.
+ * The session's user is notified when someone else edits it.
  * 
  * Authorization required: user's session or PM on session's board
  */
@@ -65,7 +114,37 @@ router.patch("/:sessionId", ensureLoggedIn, ensureUserOnSessionOrPm, async funct
             throw new BadRequestError(errs);
         }
 
-        const session = await Session.update(req.params.sessionId, req.body);
+        const { sessionId } = req.params;
+        const boardId = await Session.getBoardId(sessionId);
+        const session = await Session.update(sessionId, req.body, res.locals.user.id);
+        await Notification.notify({
+            userIds: [session.userId], eventType: "session.edited", actorId: res.locals.user.id,
+            boardId, projectId: session.projectId, entityId: session.id,
+            data: { action: "update", fields: Object.keys(req.body) }
+        });
+        return res.json({ session });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[sessionId]/stop => { session }
+ * Stops a running session, end time is set by the server.
+ * Returns { id, projectId, userId, startDatetime, endDatetime, categoryId, taskId, comment }
+ * The session's user is notified when someone else stops it.
+ * 
+ * Authorization required: user's session or PM on session's board
+ */
+router.post("/:sessionId/stop", ensureLoggedIn, ensureUserOnSessionOrPm, async function(req, res, next) {
+    try {
+        const { sessionId } = req.params;
+        const boardId = await Session.getBoardId(sessionId);
+        const session = await Session.stop(sessionId, res.locals.user.id);
+        await Notification.notify({
+            userIds: [session.userId], eventType: "session.edited", actorId: res.locals.user.id,
+            boardId, projectId: session.projectId, entityId: session.id,
+            data: { action: "stop", fields: ["endDatetime"] }
+        });
         return res.json({ session });
     } catch(err) {
         return next(err);
@@ -74,13 +153,87 @@ router.patch("/:sessionId", ensureLoggedIn, ensureUserOnSessionOrPm, async funct
 
 /** DELETE /[sessionId] => { deleted: id } 
  * Deletes a session record and returns a confirmation message.
+ * Responds 403 if the session is on a submitted or approved timesheet, until a PM rejects or reopens it.
+ * The session's user is notified when someone else deletes it.
  * 
  * Authorization required: user's session or PM on session's board
 */
 router.delete("/:sessionId", ensureLoggedIn, ensureUserOnSessionOrPm, async function(req, res, next) {
     try {
-        await Session.delete(req.params.sessionId);
-        return res.json({ deleted: +req.params.sessionId });
+        const { sessionId } = req.params;
+        const session = await Session.getById(sessionId);
+        const boardId = await Session.getBoardId(sessionId);
+        await Session.delete(sessionId, res.locals.user.id);
+        await Notification.notify({
+            userIds: [session.userId], eventType: "session.edited", actorId: res.locals.user.id,
+            boardId, projectId: session.projectId, entityId: session.id,
+            data: { action: "delete" }
+        });
+        return res.json({ deleted: +sessionId });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[sessionId]/attachments => { attachments: [ { attachment }, ... ] }
+ *      Where attachment is { id, projectId, sessionId, uploadedBy, fileName, mimeType, sizeBytes, createdAt }
+ * Returns the files attached to the session, newest first.
+ * 
+ * Authorization required: user on session's board
+ */
+router.get("/:sessionId/attachments", ensureLoggedIn, ensureUserOnSessionBoard, async function(req, res, next) {
+    try {
+        const attachments = await Attachment.getSessionAttachments(req.params.sessionId);
+        return res.json({ attachments });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[sessionId]/attachments multipart/form-data { file } => { attachment }
+ * Attaches a file, ex: a receipt, to the session, sent as the "file" field.
+ * Files over ATTACHMENT_MAX_BYTES or of a type not in ATTACHMENT_TYPES are refused.
+ * 
+ * Authorization required: user's session or PM on session's board
+ */
+router.post("/:sessionId/attachments", ensureLoggedIn, ensureUserOnSessionOrPm, uploadAttachment, async function(req, res, next) {
+    try {
+        const { sessionId } = req.params;
+        const session = await Session.getById(sessionId);
+        const attachment = await Attachment.create({
+            projectId: session.projectId, sessionId, uploadedBy: res.locals.user.id, file: req.file
+        });
+        return res.status(201).json({ attachment });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[sessionId]/attachments/[attachmentId] => file
+ * Downloads a file attached to the session.
+ * 
+ * Authorization required: user on session's board
+ */
+router.get("/:sessionId/attachments/:attachmentId", ensureLoggedIn, ensureUserOnSessionBoard, async function(req, res, next) {
+    try {
+        const { sessionId, attachmentId } = req.params;
+        const { attachment, stream } = await Attachment.open(attachmentId, { sessionId });
+        await sendStoredFile(res, attachment, stream);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[sessionId]/attachments/[attachmentId] => { deleted: id }
+ * Deletes a file attached to the session.
+ * 
+ * Authorization required: user's session or PM on session's board
+ */
+router.delete("/:sessionId/attachments/:attachmentId", ensureLoggedIn, ensureUserOnSessionOrPm, async function(req, res, next) {
+    try {
+        const { sessionId, attachmentId } = req.params;
+        await Attachment.remove(attachmentId, { sessionId }, res.locals.user.id);
+        return res.json({ deleted: +attachmentId });
     } catch(err) {
         return next(err);
     }
@@ -0,0 +1,121 @@
+"use strict";
+
+/** Timesheet routes */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { ensureLoggedIn, ensurePmOnTimesheetBoard, ensureUserOnTimesheetOrPm } = require("../middleware/auth");
+const { BadRequestError } = require("../expressError");
+const Timesheet = require("../models/timesheet");
+const timesheetReviewSchema = require("../schemas/timesheetReview.json");
+
+const router = express.Router();
+
+/** GET / => { timesheets: [ { timesheet }, ... ] }
+ *      Where timesheet is { id, userId, boardId, weekStart, status, submittedAt, reviewedBy,
+ *                           reviewedAt, reviewComment, sessionCount, totalSeconds }
+ * Returns the logged in user's timesheets on every board, newest week first
+ *
+ * Authorization required: user
+*/
+router.get("/", ensureLoggedIn, async function(req, res, next) {
+    try {
+        const timesheets = await Timesheet.getUserTimesheets(res.locals.user.id);
+        return res.json({ timesheets });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[timesheetId] => { timesheet }
+ *      Where timesheet is as above, plus sessions: [ { session }, ... ]
+ *
+ * Authorization required: user who submitted it or PM on its board
+*/
+router.get("/:timesheetId", ensureLoggedIn, ensureUserOnTimesheetOrPm, async function(req, res, next) {
+    try {
+        const timesheet = await Timesheet.get(req.params.timesheetId);
+        return res.json({ timesheet });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[timesheetId]/approve { comment } => { timesheet }
+ * Approves a submitted timesheet, its sessions stay locked against edits and deletion.
+ * comment is optional.
+ *
+ * Authorization required: PM on the timesheet's board, other than the user who submitted it
+*/
+router.post("/:timesheetId/approve", ensureLoggedIn, ensurePmOnTimesheetBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, timesheetReviewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const timesheet = await Timesheet.review(req.params.timesheetId, {
+            reviewerId: user.id,
+            action: "approve",
+            comment: req.body.comment
+        });
+        return res.json({ timesheet });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[timesheetId]/reject { comment } => { timesheet }
+ * Rejects a submitted timesheet, the user can fix their sessions and submit again.
+ * comment is required.
+ *
+ * Authorization required: PM on the timesheet's board, other than the user who submitted it
+*/
+router.post("/:timesheetId/reject", ensureLoggedIn, ensurePmOnTimesheetBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, timesheetReviewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        if (!req.body.comment) throw new BadRequestError("a comment is required to reject a timesheet");
+        const { user } = res.locals;
+        const timesheet = await Timesheet.review(req.params.timesheetId, {
+            reviewerId: user.id,
+            action: "reject",
+            comment: req.body.comment
+        });
+        return res.json({ timesheet });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[timesheetId]/reopen { comment } => { timesheet }
+ * Reopens an approved timesheet, unlocking its sessions until it is submitted
+ * again. comment is optional.
+ *
+ * Authorization required: PM on the timesheet's board, other than the user who submitted it
+*/
+router.post("/:timesheetId/reopen", ensureLoggedIn, ensurePmOnTimesheetBoard, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, timesheetReviewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const { user } = res.locals;
+        const timesheet = await Timesheet.review(req.params.timesheetId, {
+            reviewerId: user.id,
+            action: "reopen",
+            comment: req.body.comment
+        });
+        return res.json({ timesheet });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+module.exports = router;
@@ -5,11 +5,20 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureLoggedIn, ensureCorrectUserOrSharedBoardPm, ensureUserOnSharedBoard } = require("../middleware/auth");
+const {
+    ensureLoggedIn,
+    ensureCorrectUserOrAdmin,
+    ensureCorrectUser,
+    ensureUserOnSharedBoard
+} = require("../middleware/auth");
 const { BadRequestError } = require("../expressError");
 const User = require("../models/user");
+const Notification = require("../models/notification");
 const userEditSchema = require("../schemas/userEdit.json");
 const userEditPmSchema = require("../schemas/userEditPm.json");
+const notificationListSchema = require("../schemas/notificationList.json");
+const notificationReadAllSchema = require("../schemas/notificationReadAll.json");
+const notificationPreferencesSchema = require("../schemas/notificationPreferences.json");
 
 const router = express.Router();
 
@@ -63,11 +72,12 @@ router.get("/:userId", ensureLoggedIn, ensureUserOnSharedBoard, async function(r
 
 /** PATCH { data } => { updatedUser } 
  * Can alter fields if user matches logged in user
- * PM can promote other users to PM
+ * Admin can promote other users to PM
+ * Changing a password or promoting to PM invalidates the user's existing tokens
  * 
- * Authorization required: correct user or PM on users boards
+ * Authorization required: correct user or admin
 */
-router.patch("/:userId", ensureLoggedIn, ensureCorrectUserOrSharedBoardPm, async function(req, res, next) {
+router.patch("/:userId", ensureLoggedIn, ensureCorrectUserOrAdmin, async function(req, res, next) {
     try {
         const { userId } = req.params;
         const loggedInUser = res.locals.user;
@@ -82,7 +92,7 @@ router.patch("/:userId", ensureLoggedIn, ensureCorrectUserOrSharedBoardPm, async
             const user = await User.updateByUser(userId, req.body);
             return res.json({ user });
         } else {
-            // allow PM to promote to PM
+            // allow admin to promote to PM
             const validator = jsonschema.validate(req.body, userEditPmSchema);
             if (!validator.valid) {
                 const errs = validator.errors.map(e => e.stack);
@@ -97,6 +107,97 @@ router.patch("/:userId", ensureLoggedIn, ensureCorrectUserOrSharedBoardPm, async
     }
 });
 
+/** GET /[userId]/notifications => { notifications: [ { notification }, ... ], total, unreadCount, limit, offset }
+ *      Where notification is { id, userId, eventType, actorId, actorFirstName, actorLastName,
+ *                              boardId, projectId, projectName, entityId, data, readAt, createdAt }
+ * Returns a page of the user's notifications, newest first. unreadCount is the user's total unread.
+ * eventType is one of project.assigned, project.stage_changed, session.edited, comment.mentioned
+ * data of session.edited is { action, fields }, action is one of update, stop or delete
+ * Query can include { unread, eventType, limit, offset }, ?unread=true leaves out read notifications
+ * 
+ * Authorization required: correct user
+ */
+router.get("/:userId/notifications", ensureLoggedIn, ensureCorrectUser, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, notificationListSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const page = await Notification.getForUser(req.params.userId, req.query);
+        return res.json(page);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[userId]/notifications/read { ids } => { marked, unreadCount }
+ * Marks the user's unread notifications read, only those in ids when given.
+ * 
+ * Authorization required: correct user
+ */
+router.post("/:userId/notifications/read", ensureLoggedIn, ensureCorrectUser, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, notificationReadAllSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const result = await Notification.markAllRead(req.params.userId, req.body.ids);
+        return res.json(result);
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** POST /[userId]/notifications/[notificationId]/read => { notification }
+ * Marks one of the user's notifications read.
+ * 
+ * Authorization required: correct user
+ */
+router.post("/:userId/notifications/:notificationId/read", ensureLoggedIn, ensureCorrectUser, async function(req, res, next) {
+    try {
+        const { userId, notificationId } = req.params;
+        const notification = await Notification.markRead(notificationId, userId);
+        return res.json({ notification });
+    } catch(err) {
+        return next(err);
+    }
+});
+
+/** GET /[userId]/notification-preferences => { preferences }
+ *      Where preferences is { "project.assigned": bool, "project.stage_changed": bool, "session.edited": bool,
+ *                             "comment.mentioned": bool }
+ * Every event type is on until the user turns it off.
+ * 
+ * Authorization required: correct user
+ */
+router.get("/:userId/notification-preferences", ensureLoggedIn, ensureCorrectUser, async function(req, res, next) {
+    try {
+        const preferences = await Notification.getPreferences(req.params.userId);
+        return res.json({ preferences });
+    } catch(err) {
+        return next(err);
+    }
+});
 
+/** PATCH /[userId]/notification-preferences { eventType: bool, ... } => { preferences }
+ * Turns event types on or off, those left out keep their setting.
+ * 
+ * Authorization required: correct user
+ */
+router.patch("/:userId/notification-preferences", ensureLoggedIn, ensureCorrectUser, async function(req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, notificationPreferencesSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const preferences = await Notification.updatePreferences(req.params.userId, req.body);
+        return res.json({ preferences });
+    } catch(err) {
+        return next(err);
+    }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+"use strict";
+
+/** Create or promote the initial administrator.
+ * 
+ * Usage:
+ *      ADMIN_PASSWORD=secret node scripts/createAdmin.js <email> <firstName> <lastName>
+ * 
+ * If a user with the email exists it is made an admin, otherwise a new
+ * user is registered with ADMIN_PASSWORD first. Admins are also PMs.
+ */
+
+const db = require("../db");
+const User = require("../models/user");
+
+async function createAdmin(email, firstName, lastName, password) {
+    let user;
+    try {
+        user = await User.getByEmail(email);
+    } catch(err) {
+        if (err.status !== 404) throw err;
+        if (!(firstName && lastName && password)) {
+            throw new Error("new admin needs <firstName> <lastName> and ADMIN_PASSWORD");
+        }
+        user = await User.register({ email, password, firstName, lastName });
+    }
+    return await User.makeAdmin(user.id);
+}
+
+if (require.main === module) {
+    const [email, firstName, lastName] = process.argv.slice(2);
+    if (!email) {
+        console.error("usage: ADMIN_PASSWORD=secret node scripts/createAdmin.js <email> <firstName> <lastName>");
+        process.exit(1);
+    }
+    createAdmin(email, firstName, lastName, process.env.ADMIN_PASSWORD)
+        .then(admin => {
+            console.log(`${admin.email} (id ${admin.id}) is now an admin`);
+            process.exitCode = 0;
+        })
+        .catch(err => {
+            console.error(err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+module.exports = createAdmin;
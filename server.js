@@ -2,7 +2,34 @@
 
 const app = require('./app');
 const { PORT } = require("./config");
+const { startHeartbeat, closeAll } = require("./helpers/boardEvents");
+const Webhook = require("./models/webhook");
 
-app.listen(PORT, function() {
+/** Milliseconds between checks for webhook deliveries due a retry */
+const WEBHOOK_RETRY_INTERVAL = 30000;
+
+const server = app.listen(PORT, function() {
     console.log(`server started on http://localhost:${PORT}`);
+});
+
+// keep board event streams open through proxies, and let them go on shutdown
+startHeartbeat();
+
+// retry failed webhook deliveries, one sweep at a time
+let sweeping = false;
+const webhookRetries = setInterval(async function() {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+        await Webhook.processDue();
+    } catch(err) {
+        console.error(err.stack);
+    }
+    sweeping = false;
+}, WEBHOOK_RETRY_INTERVAL);
+
+process.on("SIGTERM", function() {
+    clearInterval(webhookRetries);
+    closeAll();
+    server.close();
 });
\ No newline at end of file